@@ -35,33 +35,35 @@ const config = {
     chainId: parseInt(process.env.CHAIN_ID || '1', 10)
   },
   
-  // Relayer configuration
+  // RPC endpoints, MONAD_RPC_URL first; see services/providerManager
+  rpc: {
+    urls: [process.env.MONAD_RPC_URL, ...(process.env.MONAD_RPC_FALLBACK_URLS || '').split(',')]
+      .map(url => (url || '').trim())
+      .filter(Boolean),
+    chainId: process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID, 10) : null, // Taken from the first endpoint that answers when unset
+    timeout: parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10),
+    healthCheckInterval: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL || '30000', 10),
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3', 10), // Consecutive failures before a cooldown
+    cooldown: parseInt(process.env.RPC_COOLDOWN_MS || '60000', 10),
+    maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '10', 10), // Blocks behind the highest endpoint before it is skipped
+    requestsPerMinute: parseInt(process.env.RPC_REQUESTS_PER_MINUTE || '0', 10) // Per endpoint, 0 for no budget
+  },
+  
+  // Relayer configuration; the wallets themselves live in the relayer registry (models/RelayerWallet)
   relayer: {
     count: parseInt(process.env.NUM_RELAYERS || '20', 10),
     minBalance: ethers.parseEther(process.env.RELAYER_MIN_BALANCE || '0.01'),
+    // Gas funding from the owner wallet
+    funding: {
+      enabled: process.env.ENABLE_RELAYER_FUNDING !== 'false',
+      interval: parseInt(process.env.RELAYER_FUNDING_INTERVAL || '300000', 10),
+      targetBalance: ethers.parseEther(process.env.RELAYER_TARGET_BALANCE || '0.05'), // Top-up level
+      criticalBalance: ethers.parseEther(process.env.RELAYER_CRITICAL_BALANCE || '0.002'), // Out of rotation below this
+      ownerReserve: ethers.parseEther(process.env.OWNER_MIN_RESERVE || '0.1') // Never fund below this
+    },
     maxQueueSize: parseInt(process.env.RELAYER_MAX_QUEUE_SIZE || '100', 10),
     retryAttempts: parseInt(process.env.RELAYER_RETRY_ATTEMPTS || '3', 10),
-    retryDelay: parseInt(process.env.RELAYER_RETRY_DELAY || '1000', 10),
-    getWallet: (index) => {
-      if (index < 0 || index >= config.relayer.count) {
-        throw new Error(`Invalid relayer index: ${index}. Must be between 0 and ${config.relayer.count - 1}`);
-      }
-      const key = process.env[`RELAYER_WALLET_${index}`];
-      if (!key) {
-        throw new Error(`Relayer wallet private key not found for index ${index}`);
-      }
-      return key;
-    },
-    getAllWallets: () => {
-      const wallets = [];
-      for (let i = 0; i < config.relayer.count; i++) {
-        const key = process.env[`RELAYER_WALLET_${i}`];
-        if (key) {
-          wallets.push({ index: i, privateKey: key });
-        }
-      }
-      return wallets;
-    }
+    retryDelay: parseInt(process.env.RELAYER_RETRY_DELAY || '1000', 10)
   },
   
   // Gas optimization configuration
@@ -77,12 +79,44 @@ const config = {
     }
   },
   
+  // Ledger reconciliation configuration
+  reconciliation: {
+    enabled: process.env.ENABLE_RECONCILIATION !== 'false',
+    interval: parseInt(process.env.RECONCILIATION_INTERVAL || '3600000', 10)
+  },
+  
+  // Treasury balance and allowance monitor
+  treasury: {
+    monitorInterval: parseInt(process.env.TREASURY_MONITOR_INTERVAL || '60000', 10),
+    pausedCheckInterval: parseInt(process.env.TREASURY_PAUSED_CHECK_INTERVAL || '15000', 10), // While payouts are paused
+    watchInterval: parseInt(process.env.TREASURY_WATCH_INTERVAL || '60000', 10) // Contract treasury and owner, besides their events
+  },
+  
+  // Reward emission caps in tokens, 0 for no cap; windows are UTC hours and days
+  emission: {
+    mode: process.env.EMISSION_CAP_MODE === 'defer' ? 'defer' : 'reject', // What happens to rewards over a cap
+    walletHourlyCap: parseFloat(process.env.EMISSION_WALLET_HOURLY_CAP || '0'),
+    walletDailyCap: parseFloat(process.env.EMISSION_WALLET_DAILY_CAP || '0'),
+    globalDailyBudget: parseFloat(process.env.EMISSION_GLOBAL_DAILY_BUDGET || '0'),
+    releaseInterval: parseInt(process.env.EMISSION_RELEASE_INTERVAL || '60000', 10) // How often deferred payouts are checked
+  },
+  
+  // Token event indexer, serves on-chain reward history without RPC calls per request
+  indexer: {
+    enabled: process.env.ENABLE_EVENT_INDEXER !== 'false',
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0', 10), // Use the token deployment block for complete balances
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '5', 10),
+    blockChunkSize: parseInt(process.env.INDEXER_BLOCK_CHUNK || '1000', 10),
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || '15000', 10),
+    reorgHistory: parseInt(process.env.INDEXER_REORG_HISTORY || '64', 10) // Indexed block hashes kept to find a fork point
+  },
+  
   // Security configuration
   security: {
     cors: {
       origin: process.env.CORS_ORIGIN || '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
     },
     rateLimit: {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
@@ -91,6 +125,64 @@ const config = {
     trustProxy: process.env.TRUST_PROXY === '1'
   },
   
+  // Wallet sign-in for the player endpoints
+  auth: {
+    domain: process.env.AUTH_DOMAIN || 'localhost:3000', // Host of the game client, shown in the sign-in message
+    uri: process.env.AUTH_URI || 'http://localhost:3000',
+    statement: process.env.AUTH_STATEMENT || 'Sign in to NadRacer. This does not send a transaction or cost gas.',
+    challengeTtl: parseInt(process.env.AUTH_CHALLENGE_TTL_MS || '300000', 10),
+    sessionTtl: parseInt(process.env.AUTH_SESSION_TTL_MS || '3600000', 10)
+  },
+  
+  // Admin API keys as name:key pairs, comma separated; the name is recorded as the acting admin
+  admin: {
+    apiKeys: (process.env.ADMIN_API_KEYS || '').split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => ({ name: entry.slice(0, entry.indexOf(':')), key: entry.slice(entry.indexOf(':') + 1) }))
+  },
+  
+  // Server-issued game sessions that scores and coin claims are checked against
+  gameSession: {
+    secret: process.env.GAME_SESSION_SECRET, // Signs session IDs; required
+    ttl: parseInt(process.env.GAME_SESSION_TTL_MS || '1800000', 10), // Longest a race can take
+    maxCoinsPerSecond: parseFloat(process.env.GAME_MAX_COINS_PER_SECOND || '5'),
+    maxScorePerSecond: parseFloat(process.env.GAME_MAX_SCORE_PER_SECOND || '1000'),
+    elapsedGrace: parseInt(process.env.GAME_ELAPSED_GRACE_MS || '2000', 10) // Added to the race time for network latency
+  },
+  
+  // Anti-cheat rules that score submissions; flagged wallets have their payouts held for review
+  antiCheat: {
+    enabled: process.env.ENABLE_ANTI_CHEAT !== 'false',
+    flagThreshold: parseInt(process.env.ANTI_CHEAT_FLAG_THRESHOLD || '50', 10), // Risk score at which a submission is flagged
+    velocityRatio: parseFloat(process.env.ANTI_CHEAT_VELOCITY_RATIO || '0.8'), // Share of the game session ceiling that counts as suspicious
+    historySize: parseInt(process.env.ANTI_CHEAT_HISTORY_SIZE || '20', 10), // Past races compared against
+    minHistory: parseInt(process.env.ANTI_CHEAT_MIN_HISTORY || '5', 10), // Races needed before outliers are scored
+    outlierZScore: parseFloat(process.env.ANTI_CHEAT_OUTLIER_Z || '3'),
+    minRaceSeconds: parseInt(process.env.ANTI_CHEAT_MIN_RACE_SECONDS || '15', 10), // Shortest plausible race
+    minClaimInterval: parseInt(process.env.ANTI_CHEAT_MIN_CLAIM_INTERVAL_MS || '500', 10), // Shortest plausible time between coin claims
+    ipWindow: parseInt(process.env.ANTI_CHEAT_IP_WINDOW_MS || '86400000', 10),
+    maxWalletsPerIp: parseInt(process.env.ANTI_CHEAT_MAX_WALLETS_PER_IP || '5', 10)
+  },
+  
+  // Player usernames
+  usernames: {
+    minLength: 3,
+    maxLength: 20,
+    renameCooldown: parseInt(process.env.USERNAME_RENAME_COOLDOWN_MS || '2592000000', 10), // 30 days between renames
+    // Added to the built-in lists, comma separated
+    reserved: (process.env.USERNAME_RESERVED || '').split(',').map(name => name.trim()).filter(Boolean),
+    blockedWords: (process.env.USERNAME_BLOCKED_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)
+  },
+  
+  // Idempotency configuration
+  idempotency: {
+    // How long a stored response is replayed for a repeated key
+    retentionMs: parseInt(process.env.IDEMPOTENCY_RETENTION_MS || '86400000', 10),
+    // How long a request holds its key; a request that dies mid-way frees it after this
+    leaseMs: parseInt(process.env.IDEMPOTENCY_LEASE_MS || '60000', 10)
+  },
+  
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
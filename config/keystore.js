@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ethers } = require('ethers');
+
+// Passphrase is read once per process and shared by every keystore
+let passphrasePromise = null;
+
+// Decrypted wallets by keystore path (or hash of the keystore JSON), so each keystore is only decrypted once
+const decryptedWallets = {};
+
+/**
+ * Resolve a keystore path relative to the project root
+ * @param {string} keystorePath Absolute path or path relative to the project root
+ * @returns {string} Absolute path
+ */
+function resolveKeystorePath(keystorePath) {
+  return path.isAbsolute(keystorePath) ? keystorePath : path.join(__dirname, '..', keystorePath);
+}
+
+/**
+ * Read the passphrase from stdin
+ * Prompts without echo on a terminal, otherwise takes the first line of piped input.
+ */
+function readPassphraseFromStdin() {
+  return new Promise((resolve, reject) => {
+    if (process.stdin.isTTY) {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+      process.stdout.write('Keystore passphrase: ');
+      // Keep the typed passphrase off the screen
+      rl._writeToOutput = () => {};
+      rl.question('', answer => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+      });
+      return;
+    }
+    
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => {
+      data += chunk;
+    });
+    process.stdin.on('end', () => resolve(data.split(/\r?\n/)[0]));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Get the keystore passphrase from KEYSTORE_PASSPHRASE_FILE, or from stdin when no file is set
+ * @returns {Promise<string>} The passphrase
+ */
+function getKeystorePassphrase() {
+  if (!passphrasePromise) {
+    passphrasePromise = (async () => {
+      let passphrase;
+      if (process.env.KEYSTORE_PASSPHRASE_FILE) {
+        passphrase = fs.readFileSync(resolveKeystorePath(process.env.KEYSTORE_PASSPHRASE_FILE), 'utf8').replace(/\r?\n$/, '');
+      } else {
+        passphrase = await readPassphraseFromStdin();
+      }
+      
+      if (!passphrase) {
+        throw new Error('Keystore passphrase is empty. Set KEYSTORE_PASSPHRASE_FILE or pass it on stdin.');
+      }
+      return passphrase;
+    })();
+    
+    // A failed read can be retried
+    passphrasePromise.catch(() => {
+      passphrasePromise = null;
+    });
+  }
+  return passphrasePromise;
+}
+
+/**
+ * Decrypt a V3 keystore once and cache the wallet under the given key
+ */
+async function decryptKeystore(cacheKey, json, label) {
+  if (!decryptedWallets[cacheKey]) {
+    const passphrase = await getKeystorePassphrase();
+    try {
+      decryptedWallets[cacheKey] = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    } catch (error) {
+      throw new Error(`Failed to decrypt keystore for ${label}: ${error.message}`);
+    }
+    console.log(`Unlocked keystore for ${label}: ${decryptedWallets[cacheKey].address}`);
+  }
+  return decryptedWallets[cacheKey];
+}
+
+/**
+ * Load a wallet from an encrypted V3 keystore or, failing that, a raw private key
+ * @param {Object} source Where the key lives
+ * @param {string} [source.keystorePath] Path to the encrypted JSON keystore
+ * @param {string} [source.keystoreJson] The encrypted JSON keystore itself
+ * @param {string} [source.privateKey] Hex private key, used when no keystore is given
+ * @param {string} [source.label] Name used in log and error messages
+ * @param {Object} [provider] Provider to connect the wallet to
+ * @returns {Promise<Object|null>} The wallet, or null if neither source is set
+ */
+async function loadWallet({ keystorePath, keystoreJson, privateKey, label = 'wallet' }, provider) {
+  let wallet = null;
+  
+  if (keystorePath) {
+    const fullPath = resolveKeystorePath(keystorePath);
+    
+    if (!decryptedWallets[fullPath]) {
+      if (!fs.existsSync(fullPath)) {
+        throw new Error(`Keystore for ${label} not found at ${fullPath}`);
+      }
+      
+      await decryptKeystore(fullPath, fs.readFileSync(fullPath, 'utf8'), label);
+    }
+    wallet = decryptedWallets[fullPath];
+  } else if (keystoreJson) {
+    wallet = await decryptKeystore(`json:${ethers.id(keystoreJson)}`, keystoreJson, label);
+  } else if (privateKey) {
+    return new ethers.Wallet(privateKey, provider);
+  }
+  
+  if (!wallet) {
+    return null;
+  }
+  return provider ? wallet.connect(provider) : wallet;
+}
+
+/**
+ * Encrypt a wallet into a V3 keystore with the shared passphrase
+ * @param {Object} wallet The wallet to encrypt
+ * @returns {Promise<string>} The encrypted JSON keystore
+ */
+async function encryptWallet(wallet) {
+  const passphrase = await getKeystorePassphrase();
+  return wallet.encrypt(passphrase);
+}
+
+/**
+ * Load the owner wallet from OWNER_KEYSTORE, OWNER_PRIVATE_KEY or PRIVATE_KEY
+ */
+function loadOwnerWallet(provider) {
+  return loadWallet({
+    keystorePath: process.env.OWNER_KEYSTORE,
+    privateKey: process.env.OWNER_PRIVATE_KEY || process.env.PRIVATE_KEY,
+    label: 'owner'
+  }, provider);
+}
+
+/**
+ * Load the treasury wallet from TREASURY_KEYSTORE or TREASURY_PRIVATE_KEY
+ */
+function loadTreasuryWallet(provider) {
+  return loadWallet({
+    keystorePath: process.env.TREASURY_KEYSTORE,
+    privateKey: process.env.TREASURY_PRIVATE_KEY,
+    label: 'treasury'
+  }, provider);
+}
+
+module.exports = {
+  getKeystorePassphrase,
+  loadWallet,
+  encryptWallet,
+  loadOwnerWallet,
+  loadTreasuryWallet,
+  resolveKeystorePath
+};
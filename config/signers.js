@@ -0,0 +1,73 @@
+const keystore = require('./keystore');
+const RemoteSigner = require('../services/remoteSigner');
+
+/**
+ * Connection settings of the remote signer, from REMOTE_SIGNER_URL, REMOTE_SIGNER_TOKEN and REMOTE_SIGNER_TIMEOUT_MS
+ */
+function getRemoteSignerOptions(label) {
+  return {
+    url: process.env.REMOTE_SIGNER_URL,
+    token: process.env.REMOTE_SIGNER_TOKEN,
+    timeoutMs: parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS || '10000', 10),
+    label
+  };
+}
+
+/**
+ * Load the signer for a key source
+ * A remoteKeyId selects a key held by the remote signer; otherwise the key is
+ * loaded locally with keystore.loadWallet. Both are ethers signers, so callers
+ * only rely on address, connect, sendTransaction and the sign methods.
+ * @param {Object} source Where the key lives
+ * @param {string} [source.remoteKeyId] Key id at the remote signer, takes precedence over local keys
+ * @param {string} [source.keystorePath] Path to the encrypted JSON keystore
+ * @param {string} [source.keystoreJson] The encrypted JSON keystore itself
+ * @param {string} [source.privateKey] Hex private key, used when no keystore is given
+ * @param {string} [source.label] Name used in log and error messages
+ * @param {Object} [provider] Provider to connect the signer to
+ * @returns {Promise<Object|null>} The signer, or null if no source is set
+ */
+async function loadSigner({ remoteKeyId, label = 'wallet', ...localSource }, provider) {
+  if (remoteKeyId) {
+    return RemoteSigner.connectToKey(remoteKeyId, getRemoteSignerOptions(label), provider);
+  }
+  return keystore.loadWallet({ ...localSource, label }, provider);
+}
+
+/**
+ * Whether a signer's key is held by the remote signer
+ */
+function isRemoteSigner(signer) {
+  return signer instanceof RemoteSigner;
+}
+
+/**
+ * Load the owner signer from OWNER_SIGNER_KEY_ID, OWNER_KEYSTORE, OWNER_PRIVATE_KEY or PRIVATE_KEY
+ */
+function loadOwnerSigner(provider) {
+  return loadSigner({
+    remoteKeyId: process.env.OWNER_SIGNER_KEY_ID,
+    keystorePath: process.env.OWNER_KEYSTORE,
+    privateKey: process.env.OWNER_PRIVATE_KEY || process.env.PRIVATE_KEY,
+    label: 'owner'
+  }, provider);
+}
+
+/**
+ * Load the treasury signer from TREASURY_SIGNER_KEY_ID, TREASURY_KEYSTORE or TREASURY_PRIVATE_KEY
+ */
+function loadTreasurySigner(provider) {
+  return loadSigner({
+    remoteKeyId: process.env.TREASURY_SIGNER_KEY_ID,
+    keystorePath: process.env.TREASURY_KEYSTORE,
+    privateKey: process.env.TREASURY_PRIVATE_KEY,
+    label: 'treasury'
+  }, provider);
+}
+
+module.exports = {
+  loadSigner,
+  isRemoteSigner,
+  loadOwnerSigner,
+  loadTreasurySigner
+};
@@ -8,14 +8,41 @@ require('dotenv').config();
 
 const Player = require('./models/Player');
 const Leaderboard = require('./models/Leaderboard');
+const RewardTransfer = require('./models/RewardTransfer');
+const LedgerEntry = require('./models/LedgerEntry');
 const relayerSystem = require('./relayer'); // Import relayer system
+const ProviderManager = require('./services/providerManager');
 const GasOptimizer = require('./services/gasOptimizer');
+const ReconciliationService = require('./services/reconciliation');
+const RelayerFundingService = require('./services/relayerFunding');
+const TreasuryMonitor = require('./services/treasuryMonitor');
+const TreasuryWatcher = require('./services/treasuryWatcher');
+const RewardRulesService = require('./services/rewardRules');
+const EmissionControl = require('./services/emissionControl');
+const EventIndexer = require('./services/eventIndexer');
+const WalletAuth = require('./services/walletAuth');
+const GameSessionService = require('./services/gameSessions');
+const AntiCheat = require('./services/antiCheat');
+const Moderation = require('./services/moderation');
+const UsernameService = require('./services/usernames');
 const gasRoutes = require('./routes/gas');
 const healthRoutes = require('./routes/health');
 const relayerRoutes = require('./routes/relayer');
+const transferRoutes = require('./routes/transfers');
+const ledgerRoutes = require('./routes/ledger');
+const rewardRoutes = require('./routes/rewards');
+const rewardRuleRoutes = require('./routes/rewardRules');
+const indexerRoutes = require('./routes/indexer');
+const authRoutes = require('./routes/auth');
+const sessionRoutes = require('./routes/session');
+const antiCheatRoutes = require('./routes/antiCheat');
+const moderationRoutes = require('./routes/moderation');
 const errorHandler = require('./middleware/errorHandler');
+const idempotency = require('./middleware/idempotency');
+const { requireSession, rejectSuspended } = require('./middleware/auth');
 const logger = require('./config/logger');
 const config = require('./config/config'); // Import config
+const signers = require('./config/signers');
 
 // Import token ABI
 const TokenABI = require('./TokenABI.json');
@@ -66,7 +93,8 @@ app.use((req, res, next) => {
   }
   
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   
   // Handle preflight requests
@@ -126,15 +154,13 @@ function convertBigIntsToStrings(obj) {
   return obj;
 }
 
-// Set up provider with automatic reconnection
-const setupProvider = () => {
+// Set up the shared provider, which fails over between the configured RPC endpoints
+const setupProvider = async () => {
   try {
-    const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL, undefined, {
-      staticNetwork: true,
-      polling: true,
-      pollingInterval: 4000, // Poll every 4 seconds
-      cacheTimeout: -1 // Don't cache results
-    });
+    if (!await global.providerManager.initialize()) {
+      throw new Error('Provider manager failed to initialize');
+    }
+    const provider = global.providerManager.provider;
     
     stats.rpcStatus = 'connected';
     
@@ -145,7 +171,7 @@ const setupProvider = () => {
       stats.lastErrorMessage = error?.message || 'RPC provider error';
       stats.lastErrorTimestamp = Date.now();
       stats.rpcReconnectAttempts++;
-      // No need to reconnect here, ethers v6 handles reconnection automatically
+      // No need to reconnect here, the provider manager fails over to the next endpoint
     });
     
     provider.on('network', (newNetwork, oldNetwork) => {
@@ -165,57 +191,6 @@ const setupProvider = () => {
   }
 };
 
-// Check if RPC is healthy
-const checkRpcHealth = async () => {
-  try {
-    await provider.getBlockNumber();
-    stats.rpcStatus = 'connected';
-    return true;
-  } catch (error) {
-    console.error('RPC health check failed:', error.message);
-    stats.rpcStatus = 'error';
-    stats.lastErrorMessage = error.message;
-    stats.lastErrorTimestamp = Date.now();
-    return false;
-  }
-};
-
-// Reconnect provider if needed
-const reconnectProvider = async () => {
-  try {
-  stats.rpcReconnectAttempts++;
-    console.log('Attempting to reconnect provider...');
-  
-    provider = await setupProvider();
-    
-    if (provider) {
-      // Re-initialize relayer system with new provider
-      await relayerSystem.resetProvider(provider);
-      
-      // Re-initialize contracts with new provider
-      if (!isBackendInitialized) {
-        // Create contract instance for owner wallet (for admin operations)
-        ownerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-        tokenContract = new ethers.Contract(process.env.TOKEN_CONTRACT_ADDRESS, TokenABI, ownerWallet);
-      }
-      
-      console.log('Provider reconnected successfully');
-      stats.rpcStatus = 'reconnected';
-      return true;
-    } else {
-      console.error('Failed to reconnect provider');
-      stats.rpcStatus = 'disconnected';
-      return false;
-    }
-  } catch (error) {
-    console.error('Error reconnecting provider:', error);
-    stats.rpcStatus = 'error';
-    stats.lastErrorMessage = error.message;
-    stats.lastErrorTimestamp = Date.now();
-    return false;
-  }
-};
-
 // Add transaction to history for admin panel
 const addToTxHistory = (txData) => {
   // Convert any BigInt values to strings before storing
@@ -233,6 +208,34 @@ const addToTxHistory = (txData) => {
   }
 };
 
+// Record credited reward points in the ledger
+const recordRewardCredit = async (walletAddress, amount, transferId) => {
+  try {
+    await LedgerEntry.record({
+      entryType: 'credit',
+      walletAddress,
+      amount,
+      transferId
+    });
+  } catch (error) {
+    console.error(`Failed to record ledger credit for ${walletAddress}:`, error.message);
+  }
+};
+
+// Response for a reward turned away by an emission cap
+const emissionCapResponse = (emission, reward) => ({
+  error: emission.error,
+  code: emission.code,
+  cap: emission.cap,
+  limit: emission.limit,
+  remaining: emission.remaining,
+  resetsAt: emission.resetsAt,
+  reward
+});
+
+// Response for a coin claim or score that its game session rejected
+const gameSessionResponse = ({ accepted, status, ...rejection }) => rejection;
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI, {
   dbName: 'nadracer'
@@ -240,9 +243,48 @@ mongoose.connect(process.env.MONGO_URI, {
 .then(() => console.log('Connected to MongoDB'))
 .catch(err => console.error('MongoDB connection error:', err));
 
+// RPC endpoint failover, owns the one provider shared by the services and routes
+global.providerManager = new ProviderManager(config);
+
 // Import gas optimizer and make it global
 global.gasOptimizer = new GasOptimizer(config);
 
+// Ledger reconciliation job, also used by the admin ledger routes
+global.reconciliationService = new ReconciliationService(config);
+
+// Relayer gas funding, also used by the relayer admin routes
+global.relayerFunding = new RelayerFundingService(config);
+
+// Treasury balance and allowance monitor, pauses payouts the treasury cannot cover
+global.treasuryMonitor = new TreasuryMonitor(config);
+
+// Treasury change watcher, holds payouts while the contract treasury and the treasury wallet disagree
+global.treasuryWatcher = new TreasuryWatcher(config);
+
+// Coin to token conversion rules, also used by the reward routes
+global.rewardRules = new RewardRulesService(config);
+
+// Per-wallet and global emission caps, releases deferred payouts
+global.emissionControl = new EmissionControl(config);
+
+// Token event indexer, serves on-chain reward history
+global.eventIndexer = new EventIndexer(config);
+
+// Wallet sign-in and sessions for the player endpoints
+global.walletAuth = new WalletAuth(config);
+
+// Server-issued races that coin claims and scores are checked against
+global.gameSessions = new GameSessionService(config);
+
+// Anti-cheat rules for scores and coin claims, and the review queue for flagged wallets
+global.antiCheat = new AntiCheat(config);
+
+// Player bans and suspensions, with their audit trail
+global.moderation = new Moderation(config);
+
+// Username policy, renames and name history
+global.usernames = new UsernameService(config);
+
 // Initialize the backend
 const initializeBackend = async () => {
   try {
@@ -275,19 +317,11 @@ const initializeBackend = async () => {
       throw new Error('Failed to initialize provider');
     }
     
-    // Create treasury wallet for token transfers
-    const treasuryPrivateKey = process.env.TREASURY_PRIVATE_KEY;
-    if (!treasuryPrivateKey || !treasuryPrivateKey.startsWith('0x')) {
-      throw new Error('Invalid treasury private key format. Must start with 0x.');
+    // Keep the owner wallet for admin operations, the same key the relayer system loads
+    ownerWallet = await signers.loadOwnerSigner(provider);
+    if (!ownerWallet) {
+      throw new Error('No owner key configured. Set OWNER_SIGNER_KEY_ID, OWNER_KEYSTORE, OWNER_PRIVATE_KEY or PRIVATE_KEY.');
     }
-    
-    // Keep the owner wallet for admin operations
-    const ownerPrivateKey = process.env.PRIVATE_KEY;
-    if (!ownerPrivateKey || !ownerPrivateKey.startsWith('0x')) {
-      throw new Error('Invalid owner private key format. Must start with 0x.');
-    }
-    
-    ownerWallet = new ethers.Wallet(ownerPrivateKey, provider);
     console.log(`Owner wallet address: ${ownerWallet.address}`);
     
     // Create token contract instance with treasury address
@@ -299,10 +333,14 @@ const initializeBackend = async () => {
     if (relayerInitResult) {
       console.log('Relayer system initialized successfully');
       
+      // Verify the contract treasury before restored transfers are paid out
+      await global.treasuryWatcher.initialize(provider, relayerSystem);
+      
       // Set up transaction complete callback to add to history
       relayerSystem.setTransactionCompleteCallback((txData) => {
         addToTxHistory({
           type: 'token_transfer',
+          transferId: txData.transferId ? txData.transferId.toString() : null,
           walletAddress: txData.walletAddress,
           pointsToMint: txData.pointsToMint,
           status: txData.success ? 'success' : 'failed',
@@ -329,10 +367,44 @@ const initializeBackend = async () => {
       console.warn('⚠️ Warning: Relayer system initialization had some issues');
     }
     
+    // Keep holding the payouts of wallets whose anti-cheat flags are under review
+    await global.antiCheat.initialize(relayerSystem);
+    await global.moderation.initialize(relayerSystem, global.antiCheat);
+    await global.usernames.initialize();
+    
     // Initialize gas optimizer
     await global.gasOptimizer.initialize(provider, process.env.TOKEN_CONTRACT_ADDRESS);
     console.log('Gas optimizer initialized');
     
+    // Load the active reward rules and the token decimals they round to
+    await global.rewardRules.initialize(provider, process.env.TOKEN_CONTRACT_ADDRESS);
+    
+    // Initialize ledger reconciliation against the indexed treasury transfers
+    await global.reconciliationService.initialize(
+      provider,
+      process.env.TOKEN_CONTRACT_ADDRESS,
+      relayerSystem,
+      global.eventIndexer
+    );
+    
+    // Index token events for on-chain reward history
+    await global.eventIndexer.initialize(
+      provider,
+      process.env.TOKEN_CONTRACT_ADDRESS,
+      process.env.TREASURY_ADDRESS
+    );
+    
+    // Keep relayers funded for gas
+    if (relayerInitResult) {
+      await global.relayerFunding.initialize(provider, relayerSystem);
+      
+      // Watch the treasury so payouts pause instead of failing when it runs dry
+      await global.treasuryMonitor.initialize(provider, relayerSystem);
+    }
+    
+    // Enforce emission caps and release deferred payouts
+    await global.emissionControl.initialize(relayerSystem);
+    
     console.log('Backend initialization complete.');
     isBackendInitialized = true; // Mark backend as fully initialized
     
@@ -343,12 +415,13 @@ const initializeBackend = async () => {
   }
 };
 
-// Token rewards for coin collection in real-time
-app.post('/api/transfer-tokens', async (req, res) => {
-  const { walletAddress, coinsCollected } = req.body;
+// Token rewards for coin collection in real-time, paid to the signed-in wallet
+app.post('/api/transfer-tokens', requireSession, rejectSuspended, idempotency('transfer-tokens'), async (req, res) => {
+  const { coinsCollected, sessionId, claimNumber, sessionEnd } = req.body;
+  const walletAddress = req.walletAddress;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress) || !coinsCollected || coinsCollected <= 0) {
-    return res.status(400).json({ error: 'Invalid wallet address or coin count' });
+  if (typeof coinsCollected !== 'number' || !Number.isFinite(coinsCollected) || coinsCollected <= 0) {
+    return res.status(400).json({ error: 'Invalid coin count' });
   }
 
   try {
@@ -358,9 +431,44 @@ app.post('/api/transfer-tokens', async (req, res) => {
     if (!player) {
       return res.status(404).json({ error: 'Player not registered. Please register first.' });
     }
+    
+    // The coins must come from an open race, in order and within its coin ceiling
+    const claim = await global.gameSessions.checkCoinClaim(sessionId, walletAddress, coinsCollected, claimNumber);
+    if (!claim.accepted) {
+      return res.status(claim.status).json(gameSessionResponse(claim));
+    }
+    const trackId = claim.session.trackId;
 
-    // Calculate token amount (1 point per coin)
-    const pointsToMint = coinsCollected;
+    // Calculate token amount from the active reward rules
+    const reward = await global.rewardRules.calculateReward({ coinsCollected, trackId });
+    if (!reward.eligible) {
+      return res.status(400).json({ error: reward.reason, reward });
+    }
+    const pointsToMint = reward.amount;
+    
+    // Check if token rewards are enabled
+    const enableTokenRewards = process.env.ENABLE_TOKEN_REWARDS === 'true';
+    
+    // Reserve the reward against the emission caps; over a cap it is rejected, or its payout deferred.
+    // Without token rewards nothing is paid out, so nothing is reserved.
+    const emission = enableTokenRewards ? await global.emissionControl.reserve(walletAddress, pointsToMint) : null;
+    const deferPayout = Boolean(emission) && !emission.reserved && emission.deferrable && config.emission.mode === 'defer';
+    if (emission && !emission.reserved && !deferPayout) {
+      global.emissionControl.recordBlocked(false);
+      return res.status(429).json(emissionCapResponse(emission, reward));
+    }
+    
+    // Count the claim against the race; a concurrent claim with the same number loses
+    const recorded = await global.gameSessions.recordCoinClaim(claim.session, coinsCollected, sessionEnd);
+    if (!recorded.accepted) {
+      if (emission && emission.reserved) {
+        await global.emissionControl.release(walletAddress, pointsToMint, emission.reservedAt);
+      }
+      return res.status(recorded.status).json(gameSessionResponse(recorded));
+    }
+    
+    // Score the claim for cheating; a flag holds the wallet's payouts, this one included
+    await global.antiCheat.evaluate({ type: 'coins', walletAddress, session: claim.session, value: coinsCollected, sessionEnd });
     
     // Always update the database immediately for better UX
     player.totalPoints += pointsToMint;
@@ -368,11 +476,9 @@ app.post('/api/transfer-tokens', async (req, res) => {
     
     stats.tokensTrackedInDb += pointsToMint;
     
-    // Check if token rewards are enabled
-    const enableTokenRewards = process.env.ENABLE_TOKEN_REWARDS === 'true';
-    
     if (!enableTokenRewards) {
       console.log(`Token rewards disabled. Skipping blockchain transfer for ${pointsToMint} tokens to ${walletAddress}`);
+      await recordRewardCredit(walletAddress, pointsToMint, null);
       return res.json({ 
         success: true, 
         message: 'Points saved to database only. Token transfers disabled.',
@@ -394,16 +500,53 @@ app.post('/api/transfer-tokens', async (req, res) => {
     }
     const gasLimitStr = gasLimit.toString();
     
-    // Queue transaction using relayer system with optimized gas
-    const success = relayerSystem.queueTransaction({
+    const txData = {
       walletAddress,
       pointsToMint,
+      coinsCollected,
+      trackId,
+      ruleSetVersion: reward.ruleSetVersion,
       playerId: player._id,
-      gasLimit
-    });
+      gasLimit,
+      emissionReservedAt: emission.reserved ? emission.reservedAt : undefined
+    };
+    
+    // Hold the payout until the cap window that blocked it resets
+    if (deferPayout) {
+      const deferred = await relayerSystem.deferTransaction(txData, emission.resetsAt);
+      await recordRewardCredit(walletAddress, pointsToMint, deferred ? deferred._id : null);
+      global.emissionControl.recordBlocked(true);
+      
+      if (!deferred) {
+        return res.json({ 
+          error: 'Transaction deferral failed',
+          dbUpdated: true,
+          success: false
+        });
+      }
+      
+      return res.status(202).json({
+        success: true,
+        message: deferred.state === 'held' ? 'Reward credited, payout held for review' : `Reward credited, payout deferred: ${emission.error}`,
+        code: emission.code,
+        reward,
+        transferId: deferred._id.toString(),
+        state: deferred.state,
+        deferredUntil: deferred.deferredUntil,
+        pointsToMint,
+        enabledTokenRewards: true,
+        dbUpdated: true
+      });
+    }
+    
+    // Queue transaction using relayer system with optimized gas
+    const transfer = await relayerSystem.queueTransaction(txData);
     
-    if (!success) {
+    await recordRewardCredit(walletAddress, pointsToMint, transfer ? transfer._id : null);
+    
+    if (!transfer) {
       console.error('Failed to queue transaction');
+      await global.emissionControl.release(walletAddress, pointsToMint, emission.reservedAt);
       return res.json({ 
         error: 'Transaction queueing failed',
         dbUpdated: true, // DB was still updated though
@@ -411,11 +554,21 @@ app.post('/api/transfer-tokens', async (req, res) => {
       });
     }
     
+    // The end of a session pays out whatever the wallet has waiting in its batch
+    const batchTransfer = sessionEnd && transfer.state === 'batching' ?
+      await relayerSystem.flushBatch(walletAddress, 'session_end') :
+      null;
+    
     return res.json({ 
       success: true, 
-      message: 'Token transfer queued successfully',
+      message: transfer.state === 'batching' ? 'Token reward added to payout batch' :
+        transfer.state === 'held' ? 'Token reward held for review' : 'Token transfer queued successfully',
+      transferId: transfer._id.toString(),
+      state: transfer.state,
+      batchTransferId: batchTransfer ? batchTransfer._id.toString() : undefined,
       gasLimit: gasLimitStr,
       pointsToMint,
+      reward,
       enabledTokenRewards: true,
       dbUpdated: true
     });
@@ -426,14 +579,15 @@ app.post('/api/transfer-tokens', async (req, res) => {
 });
 
 // Backward compatibility for old mint-tokens endpoint
-app.post('/api/mint-tokens', async (req, res) => {
+app.post('/api/mint-tokens', requireSession, rejectSuspended, idempotency('mint-tokens'), async (req, res) => {
   console.log('Deprecated /api/mint-tokens endpoint called - redirecting to /api/transfer-tokens');
   
   // Forward the request to the new endpoint
-  const { walletAddress, coinsCollected } = req.body;
+  const { coinsCollected, sessionId, claimNumber, sessionEnd } = req.body;
+  const walletAddress = req.walletAddress;
   
-  if (!walletAddress || !ethers.isAddress(walletAddress) || !coinsCollected || coinsCollected <= 0) {
-    return res.status(400).json({ error: 'Invalid wallet address or coin count' });
+  if (typeof coinsCollected !== 'number' || !Number.isFinite(coinsCollected) || coinsCollected <= 0) {
+    return res.status(400).json({ error: 'Invalid coin count' });
   }
   
   try {
@@ -444,20 +598,82 @@ app.post('/api/mint-tokens', async (req, res) => {
       return res.status(404).json({ error: 'Player not registered. Please register first.' });
     }
     
-    // Calculate token amount (1 point per coin)
-    const pointsToMint = coinsCollected;
+    // Same game session checks as /api/transfer-tokens
+    const claim = await global.gameSessions.checkCoinClaim(sessionId, walletAddress, coinsCollected, claimNumber);
+    if (!claim.accepted) {
+      return res.status(claim.status).json({ ...gameSessionResponse(claim), success: false });
+    }
+    const trackId = claim.session.trackId;
+    
+    // Calculate token amount from the active reward rules
+    const reward = await global.rewardRules.calculateReward({ coinsCollected, trackId });
+    if (!reward.eligible) {
+      return res.status(400).json({ error: reward.reason, reward, success: false });
+    }
+    const pointsToMint = reward.amount;
+    
+    // Same token reward switch and emission caps as /api/transfer-tokens
+    const enableTokenRewards = process.env.ENABLE_TOKEN_REWARDS === 'true';
+    const emission = enableTokenRewards ? await global.emissionControl.reserve(walletAddress, pointsToMint) : null;
+    const deferPayout = Boolean(emission) && !emission.reserved && emission.deferrable && config.emission.mode === 'defer';
+    if (emission && !emission.reserved && !deferPayout) {
+      global.emissionControl.recordBlocked(false);
+      return res.status(429).json({ ...emissionCapResponse(emission, reward), success: false });
+    }
+    
+    const recorded = await global.gameSessions.recordCoinClaim(claim.session, coinsCollected, sessionEnd);
+    if (!recorded.accepted) {
+      if (emission && emission.reserved) {
+        await global.emissionControl.release(walletAddress, pointsToMint, emission.reservedAt);
+      }
+      return res.status(recorded.status).json({ ...gameSessionResponse(recorded), success: false });
+    }
+    
+    // Same anti-cheat scoring as /api/transfer-tokens
+    await global.antiCheat.evaluate({ type: 'coins', walletAddress, session: claim.session, value: coinsCollected, sessionEnd });
+    
+    if (!enableTokenRewards) {
+      player.totalPoints += pointsToMint;
+      await player.save();
+      
+      stats.tokensTrackedInDb += pointsToMint;
+      
+      console.log(`Token rewards disabled. Skipping blockchain transfer for ${pointsToMint} tokens to ${walletAddress}`);
+      await recordRewardCredit(walletAddress, pointsToMint, null);
+      return res.json({ 
+        success: true, 
+        message: 'Points saved to database only. Token transfers disabled.',
+        txHash: null,
+        pointsToMint,
+        totalPoints: player.totalPoints
+      });
+    }
     
     // Get optimized gas limit for the transaction
     let gasLimit = global.gasOptimizer.getOptimizedGasLimit('GAS_LIMIT_TRANSFER') || 
                   BigInt(process.env.GAS_LIMIT_TRANSFER || 80000);
     
-    // Queue transaction using relayer system
-    const success = relayerSystem.queueTransaction({
+    const txData = {
       walletAddress,
       pointsToMint,
+      coinsCollected,
+      trackId,
+      ruleSetVersion: reward.ruleSetVersion,
       playerId: player._id,
-      gasLimit
-    });
+      gasLimit,
+      emissionReservedAt: emission.reserved ? emission.reservedAt : undefined
+    };
+    
+    // Queue transaction using relayer system, or hold it until the cap window resets
+    const transfer = deferPayout ?
+      await relayerSystem.deferTransaction(txData, emission.resetsAt) :
+      await relayerSystem.queueTransaction(txData);
+    
+    if (deferPayout) {
+      global.emissionControl.recordBlocked(true);
+    } else if (!transfer) {
+      await global.emissionControl.release(walletAddress, pointsToMint, emission.reservedAt);
+    }
     
     // Update player record
     player.totalPoints += pointsToMint;
@@ -465,7 +681,9 @@ app.post('/api/mint-tokens', async (req, res) => {
     
     stats.tokensTrackedInDb += pointsToMint;
     
-    if (!success) {
+    await recordRewardCredit(walletAddress, pointsToMint, transfer ? transfer._id : null);
+    
+    if (!transfer) {
       return res.json({ 
         error: 'Transaction queueing failed',
         dbUpdated: true,
@@ -475,7 +693,10 @@ app.post('/api/mint-tokens', async (req, res) => {
     
     return res.json({ 
       success: true, 
-      message: 'Token transfer initiated (using treasury transfer)',
+      message: transfer.state === 'held' ? 'Token transfer held for review' :
+        deferPayout ? `Token transfer deferred: ${emission.error}` : 'Token transfer initiated (using treasury transfer)',
+      transferId: transfer._id.toString(),
+      deferredUntil: transfer.deferredUntil,
       pointsToMint,
       totalPoints: player.totalPoints
     });
@@ -485,17 +706,9 @@ app.post('/api/mint-tokens', async (req, res) => {
   }
 });
 
-// Register a new player
-app.post('/api/register', async (req, res) => {
-  const { walletAddress, username } = req.body;
-  
-  if (!walletAddress || !ethers.isAddress(walletAddress)) {
-    return res.status(400).json({ error: 'Invalid wallet address' });
-  }
-  
-  if (!username || username.length < 3 || username.length > 20) {
-    return res.status(400).json({ error: 'Username must be between 3 and 20 characters' });
-  }
+// Register the signed-in wallet as a new player
+app.post('/api/register', requireSession, async (req, res) => {
+  const walletAddress = req.walletAddress;
   
   try {
     // Check if wallet already registered
@@ -504,16 +717,18 @@ app.post('/api/register', async (req, res) => {
       return res.status(409).json({ error: 'Wallet already registered', player: existingPlayer });
     }
     
-    // Check if username is taken
-    const existingUsername = await Player.findOne({ username });
-    if (existingUsername) {
-      return res.status(409).json({ error: 'Username already taken' });
+    // Check the name against the username policy and, ignoring case, the names in use
+    const checked = await global.usernames.checkAvailable(req.body.username);
+    if (!checked.accepted) {
+      return res.status(checked.status).json({ error: checked.error, code: checked.code });
     }
+    const { username } = checked;
     
     // Create new player
     const player = new Player({
       walletAddress,
       username,
+      usernameKey: global.usernames.toKey(username),
       totalPoints: 0,
       registeredAt: new Date()
     });
@@ -536,11 +751,68 @@ app.post('/api/register', async (req, res) => {
     
     res.json({ success: true, player });
   } catch (error) {
+    // The unique indexes catch a wallet or name registered since they were checked
+    if (error.code === 11000) {
+      return res.status(409).json({ error: error.keyPattern && error.keyPattern.walletAddress ? 'Wallet already registered' : 'Username already taken' });
+    }
     console.error('Player registration error:', error);
     res.status(500).json({ error: 'Failed to register player' });
   }
 });
 
+// Check whether a name is free and fits the username policy
+app.get('/api/username/check', async (req, res) => {
+  try {
+    const checked = await global.usernames.checkAvailable(req.query.username);
+    res.json({
+      available: checked.accepted,
+      username: checked.username,
+      error: checked.error,
+      code: checked.code
+    });
+  } catch (error) {
+    console.error('Username check error:', error);
+    res.status(500).json({ error: 'Failed to check username' });
+  }
+});
+
+// Rename the signed-in player, once per rename cooldown
+app.post('/api/player/username', requireSession, rejectSuspended, async (req, res) => {
+  const walletAddress = req.walletAddress;
+  
+  try {
+    const result = await global.usernames.rename(walletAddress, req.body.username);
+    if (!result.accepted) {
+      const { accepted, status, ...rejection } = result;
+      return res.status(status).json(rejection);
+    }
+    
+    stats.activePlayers[walletAddress] = { username: result.player.username, lastActive: Date.now() };
+    
+    res.json({ success: true, player: result.player, change: result.change });
+  } catch (error) {
+    console.error('Username change error:', error);
+    res.status(500).json({ error: 'Failed to change username' });
+  }
+});
+
+// List a player's past usernames, most recent first
+app.get('/api/player/:walletAddress/usernames', async (req, res) => {
+  const { walletAddress } = req.params;
+  
+  if (!ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  try {
+    const history = await global.usernames.getHistory(walletAddress);
+    res.json({ walletAddress: walletAddress.toLowerCase(), history });
+  } catch (error) {
+    console.error('Username history error:', error);
+    res.status(500).json({ error: 'Failed to get username history' });
+  }
+});
+
 // Check if a player is registered
 app.get('/api/player/:walletAddress', async (req, res) => {
   const { walletAddress } = req.params;
@@ -580,6 +852,9 @@ app.get('/api/player/:walletAddress', async (req, res) => {
         playerData.lastScoreUpdate = leaderboardEntry.updatedAt;
       }
       
+      // Reward allowance left under the emission caps
+      playerData.emissionAllowance = await global.emissionControl.getAllowance(walletAddress);
+      
       console.log(`Returning player data with highestScore: ${playerData.highestScore || 'not set'}`);
       
       return res.json({ 
@@ -596,12 +871,100 @@ app.get('/api/player/:walletAddress', async (req, res) => {
   }
 });
 
-// Save player score and update leaderboard
-app.post('/api/save-score', async (req, res) => {
-  const { walletAddress, score } = req.body;
+// List a player's reward transfers with their current state
+app.get('/api/player/:walletAddress/transfers', async (req, res) => {
+  const { walletAddress } = req.params;
+  
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  const { state } = req.query;
+  if (state && !RewardTransfer.STATES.includes(state)) {
+    return res.status(400).json({ error: `Invalid state. Must be one of: ${RewardTransfer.STATES.join(', ')}` });
+  }
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    
+    const filter = { walletAddress };
+    if (state) {
+      filter.state = state;
+    }
+    
+    const transfers = await RewardTransfer.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await RewardTransfer.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      transfers: transfers.map(transfer => transfer.toStatusResponse()),
+      pagination: {
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Player transfers lookup error:', error);
+    res.status(500).json({ error: 'Failed to retrieve player transfers' });
+  }
+});
+
+// Get player's confirmed on-chain reward history and balance from indexed events
+app.get('/api/player/:walletAddress/onchain-rewards', async (req, res) => {
+  const { walletAddress } = req.params;
+  
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  if (!global.eventIndexer || !global.eventIndexer.initialized) {
+    return res.status(503).json({ error: 'Event indexer not initialized' });
+  }
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    
+    const [history, balance] = await Promise.all([
+      global.eventIndexer.getRewardHistory(walletAddress, { page, limit }),
+      global.eventIndexer.getIndexedBalance(walletAddress)
+    ]);
+    
+    res.json({
+      success: true,
+      walletAddress: walletAddress.toLowerCase(),
+      balance,
+      totalRewards: history.totalRewards,
+      rewards: history.rewards,
+      indexedToBlock: global.eventIndexer.lastBlock,
+      pagination: {
+        total: history.rewardCount,
+        page,
+        totalPages: Math.ceil(history.rewardCount / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('On-chain rewards lookup error:', error);
+    res.status(500).json({ error: 'Failed to retrieve on-chain rewards' });
+  }
+});
+
+// Save the signed-in player's score and update leaderboard
+app.post('/api/save-score', requireSession, rejectSuspended, idempotency('save-score'), async (req, res) => {
+  const { score, sessionId } = req.body;
+  const walletAddress = req.walletAddress;
 
-  if (!walletAddress || !ethers.isAddress(walletAddress) || typeof score !== 'number') {
-    return res.status(400).json({ error: 'Invalid wallet address or score' });
+  if (typeof score !== 'number' || !Number.isFinite(score) || score < 0) {
+    return res.status(400).json({ error: 'Invalid score' });
   }
 
   try {
@@ -611,6 +974,15 @@ app.post('/api/save-score', async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
     
+    // The score ends its race; one per race, within the race's score ceiling
+    const result = await global.gameSessions.submitScore(sessionId, walletAddress, score);
+    if (!result.accepted) {
+      return res.status(result.status).json(gameSessionResponse(result));
+    }
+    
+    // Score the race for cheating; a flag holds the wallet's payouts
+    await global.antiCheat.evaluate({ type: 'score', walletAddress, session: result.session, value: score });
+    
     // Track active player
     stats.activePlayers[walletAddress] = { username: player.username, lastActive: Date.now() };
     
@@ -618,18 +990,22 @@ app.post('/api/save-score', async (req, res) => {
     let leaderboardEntry = await Leaderboard.findOne({ walletAddress });
     
     if (leaderboardEntry) {
-      // Update if new score is higher
+      // Count the race, and keep the score if it is the new best
+      leaderboardEntry.totalGames += 1;
+      leaderboardEntry.lastGameDate = result.session.endedAt;
       if (score > leaderboardEntry.highestScore) {
         leaderboardEntry.highestScore = score;
         leaderboardEntry.updatedAt = new Date();
-        await leaderboardEntry.save();
       }
+      await leaderboardEntry.save();
     } else {
       // Create new entry if not exists
       leaderboardEntry = new Leaderboard({
           walletAddress, 
           username: player.username,
           highestScore: score,
+          totalGames: 1,
+          lastGameDate: result.session.endedAt,
         updatedAt: new Date()
       });
       await leaderboardEntry.save();
@@ -651,7 +1027,9 @@ app.get('/api/leaderboard', async (req, res) => {
     const totalEntries = await Leaderboard.countDocuments();
     console.log(`Total leaderboard entries in database: ${totalEntries}`);
     
-    const leaderboard = await Leaderboard.find()
+    // Banned and suspended players are left off the leaderboard
+    const sanctioned = await Player.distinct('walletAddress', Player.sanctionedFilter());
+    const leaderboard = await Leaderboard.find({ walletAddress: { $nin: sanctioned } })
       .sort({ highestScore: -1 })
       .limit(100);
     
@@ -726,8 +1104,7 @@ app.get('/api/admin/status', async (req, res) => {
     }
     
     const treasuryBalance = await getTokenBalance(process.env.TREASURY_ADDRESS);
-    const ownerBalance = await provider.getBalance(process.env.PRIVATE_KEY ? 
-      new ethers.Wallet(process.env.PRIVATE_KEY).address : '0x0');
+    const ownerBalance = await provider.getBalance(ownerWallet ? ownerWallet.address : '0x0');
     
     return res.json({
       serverStatus: {
@@ -738,16 +1115,27 @@ app.get('/api/admin/status', async (req, res) => {
       },
       rpcStatus: {
         status: stats.rpcStatus,
-        provider: process.env.MONAD_RPC_URL,
+        provider: global.providerManager.getStatus().active,
         blockNumber,
         reconnectAttempts: stats.rpcReconnectAttempts
       },
+      providerManager: global.providerManager.getStatus(),
       contractStatus: {
         address: process.env.TOKEN_CONTRACT_ADDRESS,
         treasuryAddress: process.env.TREASURY_ADDRESS,
         treasuryBalance: treasuryBalance.toString(),
         ownerBalance: ethers.formatEther(ownerBalance.toString())
       },
+      treasuryMonitor: global.treasuryMonitor.getStatus(),
+      treasuryWatcher: global.treasuryWatcher.getStatus(),
+      rewardRules: global.rewardRules.getStatus(),
+      emissionControl: global.emissionControl.getStatus(),
+      eventIndexer: global.eventIndexer.getStatus(),
+      walletAuth: global.walletAuth.getStatus(),
+      gameSessions: global.gameSessions.getStatus(),
+      antiCheat: global.antiCheat.getStatus(),
+      moderation: global.moderation.getStatus(),
+      usernames: global.usernames.getStatus(),
       playerStats: {
         totalPlayers: await Player.countDocuments(),
         leaderboardEntries: await Leaderboard.countDocuments()
@@ -887,6 +1275,15 @@ async function getTokenBalance(address) {
 app.use('/api/gas', gasRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/relayer', relayerRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/admin/ledger', ledgerRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/admin/rewards/rules', rewardRuleRoutes);
+app.use('/api/admin/indexer', indexerRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/session', sessionRoutes);
+app.use('/api/admin/anticheat', antiCheatRoutes);
+app.use('/api/admin/moderation', moderationRoutes);
 
 // Start the server
 app.listen(port, async () => {
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const Player = require('../models/Player');
+const config = require('../config/config');
+
+/**
+ * Read the token from an `Authorization: Bearer <token>` header
+ */
+function getBearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Keys are compared as hashes, so the comparison takes the same time whatever the key
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Require an admin API key from ADMIN_API_KEYS, sent as `Authorization: Bearer <key>`
+ * Sets req.admin to the name the key is configured under; admin handlers record it as
+ * the acting admin and ignore any admin named in the request body.
+ */
+const requireAdmin = (req, res, next) => {
+  if (config.admin.apiKeys.length === 0) {
+    return res.status(503).json({ success: false, error: 'Admin endpoints are disabled, set ADMIN_API_KEYS' });
+  }
+  
+  const token = getBearerToken(req);
+  const tokenHash = token ? hashKey(token) : null;
+  const admin = tokenHash && config.admin.apiKeys.find(entry => crypto.timingSafeEqual(hashKey(entry.key), tokenHash));
+  if (!admin) {
+    return res.status(401).json({ success: false, error: 'A valid admin API key is required' });
+  }
+  
+  req.admin = admin.name;
+  next();
+};
+
+/**
+ * Require a wallet session (see services/walletAuth)
+ * Sets req.walletAddress to the signed-in wallet; player handlers use it and
+ * ignore any walletAddress in the request body. Banned wallets are turned away;
+ * a suspension is set on req.sanction for rejectSuspended.
+ */
+const requireSession = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Sign in with your wallet first (POST /api/auth/challenge)' });
+  }
+  
+  try {
+    const session = await global.walletAuth.authenticate(token);
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid, sign in again' });
+    }
+    
+    // A ban ends the wallet's sessions, this also covers a session made just before it
+    const player = await Player.findOne(
+      { walletAddress: session.walletAddress },
+      { banned: 1, bannedAt: 1, banReason: 1, suspendedUntil: 1, suspensionReason: 1 }
+    );
+    const sanction = player ? player.getSanction() : null;
+    if (sanction && sanction.type === 'ban') {
+      return res.status(403).json({ error: 'This wallet is banned', code: 'PLAYER_BANNED', reason: sanction.reason });
+    }
+    
+    req.sanction = sanction;
+    req.playerSession = session;
+    req.walletAddress = ethers.getAddress(session.walletAddress);
+    next();
+  } catch (error) {
+    console.error('Session check failed:', error);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+};
+
+/**
+ * Turn away suspended players, after requireSession
+ * For the endpoints that submit scores and claim rewards.
+ */
+const rejectSuspended = (req, res, next) => {
+  if (req.sanction && req.sanction.type === 'suspension') {
+    return res.status(403).json({
+      error: `This wallet is suspended until ${req.sanction.until.toISOString()}`,
+      code: 'PLAYER_SUSPENDED',
+      reason: req.sanction.reason,
+      suspendedUntil: req.sanction.until
+    });
+  }
+  next();
+};
+
+module.exports = {
+  getBearerToken,
+  requireAdmin,
+  requireSession,
+  rejectSuspended
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash the request body so a reused key with a different payload can be rejected
+ */
+function hashRequestBody(body) {
+  const { requestId, ...payload } = body || {};
+  const serialized = JSON.stringify(payload, (key, value) =>
+    typeof value === 'bigint' ? value.toString() : value
+  );
+  return crypto.createHash('sha256').update(serialized).digest('hex');
+}
+
+/**
+ * Claim an idempotency key, returning the existing record if it was already used
+ */
+async function claimKey(filter, requestHash) {
+  const now = Date.now();
+  try {
+    await IdempotencyKey.create({
+      ...filter,
+      requestHash,
+      lockedUntil: new Date(now + config.idempotency.leaseMs),
+      expiresAt: new Date(now + config.idempotency.retentionMs)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  
+  const existing = await IdempotencyKey.findOne(filter);
+  
+  // MongoDB removes expired keys lazily, so treat them as unused
+  if (!existing || existing.expiresAt <= new Date()) {
+    await IdempotencyKey.deleteOne(filter);
+    return claimKey(filter, requestHash);
+  }
+  
+  // A request that crashed or hung never completes its key; once its lease runs out a retry takes it over
+  if (existing.state === 'in_progress' && existing.requestHash === requestHash &&
+      !(existing.lockedUntil > new Date(now))) {
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, state: 'in_progress', lockedUntil: existing.lockedUntil || null },
+      { lockedUntil: new Date(now + config.idempotency.leaseMs) }
+    );
+    return taken ? null : claimKey(filter, requestHash);
+  }
+  
+  return existing;
+}
+
+/**
+ * Make a POST endpoint idempotent
+ * Clients send an Idempotency-Key header (or a requestId body field). A repeated
+ * key within the retention window replays the original response without running
+ * the handler again.
+ * @param {string} scope Name of the endpoint the keys belong to
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key') || req.body?.requestId;
+  
+  if (key === undefined || key === null || key === '') {
+    return next();
+  }
+  
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters` });
+  }
+  
+  // Keys belong to the signed-in wallet when the endpoint requires a session
+  const filter = {
+    scope,
+    walletAddress: (req.walletAddress || req.body?.walletAddress || '').toString().toLowerCase(),
+    key
+  };
+  const requestHash = hashRequestBody(req.body);
+  
+  try {
+    const existing = await claimKey(filter, requestHash);
+    
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency key was already used with a different request' });
+      }
+      
+      if (existing.state !== 'completed') {
+        return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+      }
+      
+      console.log(`Replaying stored response for ${scope} idempotency key ${key}`);
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+  } catch (error) {
+    console.error(`Idempotency check failed for ${scope}:`, error);
+    return res.status(500).json({ error: 'Failed to process idempotency key' });
+  }
+  
+  // Store the response before it is sent, so a retry that sees it replays it
+  const originalJson = res.json;
+  res.json = function(data) {
+    const statusCode = res.statusCode;
+    
+    // Server errors release the key so the client can retry
+    const persist = statusCode >= 500
+      ? IdempotencyKey.deleteOne(filter)
+      : IdempotencyKey.updateOne(filter, {
+        state: 'completed',
+        statusCode,
+        responseBody: JSON.parse(JSON.stringify(data, (k, value) =>
+          typeof value === 'bigint' ? value.toString() : value
+        ))
+      });
+    
+    persist
+      .catch(error => {
+        console.error(`Failed to store response for ${scope} idempotency key ${key}:`, error.message);
+      })
+      .then(() => originalJson.call(this, data));
+    
+    return this;
+  };
+  
+  next();
+};
+
+module.exports = idempotency;
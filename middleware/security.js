@@ -36,7 +36,7 @@ const applySecurityMiddleware = (app) => {
   app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
     
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Sign-in messages issued to wallets. Each one can be answered once, and
+// MongoDB removes it once it has expired.
+const authChallengeSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true, lowercase: true },
+  message: { type: String, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// Expire challenges that were never answered
+authChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthChallenge', authChallengeSchema);
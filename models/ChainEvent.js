@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const EVENT_NAMES = ['Transfer', 'Approval', 'TreasuryUpdated', 'OwnershipTransferred'];
+
+// Token contract event indexed by the event indexer. Only events at least the
+// confirmation depth below the chain head are stored; a deeper reorg removes
+// the events of the replaced blocks before they are indexed again.
+const chainEventSchema = new mongoose.Schema({
+  eventName: { type: String, enum: EVENT_NAMES, required: true },
+  blockNumber: { type: Number, required: true },
+  blockHash: { type: String, required: true },
+  blockTimestamp: { type: Date },
+  txHash: { type: String, required: true, lowercase: true },
+  logIndex: { type: Number, required: true },
+  // Transfer and Approval
+  from: { type: String, lowercase: true }, // Transfer sender, Approval owner
+  to: { type: String, lowercase: true }, // Transfer recipient, Approval spender
+  value: { type: String }, // Raw amount in base units
+  amount: { type: Number }, // Amount in whole tokens
+  // TreasuryUpdated and OwnershipTransferred
+  previous: { type: String, lowercase: true },
+  current: { type: String, lowercase: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A log is identified by its transaction and position
+chainEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+
+// Indexes for a wallet's incoming and outgoing transfers
+chainEventSchema.index({ eventName: 1, to: 1, blockNumber: -1 });
+chainEventSchema.index({ eventName: 1, from: 1, blockNumber: -1 });
+
+// Index for rolling back reorged blocks
+chainEventSchema.index({ blockNumber: 1 });
+
+chainEventSchema.statics.EVENT_NAMES = EVENT_NAMES;
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const FLAG_STATUSES = ['open', 'cleared', 'confirmed'];
+
+// A score or coin claim that the anti-cheat rules scored at or above the flag
+// threshold. The wallet's payouts are held while it has open flags; an admin
+// clears the flag, confirms it, or bans the wallet.
+const cheatFlagSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  submissionType: { type: String, enum: ['score', 'coins'], required: true },
+  gameSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'GameSession' },
+  value: { type: Number }, // The submitted score, or the coins in the claim
+  ip: { type: String },
+  riskScore: { type: Number, required: true },
+  // Rules that fired, with the points they added
+  rules: [{
+    _id: false,
+    rule: { type: String },
+    points: { type: Number },
+    detail: { type: String }
+  }],
+  status: { type: String, enum: FLAG_STATUSES, default: 'open' },
+  review: {
+    action: { type: String, enum: ['clear', 'confirm', 'ban'] },
+    reason: { type: String },
+    by: { type: String },
+    at: { type: Date }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Index for the review queue, oldest open flags first
+cheatFlagSchema.index({ status: 1, createdAt: 1 });
+
+// Index for a wallet's flags
+cheatFlagSchema.index({ walletAddress: 1, createdAt: -1 });
+
+cheatFlagSchema.statics.STATUSES = FLAG_STATUSES;
+
+module.exports = mongoose.model('CheatFlag', cheatFlagSchema);
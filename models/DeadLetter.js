@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const ERROR_TYPES = [
+  'insufficient_treasury_balance',
+  'insufficient_allowance',
+  'insufficient_gas_funds',
+  'nonce',
+  'timeout',
+  'reverted',
+  'invalid_recipient',
+  'invalid_amount',
+  'cancelled_onchain',
+  'unknown'
+];
+
+// Transfers that permanently failed in the relayer and need an admin decision.
+// A transfer has at most one dead letter, reopened if a retry fails again.
+const deadLetterSchema = new mongoose.Schema({
+  transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'RewardTransfer', required: true, unique: true },
+  walletAddress: { type: String, required: true, lowercase: true },
+  pointsToMint: { type: Number, required: true },
+  relayerAddress: { type: String },
+  errorType: { type: String, enum: ERROR_TYPES, default: 'unknown' },
+  error: { type: String },
+  attempts: { type: Number, default: 0 },
+  timesDeadLettered: { type: Number, default: 1 },
+  status: {
+    type: String,
+    enum: ['open', 'retried', 'cancelled', 'resolved'], // resolved: the payout was mined after all
+    default: 'open'
+  },
+  resolution: {
+    action: { type: String, enum: ['retry', 'cancel', 'mined'] },
+    relayerAddress: { type: String },
+    reason: { type: String },
+    by: { type: String },
+    at: { type: Date }
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Index for listing and bulk-retrying open dead letters by error type
+deadLetterSchema.index({ status: 1, errorType: 1, createdAt: 1 });
+
+deadLetterSchema.statics.ERROR_TYPES = ERROR_TYPES;
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Tokens released for payout in one cap window. Wallet windows count a single
+// wallet's rewards, global windows count every reward paid by the treasury.
+// Amounts are reserved atomically against the cap before a payout is queued.
+const emissionWindowSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['wallet', 'global'], required: true },
+  walletAddress: { type: String, lowercase: true, default: null }, // Null for the global window
+  period: { type: String, enum: ['hour', 'day'], required: true },
+  windowStart: { type: Date, required: true },
+  amount: { type: Number, default: 0 }
+});
+
+// One counter per scope, wallet and window
+emissionWindowSchema.index({ scope: 1, walletAddress: 1, period: 1, windowStart: 1 }, { unique: true });
+
+// Old windows are only kept for a week
+emissionWindowSchema.index({ windowStart: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmissionWindow', emissionWindowSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Races started with POST /api/session/start. Coin claims and the score of a
+// race are checked against it, and each one is recorded here.
+const gameSessionSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  ip: { type: String }, // Client address the race was started from
+  trackId: { type: String, default: null },
+  seed: { type: Number, required: true },
+  state: {
+    type: String,
+    enum: ['open', 'completed', 'abandoned'], // abandoned: the player started another race
+    default: 'open'
+  },
+  startedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  coinClaims: { type: Number, default: 0 },
+  coinsClaimed: { type: Number, default: 0 },
+  lastClaimAt: { type: Date },
+  finishedAt: { type: Date }, // Last coin claim of the race, sent with sessionEnd
+  score: { type: Number },
+  scoreSubmittedAt: { type: Date },
+  endedAt: { type: Date }
+});
+
+// A wallet has at most one race open at a time
+gameSessionSchema.index({ walletAddress: 1 }, { unique: true, partialFilterExpression: { state: 'open' } });
+gameSessionSchema.index({ startedAt: -1 });
+
+// Index for counting the wallets that play from one address
+gameSessionSchema.index({ ip: 1, startedAt: -1 });
+
+// Index for a wallet's race history
+gameSessionSchema.index({ walletAddress: 1, state: 1, startedAt: -1 });
+
+module.exports = mongoose.model('GameSession', gameSessionSchema);
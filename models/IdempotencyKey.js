@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Stored responses for requests sent with an Idempotency-Key header or requestId.
+// Documents are removed by MongoDB once the retention window has passed.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true },
+  walletAddress: { type: String, default: '', lowercase: true },
+  requestHash: { type: String, required: true },
+  state: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  lockedUntil: { type: Date }, // Lease of the request in progress; once it passes the key can be claimed again
+  statusCode: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// A key can only be used once per endpoint and wallet
+idempotencyKeySchema.index({ scope: 1, walletAddress: 1, key: 1 }, { unique: true });
+
+// Expire keys at the end of the retention window
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Progress of a chain indexer: the last block it indexed and the hashes of
+// recently indexed blocks, used to find where the chain forked after a reorg.
+const indexerCheckpointSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  lastBlock: { type: Number, required: true },
+  lastBlockHash: { type: String },
+  recentBlocks: [{
+    _id: false,
+    number: { type: Number },
+    hash: { type: String }
+  }],
+  reorgs: { type: Number, default: 0 },
+  lastReorgAt: { type: Date },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
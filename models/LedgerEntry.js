@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = ['credit', 'payout', 'reversal', 'adjustment'];
+
+// Ledger accounts. Every entry moves an amount from its debit account to its
+// credit account, so the rewards account always mirrors the player accounts.
+const ACCOUNTS = {
+  REWARDS: 'rewards', // Rewards issued by the game
+  PENDING: 'player_pending', // Credited to a player but not yet paid on-chain
+  PAID: 'player_paid' // Paid to a player on-chain
+};
+
+const ledgerEntrySchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  entryType: { type: String, enum: ENTRY_TYPES, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  debitAccount: { type: String, enum: Object.values(ACCOUNTS), required: true },
+  creditAccount: { type: String, enum: Object.values(ACCOUNTS), required: true },
+  transferId: { type: mongoose.Schema.Types.ObjectId, ref: 'RewardTransfer' },
+  txHash: { type: String },
+  blockNumber: { type: Number },
+  note: { type: String },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Index for per-player ledger lookups
+ledgerEntrySchema.index({ walletAddress: 1, createdAt: -1 });
+
+// A transfer can only be credited, paid out and reversed once
+ledgerEntrySchema.index(
+  { transferId: 1, entryType: 1 },
+  { unique: true, partialFilterExpression: { transferId: { $exists: true } } }
+);
+
+/**
+ * Post a ledger entry, choosing the accounts from the entry type
+ * Adjustments take a signed amount: positive credits the player, negative debits them.
+ */
+ledgerEntrySchema.statics.record = async function({ entryType, walletAddress, amount, transferId, txHash, blockNumber, note, createdBy }) {
+  let debitAccount;
+  let creditAccount;
+
+  switch (entryType) {
+    case 'credit':
+      debitAccount = ACCOUNTS.REWARDS;
+      creditAccount = ACCOUNTS.PENDING;
+      break;
+    case 'payout':
+      debitAccount = ACCOUNTS.PENDING;
+      creditAccount = ACCOUNTS.PAID;
+      break;
+    case 'reversal':
+      debitAccount = ACCOUNTS.PENDING;
+      creditAccount = ACCOUNTS.REWARDS;
+      break;
+    case 'adjustment':
+      debitAccount = amount >= 0 ? ACCOUNTS.REWARDS : ACCOUNTS.PENDING;
+      creditAccount = amount >= 0 ? ACCOUNTS.PENDING : ACCOUNTS.REWARDS;
+      break;
+    default:
+      throw new Error(`Unknown ledger entry type: ${entryType}`);
+  }
+
+  return this.create({
+    walletAddress,
+    entryType,
+    amount: Math.abs(amount),
+    debitAccount,
+    creditAccount,
+    transferId: transferId || undefined,
+    txHash,
+    blockNumber,
+    note,
+    createdBy
+  });
+};
+
+/**
+ * Get a player's account balances derived from their ledger entries
+ */
+ledgerEntrySchema.statics.getBalances = async function(walletAddress) {
+  const entries = await this.find({ walletAddress });
+
+  const balances = {
+    credited: 0,
+    pending: 0,
+    paid: 0,
+    reversed: 0,
+    adjusted: 0
+  };
+
+  for (const entry of entries) {
+    if (entry.creditAccount === ACCOUNTS.PENDING) balances.pending += entry.amount;
+    if (entry.debitAccount === ACCOUNTS.PENDING) balances.pending -= entry.amount;
+    if (entry.creditAccount === ACCOUNTS.PAID) balances.paid += entry.amount;
+    if (entry.debitAccount === ACCOUNTS.PAID) balances.paid -= entry.amount;
+
+    if (entry.entryType === 'credit') balances.credited += entry.amount;
+    if (entry.entryType === 'reversal') balances.reversed += entry.amount;
+    if (entry.entryType === 'adjustment') {
+      balances.adjusted += entry.creditAccount === ACCOUNTS.PENDING ? entry.amount : -entry.amount;
+    }
+  }
+
+  return balances;
+};
+
+ledgerEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = ['suspend', 'ban', 'lift'];
+
+// Audit trail of the sanctions applied to and lifted from players.
+// Entries are only ever added; the player document holds the current sanction.
+const moderationActionSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  action: { type: String, enum: MODERATION_ACTIONS, required: true },
+  reason: { type: String, required: true },
+  moderatedBy: { type: String, required: true },
+  suspendedUntil: { type: Date }, // End of a suspension
+  lifted: { type: String, enum: ['ban', 'suspension'] }, // Sanction a lift ended
+  flagId: { type: mongoose.Schema.Types.ObjectId, ref: 'CheatFlag' }, // Anti-cheat flag a ban came from
+  payoutsCancelled: {
+    count: { type: Number },
+    amount: { type: Number }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Index for a player's moderation history, most recent first
+moderationActionSchema.index({ walletAddress: 1, createdAt: -1 });
+
+moderationActionSchema.statics.ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
@@ -2,7 +2,10 @@ const mongoose = require('mongoose');
 
 const playerSchema = new mongoose.Schema({
   walletAddress: { type: String, required: true, unique: true, lowercase: true },
-  username: { type: String, required: true, unique: true },
+  username: { type: String, required: true },
+  // Lowercase form of the username, the one unique name, so names differing only in case cannot coexist
+  usernameKey: { type: String, unique: true, sparse: true },
+  usernameChangedAt: { type: Date }, // Last rename, for the rename cooldown
   totalPoints: { type: Number, default: 0 },
   highestScore: { type: Number, default: 0 },
   gamesPlayed: { type: Number, default: 0 },
@@ -10,7 +13,32 @@ const playerSchema = new mongoose.Schema({
   tokensTx: { type: Number, default: 0 }, // Total tokens transferred
   registeredAt: { type: Date, default: Date.now },
   lastLogin: { type: Date },
-  banned: { type: Boolean, default: false }
+  banned: { type: Boolean, default: false },
+  bannedAt: { type: Date },
+  banReason: { type: String },
+  suspendedUntil: { type: Date }, // A suspension ends on its own at this time
+  suspensionReason: { type: String },
+  // Set while anti-cheat flags on the wallet wait for review; its payouts are held until then
+  payoutHold: {
+    flagId: { type: mongoose.Schema.Types.ObjectId, ref: 'CheatFlag' },
+    since: { type: Date }
+  }
 });
 
+// Active sanction of the player: a ban, or a suspension that has not run out
+playerSchema.methods.getSanction = function(at = new Date()) {
+  if (this.banned) {
+    return { type: 'ban', reason: this.banReason, since: this.bannedAt };
+  }
+  if (this.suspendedUntil && this.suspendedUntil > at) {
+    return { type: 'suspension', reason: this.suspensionReason, until: this.suspendedUntil };
+  }
+  return null;
+};
+
+// Filter for players with an active sanction
+playerSchema.statics.sanctionedFilter = function(at = new Date()) {
+  return { $or: [{ banned: true }, { suspendedUntil: { $gt: at } }] };
+};
+
 module.exports = mongoose.model('Player', playerSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Player sessions created by signing a challenge with the wallet.
+// Only a hash of the token is stored; MongoDB removes sessions once they have expired.
+const playerSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true, lowercase: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+playerSessionSchema.index({ walletAddress: 1 });
+
+// Expire sessions at the end of their lifetime
+playerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PlayerSession', playerSessionSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Result of one ledger vs. on-chain reconciliation run.
+// Only wallets with drift are stored to keep reports small.
+const reconciliationReportSchema = new mongoose.Schema({
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  fromBlock: { type: Number },
+  toBlock: { type: Number },
+  walletsChecked: { type: Number, default: 0 },
+  driftCount: { type: Number, default: 0 },
+  drifts: [{
+    _id: false,
+    walletAddress: { type: String },
+    ledgerPending: { type: Number },
+    ledgerPaid: { type: Number },
+    treasuryTransfersReceived: { type: Number },
+    onChainBalance: { type: Number },
+    paidDrift: { type: Number }, // Treasury transfers received minus ledger payouts
+    balanceShortfall: { type: Number }, // Ledger payouts not covered by the current balance
+    missingTxHashes: [{ type: String }] // Ledger payouts without a matching Transfer event
+  }],
+  error: { type: String }
+});
+
+// Index for fetching the latest report
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
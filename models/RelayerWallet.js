@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const STATUSES = [
+  'active', // In rotation
+  'draining', // Finishing its queue, gets no new work
+  'retired' // Removed from the pool
+];
+
+// Registry of relayer wallets, the single source of truth for the relayer pool.
+// Keys are only ever stored encrypted: either a path to a V3 keystore file on
+// the server or the encrypted keystore JSON itself. A key held by the remote
+// signer is stored as its key id only.
+const relayerWalletSchema = new mongoose.Schema({
+  address: { type: String, required: true, unique: true }, // Checksummed
+  index: { type: Number, required: true },
+  label: { type: String },
+  keystorePath: { type: String },
+  keystoreJson: { type: String },
+  signerKeyId: { type: String }, // Key id at the remote signer
+  status: { type: String, enum: STATUSES, default: 'active' },
+  source: {
+    type: String,
+    enum: ['env', 'json_file', 'admin', 'rotation'], // How the wallet entered the registry
+    default: 'admin'
+  },
+  rotatedFrom: { type: String }, // Relayer this wallet replaced
+  rotatedTo: { type: String }, // Relayer that replaced this wallet
+  addedBy: { type: String },
+  drainStartedAt: { type: Date },
+  drainedBy: { type: String },
+  retiredAt: { type: Date },
+  retiredBy: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Index for loading the pool in a stable order
+relayerWalletSchema.index({ status: 1, index: 1 });
+
+relayerWalletSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('RelayerWallet', relayerWalletSchema);
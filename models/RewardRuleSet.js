@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const STATUSES = [
+  'draft', // Being edited, not used for payouts
+  'active', // Used for every claim, only one at a time
+  'archived' // Previously active, kept for the record
+];
+
+// Versioned rule set converting collected coins into token rewards.
+// Only drafts can be edited; activating a draft archives the previous active
+// version, so every payout can be traced back to the exact rules it used.
+const rewardRuleSetSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String },
+  status: { type: String, enum: STATUSES, default: 'draft' },
+  baseRate: { type: Number, required: true, default: 1 }, // Tokens per coin
+  // Time-boxed multipliers, e.g. double-token weekends; overlapping events stack
+  multiplierEvents: [{
+    _id: false,
+    name: { type: String, required: true },
+    multiplier: { type: Number, required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true }
+  }],
+  trackMultipliers: [{
+    _id: false,
+    trackId: { type: String, required: true },
+    multiplier: { type: Number, required: true }
+  }],
+  minPerClaim: { type: Number, default: 0 }, // Claims below this are rejected
+  maxPerClaim: { type: Number, default: null }, // Claims above this are capped, null for no cap
+  precision: { type: Number, default: 4 }, // Decimal places kept, rounded down
+  createdBy: { type: String },
+  activatedBy: { type: String },
+  activatedAt: { type: Date },
+  archivedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Index for finding the active rule set
+rewardRuleSetSchema.index({ status: 1, version: -1 });
+
+rewardRuleSetSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('RewardRuleSet', rewardRuleSetSchema);
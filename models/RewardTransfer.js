@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Lifecycle of a reward payout:
+// [deferred | batching ->] queued -> submitted -> confirmed | failed | dropped
+// A queued payout whose pre-flight simulation reverts is rejected instead of submitted.
+// Payouts over an emission cap can wait as deferred until the next cap window.
+// With payout batching on, rewards wait as batching and are then either queued
+// on their own or merged (batched) into one transfer that pays the whole batch.
+// Failed, dropped and rejected transfers can be re-queued or cancelled from the dead-letter store.
+// Payouts of a wallet under anti-cheat review wait as held, then go back where they
+// waited (heldFrom) when the review clears it, or are cancelled.
+const TRANSFER_STATES = ['deferred', 'batching', 'batched', 'held', 'queued', 'submitted', 'confirmed', 'failed', 'dropped', 'rejected', 'cancelled'];
+
+// One document per reward payout handed to the relayer system.
+// Pending documents are reloaded into the relayer queues on startup.
+const rewardTransferSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  playerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+  pointsToMint: { type: Number, required: true },
+  coinsCollected: { type: Number },
+  trackId: { type: String },
+  ruleSetVersion: { type: Number }, // Reward rule set the amount was calculated with
+  gasLimit: { type: String },
+  state: {
+    type: String,
+    enum: TRANSFER_STATES,
+    default: 'queued'
+  },
+  relayerAddress: { type: String },
+  deferredUntil: { type: Date }, // Start of the cap window a deferred payout waits for
+  emissionReservedAt: { type: Date }, // When the payout was reserved against the emission caps, until it is given back
+  heldFrom: { type: String, enum: ['deferred', 'batching', 'queued'] }, // Where a held payout waited before its hold
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'RewardTransfer' }, // Transfer that paid this reward as part of a batch
+  batchSize: { type: Number }, // Rewards paid by this transfer, set on batch transfers
+  retryCount: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  txHash: { type: String, default: null }, // Latest broadcast, or the one that was mined
+  nonce: { type: Number },
+  // Every broadcast for the nonce: the original, fee-bumped speed-ups and admin cancels
+  broadcasts: [{
+    _id: false,
+    hash: { type: String },
+    kind: { type: String, enum: ['original', 'speedup', 'cancel'] },
+    maxFeePerGas: { type: String },
+    maxPriorityFeePerGas: { type: String },
+    at: { type: Date }
+  }],
+  gasUsed: { type: String },
+  history: [{
+    _id: false,
+    state: { type: String, enum: TRANSFER_STATES },
+    txHash: { type: String },
+    error: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Index for reloading pending transfers in queue order
+rewardTransferSchema.index({ state: 1, createdAt: 1 });
+
+// Index for releasing deferred transfers once their cap window opens
+rewardTransferSchema.index({ state: 1, deferredUntil: 1 });
+
+// Index for finding the rewards paid by a batch transfer
+rewardTransferSchema.index({ batchId: 1 }, { sparse: true });
+
+// Index for listing a player's transfers, most recent first
+rewardTransferSchema.index({ walletAddress: 1, createdAt: -1 });
+
+// Public status representation returned by the transfer API
+rewardTransferSchema.methods.toStatusResponse = function() {
+  return {
+    transferId: this._id.toString(),
+    walletAddress: this.walletAddress,
+    pointsToMint: this.pointsToMint,
+    ruleSetVersion: this.ruleSetVersion,
+    state: this.state,
+    deferredUntil: this.deferredUntil,
+    batchId: this.batchId,
+    batchSize: this.batchSize,
+    txHash: this.txHash,
+    broadcasts: this.broadcasts,
+    retryCount: this.retryCount,
+    lastError: this.lastError,
+    history: this.history,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+rewardTransferSchema.statics.STATES = TRANSFER_STATES;
+
+module.exports = mongoose.model('RewardTransfer', rewardTransferSchema);
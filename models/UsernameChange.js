@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Name history of players. One entry per rename, written in the same
+// transaction that renames the player and its denormalized copies.
+const usernameChangeSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, lowercase: true },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  changedAt: { type: Date, default: Date.now }
+});
+
+// Index for a player's name history, most recent first
+usernameChangeSchema.index({ walletAddress: 1, changedAt: -1 });
+
+module.exports = mongoose.model('UsernameChange', usernameChangeSchema);
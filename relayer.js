@@ -7,19 +7,114 @@
  */
 
 const { ethers } = require('ethers');
+const mongoose = require('mongoose');
 require('dotenv').config();
 
 // Import token ABI
 const TokenABI = require('./TokenABI.json');
+const RewardTransfer = require('./models/RewardTransfer');
+const DeadLetter = require('./models/DeadLetter');
+const LedgerEntry = require('./models/LedgerEntry');
+const Player = require('./models/Player');
+const NonceManager = require('./services/nonceManager');
+const RelayerHealth = require('./services/relayerHealth');
+const RelayerRegistry = require('./services/relayerRegistry');
+const { PayoutRejectedError, simulatePayout } = require('./services/payoutSimulator');
+const signers = require('./config/signers');
 
 // Add this after other imports and constants
-const TX_DELAY_MS = 100; // Delay between transactions to prevent rate limiting
+const TX_DELAY_MS = parseInt(process.env.TX_DELAY_MS || '100', 10); // Delay between transactions to prevent rate limiting
+const RELAYER_MAX_IN_FLIGHT = parseInt(process.env.RELAYER_MAX_IN_FLIGHT || '4', 10); // Unmined transactions allowed per relayer
+const MAX_TX_RETRIES = 5; // Maximum number of retries per transaction
+const SEND_SETTLE_TIMEOUT_MS = 30000; // Longest a payout cancellation waits for a send in progress
+
+// Relayer health and circuit breaker settings
+const RELAYER_HEALTH_WINDOW = parseInt(process.env.RELAYER_HEALTH_WINDOW || '50', 10); // Recent outcomes per health score
+const RELAYER_BREAKER_FAILURES = parseInt(process.env.RELAYER_BREAKER_FAILURES || '5', 10); // Consecutive failures that open the breaker
+const RELAYER_BREAKER_COOLDOWN_MS = parseInt(process.env.RELAYER_BREAKER_COOLDOWN_MS || '60000', 10); // Wait before probing an open relayer
+const RELAYER_TARGET_LATENCY_MS = parseInt(process.env.RELAYER_TARGET_LATENCY_MS || '15000', 10); // Confirmation time that still scores full marks
+
+// Pre-flight simulation of each payout with staticCall and estimateGas before it is broadcast
+const PAYOUT_SIMULATION = process.env.ENABLE_PAYOUT_SIMULATION !== 'false';
+const SIMULATION_GAS_BUFFER_PERCENT = parseInt(process.env.GAS_BUFFER_PERCENT || '20', 10); // Added to the simulated gas estimate
+
+// Opt-in payout batching: a wallet's rewards are collected and paid as one transfer
+const PAYOUT_BATCHING = process.env.ENABLE_PAYOUT_BATCHING === 'true';
+const PAYOUT_BATCH_WINDOW_MS = parseInt(process.env.PAYOUT_BATCH_WINDOW_MS || '60000', 10); // Longest a reward waits for its batch
+const PAYOUT_BATCH_MAX_AMOUNT = parseFloat(process.env.PAYOUT_BATCH_MAX_AMOUNT || '100'); // Tokens that flush a batch early
+const PAYOUT_BATCH_MAX_CLAIMS = parseInt(process.env.PAYOUT_BATCH_MAX_CLAIMS || '50', 10); // Rewards that flush a batch early
+
+// Treasury allowance of each relayer in whole tokens, re-approved when it falls below the minimum
+const RELAYER_MIN_ALLOWANCE = process.env.RELAYER_MIN_ALLOWANCE || '100000';
+const RELAYER_APPROVAL_AMOUNT = process.env.RELAYER_APPROVAL_AMOUNT || '1000000';
+
+// Error types that say something about the relayer itself rather than the treasury or the recipient
+const RELAYER_FAULT_ERROR_TYPES = ['insufficient_gas_funds', 'nonce', 'timeout', 'unknown'];
+
+// Stuck transaction replacement settings
+const TX_RECEIPT_POLL_MS = parseInt(process.env.TX_RECEIPT_POLL_MS || '2000', 10); // How often in-flight txs are checked
+const TX_REPLACEMENT_WAIT_MS = parseInt(process.env.TX_REPLACEMENT_WAIT_MS || '30000', 10); // Wait before re-broadcasting with higher fees
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10); // Speed-ups per nonce before giving up on bumping
+const TX_FEE_BUMP_PERCENT = parseInt(process.env.TX_FEE_BUMP_PERCENT || '15', 10); // Nodes require at least a 10% bump
+const TX_CONFIRMATION_TIMEOUT_MS = parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS || '300000', 10); // Wait per attempt before counting a retry
 
 // Add this helper function for waiting
 function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Classify a transfer error message into a dead-letter error type
+ * @param {string} message The error message
+ * @returns {string} One of DeadLetter.ERROR_TYPES
+ */
+function classifyTransferError(message) {
+  const text = (message || '').toLowerCase();
+  
+  if (text.includes('insufficient treasury balance') || text.includes('transfer amount exceeds balance')) {
+    return 'insufficient_treasury_balance';
+  }
+  if (text.includes('insufficient allowance') || text.includes('exceeds allowance')) {
+    return 'insufficient_allowance';
+  }
+  if (text.includes('insufficient funds')) {
+    return 'insufficient_gas_funds';
+  }
+  if (text.includes('cancelled on-chain')) {
+    return 'cancelled_onchain';
+  }
+  if (text.includes('nonce') || text.includes('already been used')) {
+    return 'nonce';
+  }
+  if (text.includes('timeout')) {
+    return 'timeout';
+  }
+  if (text.includes('invalid address') || text.includes('transfer to the zero address')) {
+    return 'invalid_recipient';
+  }
+  if (text.includes('execution reverted') || text.includes('cannot estimate gas')) {
+    return 'reverted';
+  }
+  return 'unknown';
+}
+
+/**
+ * Whether a failed broadcast was answered by the node with a rejection
+ * Only then is the transaction known not to be in the mempool. A timeout or a
+ * lost connection may come after the node accepted it.
+ * @param {Error} error The error of eth_sendRawTransaction
+ * @returns {boolean} True if the node rejected the transaction
+ */
+function isBroadcastRejected(error) {
+  const rpcError = error.info?.error || error.error;
+  if (!rpcError) {
+    return false;
+  }
+  
+  // The node already has it, from an earlier attempt or another endpoint
+  return !/already known|known transaction|already imported/i.test(rpcError.message || '');
+}
+
 class RelayerSystem {
   constructor() {
     this.provider = null;
@@ -35,7 +130,36 @@ class RelayerSystem {
     this.txQueues = {}; // One queue per relayer
     this.processingFlags = {}; // Track which relayer queues are being processed
     this.onTransactionComplete = null; // Store the transaction complete callback
-    this.approvalAmount = ethers.parseUnits('1000000', 18); // Default large approval amount
+    this.inFlightTxs = {}; // Broadcast but unmined transactions per relayer, keyed by nonce
+    this.nonceManagers = {}; // Local nonce assignment per relayer
+    this.health = new RelayerHealth({
+      windowSize: RELAYER_HEALTH_WINDOW,
+      failureThreshold: RELAYER_BREAKER_FAILURES,
+      cooldownMs: RELAYER_BREAKER_COOLDOWN_MS,
+      targetLatencyMs: RELAYER_TARGET_LATENCY_MS,
+      minBalance: ethers.parseEther(process.env.RELAYER_MIN_BALANCE || '0.01'),
+      onStateChange: (address, previous, state) => this.handleBreakerChange(address, previous, state)
+    });
+    this.registry = new RelayerRegistry({ maxRelayers: this.maxRelayers }); // Relayer wallets in MongoDB
+    this.multiRelayerEnabled = false;
+    this.tokenDecimals = 18; // Replaced with the token contract's decimals() on initialize
+    this.approvalAmount = ethers.parseUnits(RELAYER_APPROVAL_AMOUNT, this.tokenDecimals); // Default large approval amount
+    this.minAllowance = ethers.parseUnits(RELAYER_MIN_ALLOWANCE, this.tokenDecimals); // Allowance below which a spender is approved again
+    this.treasuryBalance = null; // Cached by the treasury monitor, less payouts confirmed since its last check
+    this.payoutPauses = {}; // Reasons payouts are on hold, by source
+    this.walletHolds = {}; // Wallets whose payouts wait for an anti-cheat review, by lowercase address
+    this.onPayoutPause = null; // Called with (source, reason) when payouts are paused
+    this.emissionControl = null; // Takes back the emission reservations of payouts that are not paid
+    this.batchingEnabled = PAYOUT_BATCHING;
+    this.pendingBatches = {}; // Rewards waiting to be paid together, by lowercase wallet address
+    this.batchStats = {
+      batchesQueued: 0,
+      batchesConfirmed: 0,
+      rewardsBatched: 0,
+      transfersSaved: 0, // Transfers that would have been sent without batching
+      gasSaved: BigInt(0),
+      feesSaved: BigInt(0) // In wei
+    };
   }
 
   /**
@@ -62,108 +186,51 @@ class RelayerSystem {
   * Current mode: ${priority.toUpperCase()}`);
       
       // Initialize owner wallet for paying gas fees
-      if (process.env.OWNER_PRIVATE_KEY) {
-        this.ownerWallet = new ethers.Wallet(process.env.OWNER_PRIVATE_KEY, this.provider);
-        console.log(`Owner wallet initialized: ${this.ownerWallet.address}`);
-      } else if (process.env.PRIVATE_KEY) {
-        // Fallback to PRIVATE_KEY if OWNER_PRIVATE_KEY is not set
-        console.log('Using PRIVATE_KEY as owner wallet (legacy configuration)');
-        this.ownerWallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
+      // (OWNER_SIGNER_KEY_ID on the remote signer first, then OWNER_KEYSTORE, OWNER_PRIVATE_KEY and the legacy PRIVATE_KEY)
+      this.ownerWallet = await signers.loadOwnerSigner(this.provider);
+      if (this.ownerWallet) {
         console.log(`Owner wallet initialized: ${this.ownerWallet.address}`);
       } else {
-        console.error('Neither OWNER_PRIVATE_KEY nor PRIVATE_KEY configured');
+        console.error('None of OWNER_SIGNER_KEY_ID, OWNER_KEYSTORE, OWNER_PRIVATE_KEY or PRIVATE_KEY configured');
         return false;
       }
       
       // Initialize treasury wallet that holds tokens
-      if (process.env.TREASURY_PRIVATE_KEY) {
-        this.treasuryWallet = new ethers.Wallet(process.env.TREASURY_PRIVATE_KEY, this.provider);
+      this.treasuryWallet = await signers.loadTreasurySigner(this.provider);
+      if (this.treasuryWallet) {
         console.log(`Treasury wallet initialized: ${this.treasuryWallet.address}`);
       } else {
-        console.error('TREASURY_PRIVATE_KEY not configured');
+        console.error('None of TREASURY_SIGNER_KEY_ID, TREASURY_KEYSTORE or TREASURY_PRIVATE_KEY configured');
         return false;
       }
       
       // Initialize token contract
       if (this.tokenAddress) {
         this.tokenContract = new ethers.Contract(this.tokenAddress, TokenABI, this.ownerWallet);
-        console.log(`Token contract initialized at ${this.tokenAddress}`);
+        this.tokenDecimals = Number(await this.tokenContract.decimals());
+        this.approvalAmount = ethers.parseUnits(RELAYER_APPROVAL_AMOUNT, this.tokenDecimals);
+        this.minAllowance = ethers.parseUnits(RELAYER_MIN_ALLOWANCE, this.tokenDecimals);
+        console.log(`Token contract initialized at ${this.tokenAddress} (${this.tokenDecimals} decimals)`);
       } else {
         console.error('TOKEN_CONTRACT_ADDRESS not configured');
         return false;
       }
       
+      this.multiRelayerEnabled = enableRelayerSystem;
+      
       if (enableRelayerSystem) {
-        // Load relayer wallets from environment variables - prioritize this method
-        console.log('Loading relayer wallets from environment variables');
-        await this.initializeRelayersFromEnv();
+        // Load relayer wallets from the registry, importing the legacy env and JSON configuration on first start
+        console.log('Loading relayer wallets from the relayer registry');
+        try {
+          await this.initializeRelayersFromRegistry();
+        } catch (registryError) {
+          console.error('Error loading relayer wallets from the registry:', registryError);
+        }
         
-        // If no relayers were loaded from env vars, try the JSON file as fallback
         if (this.relayers.length === 0) {
-          console.log('No relayers loaded from environment variables, trying JSON file as fallback');
-          try {
-            const fs = require('fs');
-            const path = require('path');
-            const relayersPath = path.join(__dirname, 'important files/relayer-wallets.json');
-            
-            if (fs.existsSync(relayersPath)) {
-              // Load relayers from JSON file
-              const relayerWallets = JSON.parse(fs.readFileSync(relayersPath, 'utf8'));
-              console.log(`Found ${relayerWallets.numWallets} relayer wallets in JSON file`);
-              
-              // Limit to maxRelayers if more are provided
-              const numToUse = Math.min(relayerWallets.numWallets, this.maxRelayers);
-              console.log(`Using ${numToUse} relayer wallets`);
-              
-              // Initialize wallets from file
-              for (let i = 0; i < numToUse; i++) {
-                const walletInfo = relayerWallets.wallets[i];
-                const wallet = new ethers.Wallet(walletInfo.privateKey, this.provider);
-                
-                if (wallet.address.toLowerCase() !== walletInfo.address.toLowerCase()) {
-                  console.warn(`Warning: Address mismatch for relayer ${i}. JSON: ${walletInfo.address}, Derived: ${wallet.address}`);
-                }
-                
-                // Add to relayers array
-                this.relayers.push(wallet);
-                
-                // Initialize stats for this relayer
-                this.relayerStats[wallet.address] = {
-                  index: i,
-                  address: wallet.address,
-                  currentNonce: await this.provider.getTransactionCount(wallet.address),
-                  queueLength: 0,
-                  totalTxSent: 0,
-                  totalTxSuccess: 0,
-                  totalTxFailed: 0,
-                  tokensTransferred: 0,
-                  lastSuccessTimestamp: 0,
-                  lastErrorTimestamp: 0,
-                  lastSuccessHash: null,
-                  lastError: null,
-                  active: true
-                };
-                
-                // Initialize empty transaction queue for this relayer
-                this.txQueues[wallet.address] = [];
-                
-                // Initialize processing flag for this relayer
-                this.processingFlags[wallet.address] = false;
-              }
-              
-              console.log(`Initialized ${this.relayers.length} relayer wallets from JSON file`);
-            } else {
-              console.error('No valid relayers could be initialized, and JSON fallback file not found.');
-              console.log('As a final fallback, using owner wallet as the only relayer');
-              // Use owner wallet as a last resort
-              this.setupOwnerAsRelayer();
-            }
-          } catch (fileError) {
-            console.error('Error loading relayer wallets from JSON file:', fileError);
-            console.log('As a final fallback, using owner wallet as the only relayer');
-            // Use owner wallet as a last resort
-            this.setupOwnerAsRelayer();
-          }
+          console.log('No relayer wallets could be loaded, using owner wallet as the only relayer');
+          // Use owner wallet as a last resort
+          await this.setupOwnerAsRelayer();
         }
         
         // Ensure token approvals for all relayers
@@ -171,13 +238,18 @@ class RelayerSystem {
       } else {
         console.log('Multi-wallet relayer system disabled. Using only owner wallet for transactions.');
         // Use owner wallet as the only relayer
-        this.setupOwnerAsRelayer();
+        await this.setupOwnerAsRelayer();
         
         // Ensure owner has approval to spend treasury tokens
         await this.ensureOwnerApproval();
       }
       
       this.isInitialized = true;
+      
+      // Reload transfers that were still pending when the process last stopped
+      await this.restorePersistedQueue();
+      await this.restorePendingBatches();
+      
       console.log('Relayer system initialized successfully');
       return true;
     } catch (error) {
@@ -187,69 +259,65 @@ class RelayerSystem {
   }
 
   /**
-   * Initialize relayers from environment variables
+   * Initialize relayers from the relayer registry
+   * @returns {Promise<boolean>} True if at least one relayer was loaded
    */
-  async initializeRelayersFromEnv() {
-    console.log('Initializing relayers from environment variables');
-    
-    const privateKeys = [];
-    
-    // Populate relayer private keys from environment variables
-    for (let i = 1; i <= this.maxRelayers; i++) {
-      const key = process.env[`RELAYER_PRIVATE_KEY_${i}`];
-      if (key) {
-        privateKeys.push(key);
-      }
-    }
+  async initializeRelayersFromRegistry() {
+    await this.registry.importLegacyRelayers();
     
-    console.log(`Found ${privateKeys.length} relayer private keys in environment variables`);
-    
-    if (privateKeys.length === 0) {
-      console.log('No relayer private keys found in environment variables');
-      return false;
-    }
+    const pool = await this.registry.loadPool(this.provider);
+    console.log(`Found ${pool.length} relayer wallets in the registry`);
     
     // Clear existing relayers
     this.relayers = [];
     
-    // Set up all relayers from private keys
-    for (let i = 0; i < privateKeys.length; i++) {
+    for (const { record, wallet } of pool.slice(0, this.maxRelayers)) {
       try {
-        const wallet = new ethers.Wallet(privateKeys[i], this.provider);
-        this.relayers.push(wallet);
-        
-        // Initialize stats for this relayer
-        const nonce = await this.provider.getTransactionCount(wallet.address);
-        this.relayerStats[wallet.address] = {
-          index: i,
-          address: wallet.address,
-          active: true,
-          currentNonce: nonce,
-          totalTxSent: 0,
-          totalTxSuccess: 0,
-          totalTxFailed: 0,
-          lastError: null,
-          lastErrorTimestamp: null,
-          lastSuccessTimestamp: null,
-          lastSuccessHash: null,
-          tokensTransferred: 0,
-          queueLength: 0
-        };
-        
-        // Initialize queue for this relayer
-        this.txQueues[wallet.address] = [];
-        this.processingFlags[wallet.address] = false;
-        
-        console.log(`Relayer ${i} initialized with address ${wallet.address}, nonce ${nonce}`);
+        await this.registerRelayer(wallet, record);
       } catch (error) {
-        console.error(`Failed to initialize relayer ${i}:`, error.message);
+        console.error(`Failed to initialize relayer #${record.index}:`, error.message);
       }
     }
     
-    console.log(`Initialized ${this.relayers.length} relayer wallets from environment variables`);
+    console.log(`Initialized ${this.relayers.length} relayer wallets from the registry`);
     return this.relayers.length > 0;
   }
 
+  /**
+   * Put a relayer wallet into the pool
+   * @param {Object} wallet The relayer wallet, connected to the provider
+   * @param {Object} record Its registry record
+   */
+  async registerRelayer(wallet, record) {
+    const nonce = await this.provider.getTransactionCount(wallet.address);
+    
+    // Initialize stats for this relayer
+    this.relayerStats[wallet.address] = {
+      index: record.index,
+      address: wallet.address,
+      active: record.status === 'active',
+      draining: record.status === 'draining',
+      currentNonce: nonce,
+      totalTxSent: 0,
+      totalTxSuccess: 0,
+      totalTxFailed: 0,
+      totalTxRejected: 0, // Rejected by pre-flight simulation, never broadcast
+      lastError: null,
+      lastErrorTimestamp: null,
+      lastSuccessTimestamp: null,
+      lastSuccessHash: null,
+      tokensTransferred: 0,
+      queueLength: 0
+    };
+    
+    // Initialize queue for this relayer
+    this.txQueues[wallet.address] = [];
+    this.processingFlags[wallet.address] = false;
+    this.relayers.push(wallet);
+    
+    console.log(`Relayer #${record.index} initialized with address ${wallet.address}, nonce ${nonce}${record.status === 'draining' ? ' (draining)' : ''}`);
+  }
+
   /**
    * Set up owner wallet as the only relayer (fallback)
    */
@@ -265,6 +333,7 @@ class RelayerSystem {
       totalTxSent: 0,
       totalTxSuccess: 0,
       totalTxFailed: 0,
+      totalTxRejected: 0,
       lastError: null,
       lastErrorTimestamp: null,
       lastSuccessTimestamp: null,
@@ -290,11 +359,11 @@ class RelayerSystem {
         this.ownerWallet.address
       );
       
-      console.log(`Owner wallet allowance: ${ethers.formatUnits(currentAllowance, 18)} tokens`);
+      console.log(`Owner wallet allowance: ${this.formatTokenAmount(currentAllowance)} tokens`);
       
-      if (currentAllowance < ethers.parseUnits('100000', 18)) {
-        const approvalAmount = ethers.parseUnits('1000000', 18);
-        console.log(`Setting approval for owner wallet to spend ${ethers.formatUnits(approvalAmount, 18)} tokens from treasury`);
+      if (currentAllowance < this.minAllowance) {
+        const approvalAmount = this.approvalAmount;
+        console.log(`Setting approval for owner wallet to spend ${this.formatTokenAmount(approvalAmount)} tokens from treasury`);
         
         // Get fee data for approval
         const approvalFeeData = await this.provider.getFeeData();
@@ -335,42 +404,7 @@ class RelayerSystem {
       
       // First ensure all relayers have necessary approvals
       for (const relayer of this.relayers) {
-        const relayerAllowance = await this.tokenContract.allowance(
-          this.treasuryWallet.address,
-          relayer.address
-        );
-        
-        console.log(`Relayer ${relayer.address} allowance: ${ethers.formatUnits(relayerAllowance, 18)} tokens`);
-        
-        // Using native BigInt comparison for v6
-        if (relayerAllowance < ethers.parseUnits('100000', 18)) {
-          const approvalAmount = ethers.parseUnits('1000000', 18);
-          console.log(`Setting approval for relayer ${relayer.address} to spend ${ethers.formatUnits(approvalAmount, 18)} tokens from treasury`);
-          
-          // Get fee data for approval
-          const approvalFeeData = await this.provider.getFeeData();
-          
-          // Calculate gas fees based on priority
-          const approvalFees = this.calculateGasFeesByPriority(approvalFeeData);
-          
-          // Set new approval using the treasury wallet
-          const tokenWithTreasurySigner = this.tokenContract.connect(this.treasuryWallet);
-          const approvalTx = await tokenWithTreasurySigner.approve(
-            relayer.address,
-            approvalAmount,
-            // Set EIP-1559 fee parameters
-            { 
-              maxFeePerGas: approvalFees.maxFeePerGas,
-              maxPriorityFeePerGas: approvalFees.maxPriorityFeePerGas
-            }
-          );
-          
-          await approvalTx.wait();
-          console.log(`Approval transaction completed for relayer ${relayer.address}: ${approvalTx.hash}`);
-          
-          // Add delay after approval to prevent rate limiting
-          await delay(TX_DELAY_MS * 2);
-        }
+        await this.ensureRelayerApproval(relayer);
       }
       
       return true;
@@ -380,18 +414,385 @@ class RelayerSystem {
     }
   }
 
+  /**
+   * Ensure a single relayer has permission to transfer from treasury
+   * @param {Object} relayer The relayer wallet object
+   * @returns {Promise<string|null>} Hash of the approval transaction, or null if the allowance was sufficient
+   */
+  async ensureRelayerApproval(relayer) {
+    const relayerAllowance = await this.tokenContract.allowance(
+      this.treasuryWallet.address,
+      relayer.address
+    );
+    
+    console.log(`Relayer ${relayer.address} allowance: ${this.formatTokenAmount(relayerAllowance)} tokens`);
+    
+    // Using native BigInt comparison for v6
+    if (relayerAllowance >= this.minAllowance) {
+      return null;
+    }
+    
+    const approvalAmount = this.approvalAmount;
+    console.log(`Setting approval for relayer ${relayer.address} to spend ${this.formatTokenAmount(approvalAmount)} tokens from treasury`);
+    
+    // Get fee data for approval
+    const approvalFeeData = await this.provider.getFeeData();
+    
+    // Calculate gas fees based on priority
+    const approvalFees = this.calculateGasFeesByPriority(approvalFeeData);
+    
+    // Set new approval using the treasury wallet
+    const tokenWithTreasurySigner = this.tokenContract.connect(this.treasuryWallet);
+    const approvalTx = await tokenWithTreasurySigner.approve(
+      relayer.address,
+      approvalAmount,
+      // Set EIP-1559 fee parameters
+      { 
+        maxFeePerGas: approvalFees.maxFeePerGas,
+        maxPriorityFeePerGas: approvalFees.maxPriorityFeePerGas
+      }
+    );
+    
+    await approvalTx.wait();
+    console.log(`Approval transaction completed for relayer ${relayer.address}: ${approvalTx.hash}`);
+    
+    // Add delay after approval to prevent rate limiting
+    await delay(TX_DELAY_MS * 2);
+    return approvalTx.hash;
+  }
+
   /**
    * Get the status of all relayers
    * @returns {Object} Status information for all relayers
    */
   getRelayerStatus() {
+    const health = {};
+    for (const relayer of this.relayers) {
+      health[relayer.address] = this.health.getStatus(relayer.address, this.relayerStats[relayer.address]?.balance);
+    }
+    
     return {
       totalRelayers: this.relayers.length,
       activeRelayers: this.relayers.filter(r => this.relayerStats[r.address].active).length,
-      relayerStats: this.relayerStats
+      drainingRelayers: this.relayers.filter(r => this.relayerStats[r.address].draining).length,
+      healthyRelayers: Object.values(health).filter(status => status.state === RelayerHealth.STATES.CLOSED).length,
+      relayerStats: this.relayerStats,
+      health
+    };
+  }
+
+  /**
+   * Enable or disable a relayer
+   * Disabling moves its queued transfers to other relayers; enabling also resets its circuit breaker.
+   * @param {string} relayerAddress The relayer address
+   * @param {boolean} isActive The new status
+   * @returns {boolean} True if the relayer was found
+   */
+  setRelayerStatus(relayerAddress, isActive) {
+    const relayer = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayer) {
+      return false;
+    }
+    
+    const stats = this.relayerStats[relayer.address];
+    stats.active = isActive;
+    console.log(`Relayer ${relayer.address} set to ${isActive ? 'active' : 'inactive'}`);
+    
+    if (isActive) {
+      // Re-enabling a draining relayer puts it back into rotation for good
+      if (stats.draining) {
+        stats.draining = false;
+        stats.drainedAt = null;
+        this.registry.setStatus(relayer.address, 'active', { drainStartedAt: null }).catch(error => {
+          console.error(`Failed to mark relayer ${relayer.address} active in the registry:`, error.message);
+        });
+      }
+      this.health.reset(relayer.address);
+      this.processQueue(relayer);
+    } else {
+      this.moveQueuedTransfers(relayer).catch(error => {
+        console.error(`Failed to move queued transfers off relayer ${relayer.address}:`, error.message);
+      });
+    }
+    
+    return true;
+  }
+
+  /**
+   * React to a relayer's circuit breaker changing state
+   * An open relayer is revisited once its cooldown has passed so it can be probed.
+   */
+  handleBreakerChange(address, previous, state) {
+    const relayer = this.relayers.find(r => r.address === address);
+    if (!relayer) {
+      return;
+    }
+    
+    if (state === RelayerHealth.STATES.OPEN) {
+      console.warn(`⚠️ Relayer ${address} taken out of rotation after repeated failures, probing again in ${RELAYER_BREAKER_COOLDOWN_MS}ms`);
+      setTimeout(() => {
+        this.processQueue(relayer);
+      }, RELAYER_BREAKER_COOLDOWN_MS + 100);
+    } else if (state === RelayerHealth.STATES.CLOSED) {
+      this.processQueue(relayer);
+    }
+  }
+
+  /**
+   * Move queued transfers off a relayer onto the healthiest available ones
+   * Transfers with a transaction in flight stay, their nonce belongs to this relayer.
+   * @param {Object} relayer The relayer wallet object
+   * @returns {Promise<number>} Number of transfers moved
+   */
+  async moveQueuedTransfers(relayer) {
+    const relayerAddress = relayer.address;
+    const remaining = [];
+    const moved = [];
+    
+    for (const txData of this.txQueues[relayerAddress]) {
+      const target = this.findInFlightTransaction(relayerAddress, txData.transferId) ? null : this.selectRelayer();
+      if (!target || target.address === relayerAddress) {
+        remaining.push(txData);
+        continue;
+      }
+      
+      moved.push({ txData, target });
+    }
+    
+    this.txQueues[relayerAddress] = remaining;
+    this.relayerStats[relayerAddress].queueLength = remaining.length;
+    
+    for (const { txData, target } of moved) {
+      await this.updatePersistedTransfer(txData, { relayerAddress: target.address });
+      this.enqueue(target, txData);
+    }
+    
+    if (moved.length > 0) {
+      console.log(`Moved ${moved.length} queued transfers off relayer ${relayerAddress} (${remaining.length} left)`);
+    }
+    return moved.length;
+  }
+
+  /**
+   * Add a relayer wallet to the registry and the running pool
+   * The treasury approval is set before the wallet is registered, so it never takes work it cannot pay out.
+   * @param {Object} source Where the key comes from
+   * @param {string} [source.keystorePath] Keystore file on the server
+   * @param {string} [source.keystoreJson] Encrypted keystore JSON, using the keystore passphrase
+   * @param {string} [source.remoteKeyId] Key id at the remote signer
+   * @param {boolean} [source.generate] Create a fresh wallet, stored encrypted in the registry
+   * @param {string} [source.label] Name for logs and the registry
+   * @param {Object} [options] Who added the wallet and which relayer it replaces
+   * @returns {Promise<Object>} The registry record, approval transaction and balance
+   */
+  async addRelayer({ keystorePath, keystoreJson, remoteKeyId, generate = false, label } = {}, { addedBy, rotatedFrom } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Relayer system not initialized');
+    }
+    if (!this.multiRelayerEnabled) {
+      throw new Error('Multi-wallet relayer system is disabled, set ENABLE_RELAYER_SYSTEM=true to manage relayers');
+    }
+    
+    // A rotation adds the new wallet before the old one leaves, so it may go over the limit for a while
+    const poolSize = this.relayers.filter(r => r.address !== this.ownerWallet.address).length;
+    if (!rotatedFrom && poolSize >= this.maxRelayers) {
+      throw new Error(`Relayer pool is full (${poolSize} of NUM_RELAYERS=${this.maxRelayers})`);
+    }
+    
+    const wallet = generate ?
+      ethers.Wallet.createRandom().connect(this.provider) :
+      await signers.loadSigner({ remoteKeyId, keystorePath, keystoreJson, label: label || 'new relayer' }, this.provider);
+    if (!wallet) {
+      throw new Error('One of keystorePath, keystoreJson, remoteKeyId or generate is required');
+    }
+    
+    if (this.relayers.some(r => r.address === wallet.address)) {
+      throw new Error(`Relayer ${wallet.address} is already in the pool`);
+    }
+    if (wallet.address === this.ownerWallet.address || wallet.address === this.treasuryWallet.address) {
+      throw new Error('The owner and treasury wallets cannot be added as relayers');
+    }
+    
+    const approvalTxHash = await this.ensureRelayerApproval(wallet);
+    
+    let record = await this.registry.findByAddress(wallet.address);
+    if (record) {
+      // A retired wallet comes back under its old index; a new key source replaces the stored one
+      let keyFields = {};
+      if (remoteKeyId) {
+        keyFields = { signerKeyId: remoteKeyId, keystorePath: null, keystoreJson: null };
+      } else if (keystorePath) {
+        keyFields = { keystorePath, keystoreJson: null, signerKeyId: null };
+      } else if (keystoreJson) {
+        keyFields = { keystoreJson, keystorePath: null, signerKeyId: null };
+      }
+      record = await this.registry.setStatus(wallet.address, 'active', {
+        ...keyFields,
+        addedBy,
+        rotatedFrom,
+        drainStartedAt: null,
+        retiredAt: null,
+        retiredBy: null
+      });
+    } else {
+      record = await this.registry.register(wallet, {
+        keystorePath,
+        keystoreJson,
+        signerKeyId: remoteKeyId,
+        label,
+        source: rotatedFrom ? 'rotation' : 'admin',
+        addedBy,
+        rotatedFrom
+      });
+    }
+    
+    await this.registerRelayer(wallet, record);
+    
+    // A wallet without gas cannot send anything; funding moves it into rotation
+    const balance = await this.provider.getBalance(wallet.address);
+    this.relayerStats[wallet.address].balance = balance;
+    this.relayerStats[wallet.address].lowBalance = balance === BigInt(0);
+    
+    console.log(`✅ Relayer ${wallet.address} added to the pool${rotatedFrom ? ` to replace ${rotatedFrom}` : ''}`);
+    return {
+      relayerAddress: wallet.address,
+      index: record.index,
+      approvalTxHash,
+      balance: ethers.formatEther(balance)
+    };
+  }
+
+  /**
+   * Stop giving a relayer new work and let it finish what it has
+   * Its queued transfers are still sent by it; once nothing is queued or in flight it can be removed.
+   * @param {string} relayerAddress The relayer address
+   * @param {Object} [options] Who started the drain and the relayer replacing it
+   * @returns {Promise<Object>} The drain status
+   */
+  async drainRelayer(relayerAddress, { drainedBy, rotatedTo } = {}) {
+    const relayer = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayer) {
+      throw new Error('Relayer not found');
+    }
+    if (relayer.address === this.ownerWallet.address) {
+      throw new Error('The owner wallet cannot be drained');
+    }
+    
+    const stats = this.relayerStats[relayer.address];
+    stats.active = false;
+    stats.draining = true;
+    stats.drainedAt = null;
+    await this.registry.setStatus(relayer.address, 'draining', {
+      drainStartedAt: new Date(),
+      drainedBy,
+      ...(rotatedTo ? { rotatedTo } : {})
+    });
+    
+    const status = this.getDrainStatus(relayer.address);
+    console.log(`Draining relayer ${relayer.address}: ${status.queued} queued and ${status.inFlight} in-flight transactions left`);
+    
+    this.processQueue(relayer);
+    this.checkDrainComplete(relayer.address);
+    return this.getDrainStatus(relayer.address);
+  }
+
+  /**
+   * Get how much work a relayer still has
+   * @param {string} relayerAddress The relayer address
+   * @returns {Object} Queued and in-flight counts, and whether it has drained
+   */
+  getDrainStatus(relayerAddress) {
+    const stats = this.relayerStats[relayerAddress] || {};
+    const queued = (this.txQueues[relayerAddress] || []).length;
+    const inFlight = this.inFlightTxs[relayerAddress]?.size || 0;
+    
+    return {
+      relayerAddress,
+      draining: !!stats.draining,
+      queued,
+      inFlight,
+      drained: !!stats.draining && queued === 0 && inFlight === 0
+    };
+  }
+
+  /**
+   * Log once when a draining relayer has nothing left queued or in flight
+   */
+  checkDrainComplete(relayerAddress) {
+    const stats = this.relayerStats[relayerAddress];
+    if (!stats || !stats.draining || stats.drainedAt || !this.getDrainStatus(relayerAddress).drained) {
+      return;
+    }
+    
+    stats.drainedAt = Date.now();
+    console.log(`✅ Relayer ${relayerAddress} has drained and can be removed`);
+  }
+
+  /**
+   * Take a drained relayer out of the pool and retire it in the registry
+   * Sweeping its balance back to the owner is left to the funding service.
+   * @param {string} relayerAddress The relayer address
+   * @param {Object} [options] Who removed the relayer
+   * @returns {Promise<Object>} The retired registry record, without key material
+   */
+  async removeRelayer(relayerAddress, { removedBy } = {}) {
+    const relayer = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayer) {
+      throw new Error('Relayer not found');
+    }
+    if (relayer.address === this.ownerWallet.address) {
+      throw new Error('The owner wallet cannot be removed');
+    }
+    
+    const status = this.getDrainStatus(relayer.address);
+    if (!status.draining) {
+      throw new Error('Relayer must be drained before it is removed');
+    }
+    if (!status.drained) {
+      throw new Error(`Relayer still has ${status.queued} queued and ${status.inFlight} in-flight transactions`);
+    }
+    
+    // Stats and the empty queue stay behind so late callbacks for this relayer still find them
+    this.relayers = this.relayers.filter(r => r !== relayer);
+    const stats = this.relayerStats[relayer.address];
+    stats.active = false;
+    stats.draining = false;
+    stats.retired = true;
+    
+    const record = await this.registry.setStatus(relayer.address, 'retired', { retiredAt: new Date(), retiredBy: removedBy });
+    console.log(`Relayer ${relayer.address} removed from the pool`);
+    
+    return {
+      relayerAddress: relayer.address,
+      index: record ? record.index : stats.index,
+      status: 'retired'
     };
   }
 
+  /**
+   * Replace a relayer with a new wallet
+   * The new wallet is added and approved first, then the old one drains and can be removed.
+   * @param {string} relayerAddress The relayer to replace
+   * @param {Object} source Key source of the new wallet, as for addRelayer
+   * @param {Object} [options] Who rotated the relayer
+   * @returns {Promise<Object>} The added relayer and the drain status of the old one
+   */
+  async rotateRelayer(relayerAddress, source, { rotatedBy } = {}) {
+    const relayer = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayer) {
+      throw new Error('Relayer not found');
+    }
+    if (relayer.address === this.ownerWallet.address) {
+      throw new Error('The owner wallet cannot be rotated');
+    }
+    
+    console.log(`Rotating relayer ${relayer.address} to a new wallet`);
+    const added = await this.addRelayer(source, { addedBy: rotatedBy, rotatedFrom: relayer.address });
+    const drain = await this.drainRelayer(relayer.address, { drainedBy: rotatedBy, rotatedTo: added.relayerAddress });
+    
+    return { added, drain };
+  }
+
   /**
    * Refresh nonce for a specific relayer
    * @param {number} relayerIndex Index of the relayer to refresh
@@ -402,11 +803,11 @@ class RelayerSystem {
       if (relayerIndex >= this.relayers.length) return false;
       
       const relayer = this.relayers[relayerIndex];
-      // Always get the latest nonce from the blockchain
-      const nonce = await this.provider.getTransactionCount(relayer.address, "pending");
+      // Resync the local nonce manager with the blockchain; nonces still in flight are kept
+      const nonce = await this.getNonceManager(relayer.address).sync();
       this.relayerStats[relayer.address].currentNonce = nonce;
       
-      console.log(`Refreshed nonce for relayer ${relayerIndex} (${relayer.address}): ${nonce} (using pending state)`);
+      console.log(`Refreshed nonce for relayer ${relayerIndex} (${relayer.address}): ${nonce}`);
       return true;
     } catch (error) {
       console.error(`Failed to refresh nonce for relayer ${relayerIndex}:`, error.message);
@@ -423,23 +824,28 @@ class RelayerSystem {
       return null;
     }
     
-    // Filter out inactive relayers
+    // Filter out inactive relayers, relayers waiting for gas funding and relayers with an open circuit breaker
     const activeRelayers = this.relayers.filter(r => 
-      this.relayerStats[r.address] && this.relayerStats[r.address].active
+      this.relayerStats[r.address] &&
+      this.relayerStats[r.address].active &&
+      !this.relayerStats[r.address].lowBalance &&
+      this.health.isAvailable(r.address)
     );
     
     if (activeRelayers.length === 0) {
       return null;
     }
     
-    // Simple load balancing: choose the relayer with the shortest queue
-    let bestRelayer = activeRelayers[0];
-    let shortestQueueLength = this.txQueues[bestRelayer.address].length;
+    // Load balancing weighted by health: pending work divided by the relayer's health score
+    let bestRelayer = null;
+    let lowestCost = Infinity;
     
     for (const relayer of activeRelayers) {
-      const queueLength = this.txQueues[relayer.address].length;
-      if (queueLength < shortestQueueLength) {
-        shortestQueueLength = queueLength;
+      const load = this.txQueues[relayer.address].length + (this.nonceManagers[relayer.address]?.inFlightCount || 0) + 1;
+      const score = Math.max(this.health.getScore(relayer.address, this.relayerStats[relayer.address].balance), 1);
+      const cost = load * 100 / score;
+      if (cost < lowestCost) {
+        lowestCost = cost;
         bestRelayer = relayer;
       }
     }
@@ -464,18 +870,29 @@ class RelayerSystem {
 
   /**
    * Add a transaction to the queue
+   * The transfer is persisted before it is queued so it survives a restart.
+   * With payout batching on, the reward joins its wallet's pending batch instead.
    * @param {Object} txData Transaction data
-   * @returns {boolean} True if added to queue successfully
+   * @returns {Promise<Object|null>} The persisted transfer, or null if it could not be queued
    */
-  queueTransaction(txData) {
+  async queueTransaction(txData) {
     if (!this.isInitialized) {
       console.error('Cannot queue transaction: relayer system not initialized');
-      return false;
+      return null;
     }
     
     if (!txData.walletAddress || !txData.pointsToMint) {
       console.error('Invalid transaction data:', txData);
-      return false;
+      return null;
+    }
+    
+    // A wallet under review gets its payouts once the review clears it
+    if (this.isWalletHeld(txData.walletAddress)) {
+      return this.persistHeldTransfer(txData, 'held', { heldFrom: 'queued' });
+    }
+    
+    if (this.batchingEnabled) {
+      return this.addToBatch(txData);
     }
     
     // Add timestamp to the transaction
@@ -485,120 +902,1528 @@ class RelayerSystem {
     const relayer = this.selectRelayer();
     if (!relayer) {
       console.error('No suitable relayer available');
-      return false;
+      return null;
     }
     
-    // Add to the selected relayer's queue
-    this.txQueues[relayer.address].push(txData);
-    this.relayerStats[relayer.address].queueLength = this.txQueues[relayer.address].length;
-    
-    console.log(`Transaction for ${txData.walletAddress} added to relayer ${this.relayerStats[relayer.address].index} queue (${this.txQueues[relayer.address].length} pending)`);
+    // Persist the transfer so it can be reloaded after a crash or redeploy
+    let transfer;
+    try {
+      transfer = await RewardTransfer.create({
+        walletAddress: txData.walletAddress,
+        playerId: txData.playerId,
+        pointsToMint: txData.pointsToMint,
+        coinsCollected: txData.coinsCollected,
+        trackId: txData.trackId,
+        ruleSetVersion: txData.ruleSetVersion,
+        gasLimit: txData.gasLimit !== undefined ? txData.gasLimit.toString() : undefined,
+        emissionReservedAt: txData.emissionReservedAt,
+        relayerAddress: relayer.address,
+        state: 'queued',
+        history: [{ state: 'queued', at: new Date(txData.timestamp) }],
+        createdAt: new Date(txData.timestamp),
+        updatedAt: new Date(txData.timestamp)
+      });
+      txData.transferId = transfer._id;
+    } catch (error) {
+      console.error(`Failed to persist transfer for ${txData.walletAddress}:`, error.message);
+      return null;
+    }
     
-    // Start queue processing (if not already processing)
-    this.processQueue(relayer);
+    this.enqueue(relayer, txData);
     
-    return true;
+    return transfer;
   }
 
   /**
-   * Process the transaction queue for a specific relayer
-   * @param {Object} relayer The relayer wallet object
+   * Persist a transfer that is held back by an emission cap, without queueing it
+   * @param {Object} txData Transaction data, as for queueTransaction
+   * @param {Date} deferredUntil When the cap window it waits for opens
+   * @returns {Promise<Object|null>} The persisted transfer, or null if it could not be saved
    */
-  async processQueue(relayer) {
-    const relayerAddress = relayer.address;
-    
-    if (this.processingFlags[relayerAddress] || this.txQueues[relayerAddress].length === 0) {
-      return;
+  async deferTransaction(txData, deferredUntil) {
+    if (this.isWalletHeld(txData.walletAddress)) {
+      return this.persistHeldTransfer(txData, 'held', { heldFrom: 'deferred', deferredUntil });
     }
     
-    this.processingFlags[relayerAddress] = true;
-    console.log(`Processing queue for relayer ${relayerAddress} (${this.txQueues[relayerAddress].length} transactions)`);
+    const transfer = await this.persistHeldTransfer(txData, 'deferred', { deferredUntil });
+    if (transfer) {
+      console.log(`Transfer of ${txData.pointsToMint} tokens to ${txData.walletAddress} deferred until ${deferredUntil.toISOString()}`);
+    }
+    return transfer;
+  }
+
+  /**
+   * Persist a transfer that waits outside the relayer queues
+   * @param {Object} txData Transaction data, as for queueTransaction
+   * @param {string} state The waiting state, deferred, batching or held
+   * @param {Object} [fields] Other fields to store
+   * @returns {Promise<Object|null>} The persisted transfer, or null if it could not be saved
+   */
+  async persistHeldTransfer(txData, state, fields = {}) {
+    if (!txData.walletAddress || !txData.pointsToMint) {
+      console.error('Invalid transaction data:', txData);
+      return null;
+    }
     
+    const now = new Date();
     try {
-      let consecutiveFailures = 0;
-      
-      while (this.txQueues[relayerAddress].length > 0) {
-        // First, always refresh the nonce before processing the next transaction
-        try {
-          // Get fresh nonce directly from the network
-          const currentNonce = await this.provider.getTransactionCount(relayerAddress, "pending");
-          console.log(`Current blockchain nonce for ${relayerAddress}: ${currentNonce} (pending state)`);
-          this.relayerStats[relayerAddress].currentNonce = currentNonce;
-        } catch (error) {
-          console.error(`Error refreshing nonce for ${relayerAddress}:`, error.message);
-          // Continue with existing nonce if refresh fails
-        }
-        
-        // Too many consecutive failures, pause processing
-        if (consecutiveFailures >= 3) {
-          console.log(`Too many consecutive failures for relayer ${relayerAddress}, pausing queue processing for cooldown`);
-          await new Promise(resolve => setTimeout(resolve, 15000)); // 15 second cooldown
-          
-          // Refresh nonce before continuing
-          try {
-            const nonce = await this.provider.getTransactionCount(relayerAddress, "latest");
-            this.relayerStats[relayerAddress].currentNonce = nonce;
-            console.log(`After cooldown, refreshed nonce for ${relayerAddress}: ${nonce} (latest state)`);
-          } catch (nonceError) {
-            console.error(`Failed to refresh nonce after cooldown:`, nonceError);
+      return await RewardTransfer.create({
+        walletAddress: txData.walletAddress,
+        playerId: txData.playerId,
+        pointsToMint: txData.pointsToMint,
+        coinsCollected: txData.coinsCollected,
+        trackId: txData.trackId,
+        ruleSetVersion: txData.ruleSetVersion,
+        gasLimit: txData.gasLimit !== undefined ? txData.gasLimit.toString() : undefined,
+        emissionReservedAt: txData.emissionReservedAt,
+        ...fields,
+        state,
+        history: [{ state, at: now }],
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error(`Failed to persist ${state} transfer for ${txData.walletAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Move a deferred transfer into a relayer queue
+   * @param {Object} transfer The deferred transfer document
+   * @param {Date} emissionReservedAt When its emission reservation was taken
+   * @returns {Promise<boolean>} True if the transfer was queued
+   */
+  releaseDeferredTransfer(transfer, emissionReservedAt) {
+    return this.releaseHeldTransfer(transfer._id, 'deferred', { emissionReservedAt });
+  }
+
+  /**
+   * Move a transfer waiting outside the queues into a relayer queue
+   * @param {Object} transferId ID of the persisted transfer
+   * @param {string} fromState The state it is expected to wait in
+   * @param {Object} [fields] Other fields to store
+   * @returns {Promise<boolean>} True if the transfer was queued
+   */
+  async releaseHeldTransfer(transferId, fromState, fields = {}) {
+    if (!this.isInitialized) {
+      return false;
+    }
+    
+    const relayer = this.selectRelayer();
+    if (!relayer) {
+      console.error(`No relayer available to release ${fromState} transfer ${transferId}`);
+      return false;
+    }
+    
+    // Only the caller that moves the transfer out of its waiting state may queue it
+    const released = await RewardTransfer.findOneAndUpdate(
+      { _id: transferId, state: fromState },
+      {
+        $set: { ...fields, state: 'queued', relayerAddress: relayer.address, updatedAt: new Date() },
+        $unset: { deferredUntil: '', heldFrom: '' },
+        $push: { history: { state: 'queued', at: new Date() } }
+      },
+      { new: true }
+    );
+    if (!released) {
+      return false;
+    }
+    
+    this.enqueue(relayer, {
+      transferId: released._id,
+      walletAddress: released.walletAddress,
+      pointsToMint: released.pointsToMint,
+      playerId: released.playerId,
+      gasLimit: released.gasLimit ? BigInt(released.gasLimit) : undefined,
+      retryCount: 0,
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Add a reward to its wallet's pending batch instead of queueing its own transfer
+   * The batch is paid as one transfer once it reaches the size threshold or its time window ends.
+   * @param {Object} txData Transaction data, as for queueTransaction
+   * @returns {Promise<Object|null>} The persisted reward, in state batching
+   */
+  async addToBatch(txData) {
+    const transfer = await this.persistHeldTransfer(txData, 'batching');
+    if (!transfer) {
+      return null;
+    }
+    
+    const batch = this.trackBatchedReward(transfer);
+    console.log(`Reward of ${transfer.pointsToMint} tokens for ${transfer.walletAddress} batched (${batch.transferIds.length} rewards, ${batch.amount} tokens pending)`);
+    
+    if (batch.amount >= PAYOUT_BATCH_MAX_AMOUNT || batch.transferIds.length >= PAYOUT_BATCH_MAX_CLAIMS) {
+      await this.flushBatch(transfer.walletAddress, 'size');
+    }
+    
+    return transfer;
+  }
+
+  /**
+   * Add a persisted reward to the in-memory batch of its wallet, starting the batch window if it is the first
+   * @param {Object} transfer The reward in state batching
+   * @returns {Object} The wallet's pending batch
+   */
+  trackBatchedReward(transfer) {
+    const key = transfer.walletAddress.toLowerCase();
+    let batch = this.pendingBatches[key];
+    
+    if (!batch) {
+      batch = {
+        walletAddress: transfer.walletAddress,
+        playerId: transfer.playerId,
+        gasLimit: transfer.gasLimit,
+        amount: 0,
+        transferIds: [],
+        firstAt: transfer.createdAt.getTime(),
+        flushAt: transfer.createdAt.getTime() + PAYOUT_BATCH_WINDOW_MS,
+        timer: null
+      };
+      batch.timer = setTimeout(() => {
+        this.flushBatch(key, 'window').catch(error => {
+          console.error(`Error flushing payout batch for ${key}:`, error);
+        });
+      }, Math.max(0, batch.flushAt - Date.now()));
+      this.pendingBatches[key] = batch;
+    }
+    
+    // Rewards have at most a few decimals; toPrecision drops the float noise of the sum
+    batch.amount = Number((batch.amount + transfer.pointsToMint).toPrecision(15));
+    batch.transferIds.push(transfer._id);
+    return batch;
+  }
+
+  /**
+   * Pay a wallet's pending rewards as one transfer
+   * @param {string} walletAddress The player wallet
+   * @param {string} reason What triggered the flush: size, window, session_end or admin
+   * @returns {Promise<Object|null>} The queued transfer, or null if nothing was pending
+   */
+  async flushBatch(walletAddress, reason) {
+    const key = walletAddress.toLowerCase();
+    const batch = this.pendingBatches[key];
+    if (!batch) {
+      return null;
+    }
+    
+    clearTimeout(batch.timer);
+    delete this.pendingBatches[key];
+    
+    const relayer = this.isInitialized ? this.selectRelayer() : null;
+    if (!relayer) {
+      console.error(`No relayer available to flush the payout batch for ${batch.walletAddress}`);
+      this.retryBatchLater(key, batch);
+      return null;
+    }
+    
+    // A single reward needs no merging; it is skipped if it was cancelled while it waited
+    if (batch.transferIds.length === 1) {
+      const released = await this.releaseHeldTransfer(batch.transferIds[0], 'batching');
+      return released ? RewardTransfer.findById(batch.transferIds[0]) : null;
+    }
+    
+    // Mark the rewards as merged before the batch transfer exists: a crash in between can
+    // leave rewards unpaid, which reconciliation reports, but never pays them twice
+    const batchId = new mongoose.Types.ObjectId();
+    const now = new Date();
+    await RewardTransfer.updateMany(
+      { _id: { $in: batch.transferIds }, state: 'batching' },
+      {
+        $set: { state: 'batched', batchId, updatedAt: now },
+        $push: { history: { state: 'batched', at: now } }
+      }
+    );
+    
+    // Rewards cancelled while they waited are left out
+    const members = await RewardTransfer.find({ batchId }, { pointsToMint: 1 }).lean();
+    if (members.length === 0) {
+      return null;
+    }
+    const amount = Number(members.reduce((sum, member) => sum + member.pointsToMint, 0).toPrecision(15));
+    
+    const transfer = await RewardTransfer.create({
+      _id: batchId,
+      walletAddress: batch.walletAddress,
+      playerId: batch.playerId,
+      pointsToMint: amount,
+      gasLimit: batch.gasLimit,
+      relayerAddress: relayer.address,
+      batchSize: members.length,
+      state: 'queued',
+      history: [{ state: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+    
+    this.batchStats.batchesQueued++;
+    this.batchStats.rewardsBatched += members.length;
+    console.log(`Flushing payout batch for ${batch.walletAddress} (${reason}): ${members.length} rewards, ${amount} tokens in one transfer`);
+    
+    this.enqueue(relayer, {
+      transferId: batchId,
+      walletAddress: batch.walletAddress,
+      pointsToMint: amount,
+      playerId: batch.playerId,
+      gasLimit: batch.gasLimit ? BigInt(batch.gasLimit) : undefined,
+      batchSize: members.length,
+      retryCount: 0,
+      timestamp: Date.now()
+    });
+    
+    return transfer;
+  }
+
+  /**
+   * Put a batch that could not be flushed back and try again after another window
+   */
+  retryBatchLater(key, batch) {
+    if (this.pendingBatches[key]) {
+      // New rewards started a fresh batch meanwhile, fold the old one into it
+      const pending = this.pendingBatches[key];
+      pending.transferIds.unshift(...batch.transferIds);
+      pending.amount = Number((pending.amount + batch.amount).toPrecision(15));
+      pending.firstAt = batch.firstAt;
+      return;
+    }
+    
+    batch.flushAt = Date.now() + PAYOUT_BATCH_WINDOW_MS;
+    batch.timer = setTimeout(() => {
+      this.flushBatch(key, 'window').catch(error => {
+        console.error(`Error flushing payout batch for ${key}:`, error);
+      });
+    }, PAYOUT_BATCH_WINDOW_MS);
+    this.pendingBatches[key] = batch;
+  }
+
+  /**
+   * Flush every pending batch
+   * @param {string} reason What triggered the flush
+   * @returns {Promise<number>} Number of batches flushed
+   */
+  async flushAllBatches(reason) {
+    let flushed = 0;
+    for (const key of Object.keys(this.pendingBatches)) {
+      if (await this.flushBatch(key, reason)) {
+        flushed++;
+      }
+    }
+    return flushed;
+  }
+
+  /**
+   * Reload rewards that were waiting in a batch when the process last stopped
+   * With batching turned off since, they are paid right away.
+   * @returns {Promise<number>} Number of rewards restored
+   */
+  async restorePendingBatches() {
+    let pending;
+    try {
+      pending = await RewardTransfer.find({ state: 'batching' }).sort({ createdAt: 1 });
+    } catch (error) {
+      console.error('Failed to load pending payout batches:', error.message);
+      return 0;
+    }
+    
+    for (const transfer of pending) {
+      this.trackBatchedReward(transfer);
+    }
+    
+    if (pending.length > 0) {
+      console.log(`Restored ${pending.length} batched rewards for ${Object.keys(this.pendingBatches).length} wallets`);
+      if (!this.batchingEnabled) {
+        await this.flushAllBatches('batching_disabled');
+      }
+    }
+    return pending.length;
+  }
+
+  /**
+   * Get payout batching settings, pending batches and gas savings
+   * @returns {Object} Batching status
+   */
+  getBatchStatus() {
+    return {
+      enabled: this.batchingEnabled,
+      windowMs: PAYOUT_BATCH_WINDOW_MS,
+      maxAmount: PAYOUT_BATCH_MAX_AMOUNT,
+      maxRewards: PAYOUT_BATCH_MAX_CLAIMS,
+      pendingWallets: Object.values(this.pendingBatches).map(batch => ({
+        walletAddress: batch.walletAddress,
+        amount: batch.amount,
+        rewards: batch.transferIds.length,
+        firstAt: batch.firstAt,
+        flushAt: batch.flushAt
+      })),
+      stats: {
+        ...this.batchStats,
+        gasSaved: this.batchStats.gasSaved.toString(),
+        feesSaved: ethers.formatEther(this.batchStats.feesSaved)
+      }
+    };
+  }
+
+  /**
+   * Push a transaction onto a relayer queue and start processing it
+   * @param {Object} relayer The relayer wallet object
+   * @param {Object} txData Transaction data (must already be persisted)
+   */
+  enqueue(relayer, txData) {
+    // Add to the selected relayer's queue
+    this.txQueues[relayer.address].push(txData);
+    this.relayerStats[relayer.address].queueLength = this.txQueues[relayer.address].length;
+    
+    console.log(`Transaction for ${txData.walletAddress} added to relayer ${this.relayerStats[relayer.address].index} queue (${this.txQueues[relayer.address].length} pending)`);
+    
+    // Start queue processing (if not already processing)
+    this.processQueue(relayer);
+  }
+
+  /**
+   * Update the persisted record of a queued transfer
+   * State changes are appended to the transfer history.
+   * Persistence errors are logged and never interrupt queue processing.
+   * @param {Object} txData Transaction data holding the transferId
+   * @param {Object} update Fields to set on the transfer document
+   */
+  async updatePersistedTransfer(txData, update) {
+    if (!txData.transferId) {
+      return;
+    }
+    
+    const now = new Date();
+    const change = { $set: { ...update, updatedAt: now } };
+    
+    if (update.state) {
+      change.$push = {
+        history: {
+          state: update.state,
+          txHash: update.txHash || undefined,
+          error: update.lastError || undefined,
+          at: now
+        }
+      };
+    }
+    
+    try {
+      await RewardTransfer.updateOne({ _id: txData.transferId }, change);
+    } catch (error) {
+      console.error(`Failed to persist update for transfer ${txData.transferId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark a queued transfer as submitted, only if it is still queued
+   * This is the relayer's claim on the transfer, taken before its transaction is broadcast.
+   * @param {Object} txData Transaction data holding the transferId
+   * @param {Object} fields The relayer, hash and nonce of the transaction
+   * @returns {Promise<boolean>} Whether the transfer may be sent
+   */
+  async claimQueuedTransfer(txData, { relayerAddress, txHash, nonce }) {
+    if (!txData.transferId) {
+      return true;
+    }
+    
+    const now = new Date();
+    const claimed = await RewardTransfer.findOneAndUpdate(
+      { _id: txData.transferId, state: 'queued' },
+      {
+        $set: { state: 'submitted', relayerAddress, txHash, nonce, updatedAt: now },
+        $push: { history: { state: 'submitted', txHash, at: now } }
+      },
+      { projection: { _id: 1 } }
+    );
+    return Boolean(claimed);
+  }
+
+  /**
+   * Take the transfer at the head of a relayer's queue out of it and persist it as held
+   * @param {string} relayerAddress The relayer whose queue holds the transfer
+   * @param {Object} txData Transaction data of the transfer
+   */
+  async holdQueuedTransfer(relayerAddress, txData) {
+    this.txQueues[relayerAddress].shift();
+    this.relayerStats[relayerAddress].queueLength = this.txQueues[relayerAddress].length;
+    
+    const now = new Date();
+    await RewardTransfer.updateOne(
+      { _id: txData.transferId, state: 'queued' },
+      {
+        $set: { state: 'held', heldFrom: 'queued', updatedAt: now },
+        $push: { history: { state: 'held', at: now } }
+      }
+    ).catch(error => {
+      console.error(`Failed to hold transfer ${txData.transferId}:`, error.message);
+    });
+    console.log(`Payouts to ${txData.walletAddress} are held, transfer ${txData.transferId} left the queue of relayer ${relayerAddress}`);
+  }
+
+  /**
+   * Record a confirmed payout in the reward ledger
+   * @param {Object} txData Transaction data holding the transferId
+   * @param {Object} receipt The mined transaction receipt
+   */
+  async recordPayout(txData, receipt) {
+    const amount = Number(txData.pointsToMint);
+    
+    try {
+      await LedgerEntry.record({
+        entryType: 'payout',
+        walletAddress: txData.walletAddress,
+        amount,
+        transferId: txData.transferId,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+      
+      // Keep the player's transferred token total in step with the ledger
+      await Player.updateOne(
+        { walletAddress: txData.walletAddress },
+        { $inc: { tokensTx: amount } }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log(`Payout for transfer ${txData.transferId} already recorded in ledger`);
+        return;
+      }
+      console.error(`Failed to record ledger payout for transfer ${txData.transferId}:`, error.message);
+    }
+  }
+
+  /**
+   * Reload transfers that were queued or submitted before the last shutdown
+   * @returns {Promise<number>} Number of transfers put back into the queues
+   */
+  async restorePersistedQueue() {
+    let pendingTransfers;
+    try {
+      pendingTransfers = await RewardTransfer.find({ state: { $in: ['queued', 'submitted'] } })
+        .sort({ createdAt: 1 });
+    } catch (error) {
+      console.error('Failed to load persisted transfer queue:', error.message);
+      return 0;
+    }
+    
+    if (pendingTransfers.length === 0) {
+      console.log('No persisted transfers to restore');
+      return 0;
+    }
+    
+    console.log(`Restoring ${pendingTransfers.length} persisted transfers`);
+    let restored = 0;
+    
+    for (const transfer of pendingTransfers) {
+      // A transfer that was broadcast before the restart may already be mined or still pending
+      if (transfer.state === 'submitted' && transfer.txHash) {
+        const resolved = await this.resolveSubmittedTransfer(transfer);
+        if (resolved) {
+          continue;
+        }
+      }
+      
+      if (await this.requeueRestoredTransfer(transfer)) {
+        restored++;
+      }
+    }
+    
+    console.log(`Restored ${restored} transfers into relayer queues`);
+    return restored;
+  }
+
+  /**
+   * Put a persisted transfer back into a relayer queue
+   * @param {Object} transfer The persisted transfer document
+   * @returns {Promise<boolean>} True if the transfer was queued
+   */
+  async requeueRestoredTransfer(transfer) {
+    // Keep the original relayer if it is still available, otherwise pick a new one.
+    // A transfer with a tracked in-flight nonce must stay on the relayer that owns the nonce.
+    let relayer = this.relayers.find(r => r.address === transfer.relayerAddress);
+    const inFlight = relayer && this.findInFlightTransaction(relayer.address, transfer._id);
+    if (!relayer || (!inFlight && !this.relayerStats[relayer.address].active)) {
+      relayer = this.selectRelayer();
+    }
+    
+    if (!relayer) {
+      console.error(`No relayer available to restore transfer ${transfer._id}`);
+      return false;
+    }
+    
+    const txData = {
+      transferId: transfer._id,
+      walletAddress: transfer.walletAddress,
+      pointsToMint: transfer.pointsToMint,
+      playerId: transfer.playerId,
+      gasLimit: transfer.gasLimit ? BigInt(transfer.gasLimit) : undefined,
+      batchSize: transfer.batchSize,
+      retryCount: transfer.retryCount,
+      lastError: transfer.lastError,
+      timestamp: transfer.createdAt.getTime()
+    };
+    
+    if (!inFlight) {
+      await this.updatePersistedTransfer(txData, { state: 'queued', relayerAddress: relayer.address });
+    }
+    this.enqueue(relayer, txData);
+    return true;
+  }
+
+  /**
+   * Check whether a transfer submitted before a restart already landed on-chain
+   * A transfer whose check fails is checked again in the background.
+   * @param {Object} transfer The persisted transfer document
+   * @returns {Promise<boolean>} True if the transfer was resolved, or is still being checked, and must not be re-sent
+   */
+  async resolveSubmittedTransfer(transfer) {
+    try {
+      const broadcasts = transfer.broadcasts.length > 0 ?
+        transfer.broadcasts :
+        [{ hash: transfer.txHash, kind: 'original' }];
+      
+      let receipt = null;
+      let minedBroadcast = null;
+      for (const broadcast of broadcasts) {
+        receipt = await this.provider.getTransactionReceipt(broadcast.hash);
+        if (receipt) {
+          minedBroadcast = broadcast;
+          break;
+        }
+      }
+      
+      if (!receipt) {
+        // Still known to the node: follow it rather than sending a duplicate payout
+        let pendingTx = null;
+        for (const broadcast of broadcasts) {
+          pendingTx = pendingTx || await this.provider.getTransaction(broadcast.hash);
+        }
+        if (!pendingTx) {
+          console.log(`Transaction ${transfer.txHash} for transfer ${transfer._id} is no longer known, re-queueing`);
+          return false;
+        }
+        
+        // Track the nonce again so it is confirmed, and replaced if it stalls, without holding up startup
+        const tokenAmount = this.toTokenAmount(transfer.pointsToMint);
+        const request = await this.tokenContract.transferFrom.populateTransaction(
+          this.treasuryWallet.address,
+          transfer.walletAddress,
+          tokenAmount
+        );
+        const record = this.trackInFlightTransaction(transfer.relayerAddress, {
+          nonce: pendingTx.nonce,
+          transferId: transfer._id,
+          walletAddress: transfer.walletAddress,
+          amount: tokenAmount,
+          request: { to: request.to, data: request.data, gasLimit: pendingTx.gasLimit }
+        });
+        record.broadcasts = broadcasts.map(broadcast => ({
+          hash: broadcast.hash,
+          kind: broadcast.kind,
+          maxFeePerGas: broadcast.maxFeePerGas ? BigInt(broadcast.maxFeePerGas) : pendingTx.maxFeePerGas,
+          maxPriorityFeePerGas: broadcast.maxPriorityFeePerGas ? BigInt(broadcast.maxPriorityFeePerGas) : pendingTx.maxPriorityFeePerGas,
+          at: broadcast.at ? new Date(broadcast.at).getTime() : Date.now()
+        }));
+        record.cancelRequested = broadcasts.some(broadcast => broadcast.kind === 'cancel');
+        
+        // The relayer's queue waits for the nonce like any other in-flight transaction
+        if (this.relayers.some(r => r.address === transfer.relayerAddress)) {
+          console.log(`Transfer ${transfer._id} still pending at nonce ${pendingTx.nonce}, tracking it again`);
+          return false;
+        }
+        
+        // No queue runs for a relayer that is no longer loaded, so it is followed in the background
+        console.log(`Transfer ${transfer._id} still pending at nonce ${pendingTx.nonce} of unloaded relayer ${transfer.relayerAddress}, following it in the background`);
+        this.followSubmittedTransfer(transfer, record);
+        return true;
+      }
+      
+      await this.settleSubmittedTransfer(transfer, receipt, minedBroadcast);
+      return true;
+    } catch (error) {
+      // A failed lookup says nothing about whether the payout landed, so the transfer stays submitted
+      console.error(`Failed to resolve submitted transfer ${transfer._id}, checking again in ${TX_RECEIPT_POLL_MS}ms:`, error.message);
+      this.retrySubmittedTransfer(transfer);
+      return true;
+    }
+  }
+
+  /**
+   * Resolve a submitted transfer again after a failed lookup
+   * Runs in the background; it is queued again only once the node positively does not know its transaction.
+   * @param {Object} transfer The persisted transfer document
+   */
+  async retrySubmittedTransfer(transfer) {
+    await delay(TX_RECEIPT_POLL_MS);
+    
+    if (await this.resolveSubmittedTransfer(transfer)) {
+      return;
+    }
+    
+    try {
+      await this.requeueRestoredTransfer(transfer);
+    } catch (error) {
+      console.error(`Failed to re-queue transfer ${transfer._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Follow a transaction submitted before a restart by a relayer that is no longer loaded
+   * It cannot be replaced; once none of its broadcasts is known to the node the transfer is queued again.
+   * @param {Object} transfer The persisted transfer document
+   * @param {Object} record Its in-flight record
+   */
+  async followSubmittedTransfer(transfer, record) {
+    while (true) {
+      try {
+        const { receipt, broadcast } = await this.waitForInFlightTransaction(null, record);
+        this.clearInFlightTransaction(record.relayerAddress, record.nonce);
+        await this.settleSubmittedTransfer(transfer, receipt, broadcast);
+        return;
+      } catch (error) {
+        // The nonce was used by another transaction, or the node dropped every broadcast of it
+        const gone = error.message.includes('untracked transaction') || !(await this.isAnyBroadcastKnown(record).catch(() => true));
+        if (gone) {
+          this.clearInFlightTransaction(record.relayerAddress, record.nonce);
+          console.log(`Transaction of transfer ${transfer._id} on unloaded relayer ${record.relayerAddress} will not be mined, re-queueing`);
+          try {
+            await this.requeueRestoredTransfer(transfer);
+          } catch (requeueError) {
+            console.error(`Failed to re-queue transfer ${transfer._id}:`, requeueError.message);
+          }
+          return;
+        }
+        // Timeouts only mean it is still pending, keep waiting
+        await delay(TX_RECEIPT_POLL_MS);
+      }
+    }
+  }
+
+  /**
+   * Record the outcome of a transaction submitted before a restart
+   * @param {Object} transfer The persisted transfer document
+   * @param {Object} receipt The mined transaction receipt
+   * @param {Object} [minedBroadcast] The broadcast that was mined
+   */
+  async settleSubmittedTransfer(transfer, receipt, minedBroadcast) {
+    try {
+      if (minedBroadcast?.kind === 'cancel') {
+        await this.handleCancelledTransfer({
+          transferId: transfer._id,
+          walletAddress: transfer.walletAddress,
+          pointsToMint: transfer.pointsToMint,
+          retryCount: transfer.retryCount
+        }, transfer.relayerAddress, receipt);
+        return;
+      }
+      
+      transfer.txHash = receipt.hash;
+      const success = receipt.status === 1;
+      transfer.state = success ? 'confirmed' : 'failed';
+      transfer.gasUsed = receipt.gasUsed?.toString() || '0';
+      transfer.lastError = success ? null : 'Transaction reverted';
+      transfer.updatedAt = new Date();
+      transfer.history.push({
+        state: transfer.state,
+        txHash: transfer.txHash,
+        error: transfer.lastError || undefined,
+        at: transfer.updatedAt
+      });
+      await transfer.save();
+      
+      console.log(`Previously submitted transfer ${transfer._id} resolved as ${transfer.state}: ${transfer.txHash}`);
+      
+      if (success) {
+        await this.recordPayout({
+          transferId: transfer._id,
+          walletAddress: transfer.walletAddress,
+          pointsToMint: transfer.pointsToMint
+        }, receipt);
+      } else {
+        await this.releaseEmission([transfer._id]);
+      }
+      
+      if (this.onTransactionComplete) {
+        this.onTransactionComplete({
+          transferId: transfer._id,
+          hash: transfer.txHash,
+          walletAddress: transfer.walletAddress,
+          pointsToMint: transfer.pointsToMint,
+          success,
+          relayerAddress: transfer.relayerAddress,
+          relayerIndex: this.relayerStats[transfer.relayerAddress]?.index,
+          gasUsed: transfer.gasUsed,
+          error: transfer.lastError || undefined
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to settle submitted transfer ${transfer._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Move a permanently failed transfer into the dead-letter store
+   * @param {Object} txData Transaction data holding the transferId
+   * @param {string} relayerAddress The relayer that last processed the transfer
+   * @param {string} errorMessage The error that caused the failure
+   * @param {string} [errorType] Type of the error, classified from the message when not given
+   */
+  async deadLetterTransfer(txData, relayerAddress, errorMessage, errorType = classifyTransferError(errorMessage)) {
+    if (!txData.transferId) {
+      return;
+    }
+    
+    try {
+      await DeadLetter.findOneAndUpdate(
+        { transferId: txData.transferId },
+        {
+          $set: {
+            walletAddress: txData.walletAddress,
+            pointsToMint: txData.pointsToMint,
+            relayerAddress,
+            errorType,
+            error: errorMessage,
+            attempts: txData.retryCount || 0,
+            status: 'open',
+            updatedAt: new Date()
+          },
+          $unset: { resolution: '' },
+          $inc: { timesDeadLettered: 1 },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+      
+      console.log(`Transfer ${txData.transferId} moved to dead-letter store (${errorType})`);
+    } catch (error) {
+      console.error(`Failed to dead-letter transfer ${txData.transferId}:`, error.message);
+    }
+  }
+
+  /**
+   * Atomically move an open dead letter to its resolution
+   * @param {string} deadLetterId ID of the dead letter
+   * @param {string} status The status it moves to, retried or cancelled
+   * @param {Object} resolution The resolution recorded with it
+   * @returns {Promise<Object>} The claimed dead letter
+   */
+  async claimDeadLetter(deadLetterId, status, resolution) {
+    const deadLetter = await DeadLetter.findOneAndUpdate(
+      { _id: deadLetterId, status: 'open' },
+      { status, resolution, updatedAt: new Date() },
+      { new: true }
+    );
+    if (deadLetter) {
+      return deadLetter;
+    }
+    
+    const current = await DeadLetter.findById(deadLetterId);
+    if (!current) {
+      throw new Error('Dead letter not found');
+    }
+    throw new Error(`Dead letter is already ${current.status}`);
+  }
+
+  /**
+   * Give back the emission reservations of payouts that will not be paid
+   * A batch transfer gives back the reservations of the rewards merged into it.
+   * @param {Array} transferIds IDs of the cancelled or failed transfers
+   */
+  async releaseEmission(transferIds) {
+    const ids = transferIds.filter(Boolean);
+    if (!this.emissionControl || ids.length === 0) {
+      return;
+    }
+    
+    try {
+      await this.emissionControl.releaseTransfers({ $or: [{ _id: { $in: ids } }, { batchId: { $in: ids } }] });
+    } catch (error) {
+      console.error(`Failed to release emission reservations of transfers ${ids.join(', ')}:`, error.message);
+    }
+  }
+
+  /**
+   * Put a dead-lettered transfer back into a relayer queue
+   * @param {string} deadLetterId ID of the dead letter
+   * @param {Object} options Optional relayerAddress to retry on and the acting admin
+   * @returns {Promise<Object>} The updated dead letter
+   */
+  async retryDeadLetter(deadLetterId, { relayerAddress, retriedBy } = {}) {
+    const found = await DeadLetter.findById(deadLetterId);
+    if (!found) {
+      throw new Error('Dead letter not found');
+    }
+    if (found.status !== 'open') {
+      throw new Error(`Dead letter is already ${found.status}`);
+    }
+    
+    let relayer;
+    if (relayerAddress) {
+      relayer = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+      if (!relayer || !this.relayerStats[relayer.address].active) {
+        throw new Error(`Relayer ${relayerAddress} not found or inactive`);
+      }
+    } else {
+      relayer = this.selectRelayer();
+      if (!relayer) {
+        throw new Error('No suitable relayer available');
+      }
+    }
+    
+    const transfer = await RewardTransfer.findById(found.transferId);
+    if (!transfer) {
+      throw new Error(`Transfer ${found.transferId} not found`);
+    }
+    
+    // Re-sending while the old transaction can still be mined would pay twice
+    for (const address of Object.keys(this.inFlightTxs)) {
+      const inFlight = this.findInFlightTransaction(address, transfer._id);
+      if (inFlight) {
+        throw new Error(`Transfer still has an unmined transaction at nonce ${inFlight.nonce} on relayer ${address}; cancel it first`);
+      }
+    }
+    
+    // Only the caller that moves the dead letter out of open may re-send it, so a
+    // double-clicked or bulk retry cannot pay twice and a retry cannot race a cancel
+    const deadLetter = await this.claimDeadLetter(deadLetterId, 'retried', {
+      action: 'retry',
+      relayerAddress: relayer.address,
+      by: retriedBy,
+      at: new Date()
+    });
+    
+    // Its emission reservation was given back when it failed, so it is reserved again
+    if (this.emissionControl) {
+      const reservation = await this.emissionControl.reserveTransfer(transfer);
+      if (!reservation.reserved) {
+        await DeadLetter.updateOne(
+          { _id: deadLetter._id, status: 'retried' },
+          { $set: { status: 'open', updatedAt: new Date() }, $unset: { resolution: '' } }
+        );
+        throw new Error(reservation.error);
+      }
+    }
+    
+    const txData = {
+      transferId: transfer._id,
+      walletAddress: transfer.walletAddress,
+      pointsToMint: transfer.pointsToMint,
+      playerId: transfer.playerId,
+      gasLimit: transfer.gasLimit ? BigInt(transfer.gasLimit) : undefined,
+      retryCount: 0,
+      timestamp: Date.now()
+    };
+    
+    await this.updatePersistedTransfer(txData, {
+      state: 'queued',
+      relayerAddress: relayer.address,
+      retryCount: 0,
+      lastError: null
+    });
+    
+    this.enqueue(relayer, txData);
+    console.log(`Dead letter ${deadLetterId} re-queued on relayer ${relayer.address}`);
+    
+    return deadLetter;
+  }
+
+  /**
+   * Re-queue every open dead letter with the given error type
+   * @param {string} errorType The error type to retry
+   * @param {Object} options Optional relayerAddress to retry on and the acting admin
+   * @returns {Promise<Object>} Counts of retried and failed dead letters
+   */
+  async retryDeadLettersByErrorType(errorType, options = {}) {
+    const deadLetters = await DeadLetter.find({ status: 'open', errorType }).sort({ createdAt: 1 });
+    const result = { matched: deadLetters.length, retried: 0, failed: [] };
+    
+    for (const deadLetter of deadLetters) {
+      try {
+        await this.retryDeadLetter(deadLetter._id, options);
+        result.retried++;
+      } catch (error) {
+        result.failed.push({ id: deadLetter._id.toString(), error: error.message });
+      }
+    }
+    
+    console.log(`Bulk retry for ${errorType}: ${result.retried}/${result.matched} dead letters re-queued`);
+    return result;
+  }
+
+  /**
+   * Cancel a dead-lettered transfer and reverse its ledger credit
+   * @param {string} deadLetterId ID of the dead letter
+   * @param {Object} options The cancellation reason and acting admin
+   * @returns {Promise<Object>} The updated dead letter
+   */
+  async cancelDeadLetter(deadLetterId, { reason, cancelledBy } = {}) {
+    // Claimed before the reversal, so a retry cannot re-send a payout whose credit was reversed
+    const deadLetter = await this.claimDeadLetter(deadLetterId, 'cancelled', {
+      action: 'cancel',
+      reason,
+      by: cancelledBy,
+      at: new Date()
+    });
+    
+    await LedgerEntry.record({
+      entryType: 'reversal',
+      walletAddress: deadLetter.walletAddress,
+      amount: deadLetter.pointsToMint,
+      transferId: deadLetter.transferId,
+      note: reason,
+      createdBy: cancelledBy
+    });
+    
+    await this.updatePersistedTransfer({ transferId: deadLetter.transferId }, {
+      state: 'cancelled',
+      lastError: reason ? `Cancelled: ${reason}` : 'Cancelled'
+    });
+    await this.releaseEmission([deadLetter.transferId]);
+    
+    console.log(`Dead letter ${deadLetterId} cancelled and reversed in ledger`);
+    return deadLetter;
+  }
+
+  /**
+   * Get the status of all relayer queues
+   * @returns {Object} Queue lengths, processing flags and in-flight nonces per relayer
+   */
+  getQueueStatus() {
+    const queuesByRelayer = {};
+    let totalQueued = 0;
+    let totalInFlight = 0;
+    
+    for (const relayer of this.relayers) {
+      const queue = this.txQueues[relayer.address] || [];
+      const nonceManager = this.nonceManagers[relayer.address];
+      const inFlight = nonceManager ? nonceManager.inFlightCount : 0;
+      queuesByRelayer[relayer.address] = {
+        length: queue.length,
+        isProcessing: !!this.processingFlags[relayer.address],
+        inFlight,
+        maxInFlight: RELAYER_MAX_IN_FLIGHT,
+        nextNonce: nonceManager ? nonceManager.nextNonce : null,
+        nonceGaps: nonceManager ? [...nonceManager.gaps] : []
+      };
+      totalQueued += queue.length;
+      totalInFlight += inFlight;
+    }
+    
+    return {
+      totalQueued,
+      totalInFlight,
+      payoutsPaused: this.isPayoutPaused(),
+      payoutPauses: this.payoutPauses,
+      batching: this.getBatchStatus(),
+      queuesByRelayer
+    };
+  }
+
+  /**
+   * Convert a reward amount in tokens, possibly fractional, to the token's base units
+   * @param {number|string} points Reward amount in whole tokens
+   * @returns {BigInt} Amount in base units, using the contract's decimals
+   */
+  toTokenAmount(points) {
+    return ethers.parseUnits(points.toString(), this.tokenDecimals);
+  }
+
+  /**
+   * Format an amount in the token's base units as whole tokens
+   */
+  formatTokenAmount(amount) {
+    return ethers.formatUnits(amount, this.tokenDecimals);
+  }
+
+  /**
+   * Total tokens waiting in the queues and batches and in unmined payouts
+   * @returns {Object} Queued and in-flight amounts in wei
+   */
+  getPayoutTotals() {
+    let queued = BigInt(0);
+    let inFlight = BigInt(0);
+    
+    for (const relayer of this.relayers) {
+      for (const record of (this.inFlightTxs[relayer.address] || new Map()).values()) {
+        inFlight += record.amount || BigInt(0);
+      }
+      
+      // Queued transfers with a transaction in flight are already counted above
+      for (const txData of this.txQueues[relayer.address] || []) {
+        if (!this.findInFlightTransaction(relayer.address, txData.transferId)) {
+          queued += this.toTokenAmount(txData.pointsToMint);
+        }
+      }
+    }
+    
+    // Rewards waiting in a batch will be paid too
+    for (const batch of Object.values(this.pendingBatches)) {
+      queued += this.toTokenAmount(batch.amount);
+    }
+    
+    return { queued, inFlight };
+  }
+
+  /**
+   * Whether payouts are on hold for any reason
+   */
+  isPayoutPaused() {
+    return Object.keys(this.payoutPauses).length > 0;
+  }
+
+  /**
+   * Hold all payouts; queued transfers stay queued until every pause is lifted
+   * @param {string} source What paused payouts, e.g. 'treasury'
+   * @param {string} reason Shown in the status endpoints
+   */
+  pausePayouts(source, reason) {
+    const existing = this.payoutPauses[source];
+    this.payoutPauses[source] = { reason, since: existing ? existing.since : Date.now() };
+    
+    if (!existing) {
+      console.warn(`⏸️ Payouts paused by ${source}: ${reason}`);
+      if (this.onPayoutPause) {
+        this.onPayoutPause(source, reason);
+      }
+    }
+  }
+
+  /**
+   * Lift a payout pause and restart the queues once nothing else holds them
+   * @param {string} source The source that paused payouts
+   * @returns {boolean} True if the source had paused payouts
+   */
+  resumePayouts(source) {
+    if (!this.payoutPauses[source]) {
+      return false;
+    }
+    
+    delete this.payoutPauses[source];
+    console.log(`▶️ Payout pause by ${source} lifted`);
+    
+    if (!this.isPayoutPaused()) {
+      console.log('Payouts resumed, restarting relayer queues');
+      for (const relayer of this.relayers) {
+        this.processQueue(relayer);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Whether a wallet's payouts are held for review
+   */
+  isWalletHeld(walletAddress) {
+    return Boolean(this.walletHolds[walletAddress.toLowerCase()]);
+  }
+
+  /**
+   * Hold one wallet's payouts while it is under review
+   * Its deferred, batching and queued transfers move to held, and new ones are held as they come in.
+   * A transfer with a transaction already in flight, or one a relayer is sending, is left to finish.
+   * @param {string} walletAddress The player wallet
+   * @param {string} reason Shown in the status endpoints
+   * @returns {Promise<number>} Number of transfers moved to held
+   */
+  async holdWalletPayouts(walletAddress, reason) {
+    const key = walletAddress.toLowerCase();
+    const existing = this.walletHolds[key];
+    this.walletHolds[key] = { reason, since: existing ? existing.since : Date.now() };
+    
+    // The wallet's open batch is dropped without flushing, its rewards are held below
+    const batch = this.pendingBatches[key];
+    if (batch) {
+      clearTimeout(batch.timer);
+      delete this.pendingBatches[key];
+    }
+    
+    const claimed = this.getClaimedTransfers(key);
+    const claimedIds = [...claimed.inFlight, ...claimed.sending];
+    
+    // Queued transfers leave the relayer queues, except one a relayer may be sending right now.
+    // That one stays queued in the database too: processQueue holds it if it has not claimed it yet,
+    // and a claimed one is left to finish like any transfer in flight
+    for (const relayer of this.relayers) {
+      const queue = this.txQueues[relayer.address] || [];
+      const sending = this.processingFlags[relayer.address] ? queue.slice(0, 1) : [];
+      this.txQueues[relayer.address] = [
+        ...sending,
+        ...queue.slice(sending.length).filter(txData => txData.walletAddress.toLowerCase() !== key)
+      ];
+      this.relayerStats[relayer.address].queueLength = this.txQueues[relayer.address].length;
+    }
+    
+    let held = 0;
+    for (const state of ['deferred', 'batching', 'queued']) {
+      const now = new Date();
+      const result = await RewardTransfer.updateMany(
+        { walletAddress: key, state, _id: { $nin: claimedIds } },
+        {
+          $set: { state: 'held', heldFrom: state, updatedAt: now },
+          $push: { history: { state: 'held', at: now } }
+        }
+      );
+      held += result.modifiedCount;
+    }
+    
+    if (!existing) {
+      console.warn(`✋ Payouts to ${walletAddress} held: ${reason} (${held} transfers held)`);
+    }
+    return held;
+  }
+
+  /**
+   * Lift a wallet's payout hold and send its held transfers back where they waited
+   * Deferred payouts wait for their cap window again; the others are queued.
+   * @param {string} walletAddress The player wallet
+   * @returns {Promise<Object>} Number of transfers released, and of those still held because no relayer took them
+   */
+  async releaseWalletPayouts(walletAddress) {
+    const key = walletAddress.toLowerCase();
+    delete this.walletHolds[key];
+    
+    const now = new Date();
+    const deferred = await RewardTransfer.updateMany(
+      { walletAddress: key, state: 'held', heldFrom: 'deferred' },
+      {
+        $set: { state: 'deferred', updatedAt: now },
+        $unset: { heldFrom: '' },
+        $push: { history: { state: 'deferred', at: now } }
+      }
+    );
+    
+    const held = await RewardTransfer.find({ walletAddress: key, state: 'held' }, { _id: 1 }).sort({ createdAt: 1 });
+    let queued = 0;
+    for (const transfer of held) {
+      // A transfer processQueue has not reached yet is still in its queue and must not be queued twice
+      if (this.isTransferQueued(transfer._id)) {
+        const requeued = await RewardTransfer.updateOne(
+          { _id: transfer._id, state: 'held' },
+          {
+            $set: { state: 'queued', updatedAt: new Date() },
+            $unset: { heldFrom: '' },
+            $push: { history: { state: 'queued', at: new Date() } }
+          }
+        );
+        queued += requeued.modifiedCount;
+      } else if (await this.releaseHeldTransfer(transfer._id, 'held')) {
+        queued++;
+      }
+    }
+    
+    const result = { released: deferred.modifiedCount + queued, stillHeld: held.length - queued };
+    console.log(`Payouts to ${walletAddress} released: ${result.released} transfers`);
+    if (result.stillHeld > 0) {
+      console.error(`${result.stillHeld} held transfers for ${walletAddress} could not be queued, release them again once a relayer is available`);
+    }
+    return result;
+  }
+
+  /**
+   * Transfers of a wallet a relayer has claimed: sent and in flight, or next in a queue being processed
+   * @param {string} walletAddress The player wallet
+   * @returns {Object} IDs of the transfers in flight and of those being sent
+   */
+  getClaimedTransfers(walletAddress) {
+    const key = walletAddress.toLowerCase();
+    const inFlight = [];
+    const sending = [];
+    
+    for (const records of Object.values(this.inFlightTxs)) {
+      for (const record of records.values()) {
+        if (record.transferId && record.walletAddress && record.walletAddress.toLowerCase() === key) {
+          inFlight.push(record.transferId.toString());
+        }
+      }
+    }
+    
+    for (const relayer of this.relayers) {
+      const txData = this.processingFlags[relayer.address] && (this.txQueues[relayer.address] || [])[0];
+      if (txData && txData.transferId && txData.walletAddress.toLowerCase() === key && !inFlight.includes(txData.transferId.toString())) {
+        sending.push(txData.transferId.toString());
+      }
+    }
+    
+    return { inFlight, sending };
+  }
+
+  /**
+   * Cancel a wallet's held transfers and reverse their ledger credits
+   * A transfer a relayer was sending when the wallet was held is waited for: it is either sent,
+   * and left to finish, or held and cancelled with the others.
+   * @param {string} walletAddress The player wallet
+   * @param {Object} options The cancellation reason and acting admin
+   * @returns {Promise<Object>} Number of transfers cancelled, the amount reversed and the number left to finish
+   */
+  async cancelHeldPayouts(walletAddress, { reason, cancelledBy } = {}) {
+    const key = walletAddress.toLowerCase();
+    
+    const waitUntil = Date.now() + SEND_SETTLE_TIMEOUT_MS;
+    while (this.getClaimedTransfers(key).sending.length > 0 && Date.now() < waitUntil) {
+      await delay(TX_DELAY_MS);
+    }
+    // A send that stopped before the transfer was claimed leaves it queued; holding again takes it out
+    if (this.isWalletHeld(key)) {
+      await this.holdWalletPayouts(key, this.walletHolds[key].reason);
+    }
+    
+    const claimed = this.getClaimedTransfers(key);
+    const claimedIds = [...claimed.inFlight, ...claimed.sending];
+    const held = await RewardTransfer.find({ walletAddress: key, state: 'held' }).sort({ createdAt: 1 });
+    const result = { cancelled: 0, amount: 0, inProgress: claimedIds.length };
+    const cancelledIds = [];
+    
+    for (const transfer of held) {
+      if (claimedIds.includes(transfer._id.toString())) {
+        continue;
+      }
+      
+      // Only the caller that moves the transfer out of held may reverse it
+      const now = new Date();
+      const cancelled = await RewardTransfer.findOneAndUpdate(
+        { _id: transfer._id, state: 'held' },
+        {
+          $set: { state: 'cancelled', lastError: reason ? `Cancelled: ${reason}` : 'Cancelled', updatedAt: now },
+          $unset: { heldFrom: '' },
+          $push: { history: { state: 'cancelled', error: reason, at: now } }
+        }
+      );
+      if (!cancelled) {
+        continue;
+      }
+      
+      try {
+        await LedgerEntry.record({
+          entryType: 'reversal',
+          walletAddress: transfer.walletAddress,
+          amount: transfer.pointsToMint,
+          transferId: transfer._id,
+          note: reason,
+          createdBy: cancelledBy
+        });
+      } catch (error) {
+        console.error(`Failed to reverse ledger credit of cancelled transfer ${transfer._id}:`, error.message);
+      }
+      
+      cancelledIds.push(transfer._id);
+      result.cancelled++;
+      result.amount = Number((result.amount + transfer.pointsToMint).toPrecision(15));
+    }
+    
+    await this.releaseEmission(cancelledIds);
+    
+    if (result.cancelled > 0) {
+      console.log(`Cancelled ${result.cancelled} held payouts to ${walletAddress} (${result.amount} tokens reversed)`);
+    }
+    if (result.inProgress > 0) {
+      console.warn(`${result.inProgress} payouts to ${walletAddress} were already sent and are left to finish`);
+    }
+    return result;
+  }
+
+  /**
+   * Draw payouts from a new treasury wallet, after approving every spender from it
+   * Payouts should be paused while switching; the previous wallet is kept if an approval fails.
+   * @param {Object} wallet The new treasury wallet
+   * @returns {Promise<string>} Address of the previous treasury wallet
+   */
+  async switchTreasuryWallet(wallet) {
+    if (!this.isInitialized) {
+      throw new Error('Relayer system not initialized');
+    }
+    if (wallet.address === this.ownerWallet.address || this.relayers.some(r => r.address === wallet.address)) {
+      throw new Error('The owner and relayer wallets cannot be the treasury');
+    }
+    
+    const previous = this.treasuryWallet;
+    this.treasuryWallet = wallet;
+    
+    const approved = this.multiRelayerEnabled ?
+      await this.ensureTokenApproval() :
+      await this.ensureOwnerApproval();
+    
+    if (!approved) {
+      this.treasuryWallet = previous;
+      throw new Error(`Failed to approve spenders from treasury ${wallet.address}, still using ${previous.address}`);
+    }
+    
+    this.treasuryAddress = wallet.address;
+    // The cached balance belongs to the previous treasury until the monitor checks again
+    this.treasuryBalance = null;
+    console.log(`Treasury wallet switched from ${previous.address} to ${wallet.address}`);
+    return previous.address;
+  }
+
+  /**
+   * Get the nonce manager of a relayer, creating it on first use
+   * @param {string} relayerAddress The relayer address
+   * @returns {NonceManager} The relayer's nonce manager
+   */
+  getNonceManager(relayerAddress) {
+    if (!this.nonceManagers[relayerAddress]) {
+      this.nonceManagers[relayerAddress] = new NonceManager(this.provider, relayerAddress, {
+        maxInFlight: RELAYER_MAX_IN_FLIGHT
+      });
+    }
+    return this.nonceManagers[relayerAddress];
+  }
+
+  /**
+   * Process the transaction queue for a specific relayer
+   * Transactions are sent back to back on locally assigned nonces, up to
+   * RELAYER_MAX_IN_FLIGHT at a time, and confirmed in the background.
+   * @param {Object} relayer The relayer wallet object
+   */
+  async processQueue(relayer) {
+    const relayerAddress = relayer.address;
+    
+    if (this.processingFlags[relayerAddress] || this.txQueues[relayerAddress].length === 0) {
+      this.checkDrainComplete(relayerAddress);
+      return;
+    }
+    
+    this.processingFlags[relayerAddress] = true;
+    console.log(`Processing queue for relayer ${relayerAddress} (${this.txQueues[relayerAddress].length} transactions)`);
+    
+    const nonceManager = this.getNonceManager(relayerAddress);
+    const stats = this.relayerStats[relayerAddress];
+    
+    try {
+      // Resync with the chain whenever nothing is outstanding, so nonces used elsewhere are skipped
+      if (nonceManager.nextNonce === null || nonceManager.inFlightCount === 0) {
+        try {
+          const nonce = await nonceManager.sync();
+          stats.currentNonce = nonce;
+          console.log(`Synced nonce for ${relayerAddress}: ${nonce}`);
+        } catch (error) {
+          console.error(`Error syncing nonce for ${relayerAddress}:`, error.message);
+          if (nonceManager.nextNonce === null) {
+            throw error;
+          }
+        }
+      }
+      
+      let consecutiveFailures = 0;
+      
+      while (this.txQueues[relayerAddress].length > 0) {
+        const txData = this.txQueues[relayerAddress][0];
+        
+        // A transfer that already has a transaction in flight is never sent again on a new nonce
+        const inFlight = this.findInFlightTransaction(relayerAddress, txData.transferId);
+        if (inFlight) {
+          this.txQueues[relayerAddress].shift();
+          stats.queueLength = this.txQueues[relayerAddress].length;
+          
+          if (!inFlight.waiting) {
+            console.log(`Relayer ${relayerAddress} resuming wait for transfer ${txData.transferId} at nonce ${inFlight.nonce}`);
+            this.confirmTransaction(relayer, txData, inFlight);
+          }
+          continue;
+        }
+        
+        // The wallet was put on hold while this transfer was next in line; it waits as held
+        if (this.isWalletHeld(txData.walletAddress)) {
+          await this.holdQueuedTransfer(relayerAddress, txData);
+          continue;
+        }
+        
+        // The funding service restarts processing once the relayer is topped up
+        if (stats.lowBalance) {
+          console.log(`Relayer ${relayerAddress} is waiting for gas funding, holding ${this.txQueues[relayerAddress].length} transactions`);
+          break;
+        }
+        
+        // The treasury monitor restarts processing once payouts are resumed
+        if (this.isPayoutPaused()) {
+          console.log(`Payouts are paused, relayer ${relayerAddress} holding ${this.txQueues[relayerAddress].length} transactions`);
+          break;
+        }
+        
+        // An open breaker sheds the queued work to healthy relayers
+        if (this.health.getState(relayerAddress) === RelayerHealth.STATES.OPEN) {
+          await this.moveQueuedTransfers(relayer);
+          break;
+        }
+        
+        // The next confirmation to finish restarts processing
+        if (!nonceManager.hasCapacity()) {
+          console.log(`Relayer ${relayerAddress} has ${nonceManager.inFlightCount} transactions in flight, waiting for confirmations`);
+          break;
+        }
+        
+        // Too many consecutive failures, pause processing
+        if (consecutiveFailures >= 3) {
+          console.log(`Too many consecutive failures for relayer ${relayerAddress}, pausing queue processing for cooldown`);
+          await new Promise(resolve => setTimeout(resolve, 15000)); // 15 second cooldown
+          
+          // Resync before continuing
+          try {
+            stats.currentNonce = await nonceManager.sync();
+            console.log(`After cooldown, synced nonce for ${relayerAddress}: ${stats.currentNonce}`);
+          } catch (nonceError) {
+            console.error(`Failed to sync nonce after cooldown:`, nonceError);
           }
           
           console.log(`Resuming queue processing for relayer ${relayerAddress} after cooldown`);
           consecutiveFailures = 0;
         }
         
-        const txData = this.txQueues[relayerAddress][0];
-        const stats = this.relayerStats[relayerAddress];
-        
         // Check if this transaction has been retried too many times
         const retryCount = txData.retryCount || 0;
-        const maxRetries = 5; // Maximum number of retries per transaction
         
-        if (retryCount >= maxRetries) {
+        if (retryCount >= MAX_TX_RETRIES) {
           console.log(`Transaction for ${txData.walletAddress} (${txData.pointsToMint} tokens) has been retried ${retryCount} times - removing from queue`);
           
-          // Record permanent failure
-          if (this.onTransactionComplete) {
-            this.onTransactionComplete({
-              hash: null,
-              walletAddress: txData.walletAddress,
-              pointsToMint: txData.pointsToMint,
-              success: false,
-              relayerAddress,
-              relayerIndex: this.relayerStats[relayerAddress].index,
-              error: `Max retries (${maxRetries}) exceeded`
-            });
-          }
-          
-          // Remove from queue
           this.txQueues[relayerAddress].shift();
           stats.queueLength = this.txQueues[relayerAddress].length;
+          await this.abandonTransfer(relayer, txData);
           continue;
         }
         
+        // A half-open relayer sends one probe transaction and waits for its outcome
+        if (this.health.getState(relayerAddress) === RelayerHealth.STATES.HALF_OPEN && !this.health.startProbe(relayerAddress)) {
+          console.log(`Relayer ${relayerAddress} is half-open, waiting for its probe transaction`);
+          break;
+        }
+        
         // Process the transaction
+        let nonce = null;
         try {
+          // An amount the token's decimals cannot express would never go through, so it is rejected
+          let tokenAmount;
+          try {
+            tokenAmount = this.toTokenAmount(txData.pointsToMint);
+          } catch (error) {
+            throw new PayoutRejectedError('invalid_amount', error.shortMessage || error.message);
+          }
+          
+          // A payout the cached treasury balance cannot cover pauses payouts instead of burning a retry
+          const inFlightAmount = this.getPayoutTotals().inFlight;
+          if (this.treasuryBalance !== null && inFlightAmount + tokenAmount > this.treasuryBalance) {
+            this.pausePayouts('treasury', `Treasury balance ${this.formatTokenAmount(this.treasuryBalance)} does not cover a payout of ${this.formatTokenAmount(tokenAmount)} with ${this.formatTokenAmount(inFlightAmount)} in flight`);
+            this.health.cancelProbe(relayerAddress);
+            break;
+          }
+          
           // Add a small delay before starting to prevent rate limiting
           await delay(TX_DELAY_MS);
           
           // Prepare transaction data
           const playerWalletAddress = txData.walletAddress;
           const pointsToMint = txData.pointsToMint;
-          const tokenAmount = ethers.parseUnits(pointsToMint.toString(), 18);
           
           console.log(`Relayer ${relayerAddress} processing transferFrom of ${pointsToMint} tokens from treasury to ${playerWalletAddress} - attempt #${retryCount + 1}`);
           
-          // Check treasury balance first
-          const treasuryBalance = await this.tokenContract.balanceOf(this.treasuryWallet.address);
-          
-          if (treasuryBalance < tokenAmount) {
-            throw new Error(`Insufficient treasury balance. Have ${ethers.formatUnits(treasuryBalance, 18)}, need ${ethers.formatUnits(tokenAmount, 18)}`);
-          }
+          // Create a contract instance connected to the relayer's wallet
+          const tokenWithRelayer = this.tokenContract.connect(relayer);
           
-          // Find the relayer object that matches this relayerAddress
-          const relayerWallet = this.relayers.find(r => r.address === relayerAddress);
-          if (!relayerWallet) {
-            throw new Error(`Could not find relayer wallet for address ${relayerAddress}`);
+          // Simulate first, so a payout that would revert costs no gas and no retries
+          let gasLimit = null;
+          if (PAYOUT_SIMULATION) {
+            const gasEstimate = await simulatePayout(tokenWithRelayer, this.treasuryWallet.address, playerWalletAddress, tokenAmount);
+            gasLimit = gasEstimate * BigInt(100 + SIMULATION_GAS_BUFFER_PERCENT) / BigInt(100);
           }
           
           // Get current fee data
@@ -607,79 +2432,111 @@ class RelayerSystem {
           // Calculate gas fees based on priority
           const fees = this.calculateGasFeesByPriority(feeData);
           
-          // Using .target in v6 or .address in v5, check what's available
-          const contractAddress = this.tokenContract.target || this.tokenContract.address;
-          console.log(`Contract address: ${contractAddress}`);
-          console.log(`Using method: transferFrom with ${process.env.GAS_PRIORITY || 'medium'} priority`);
-          console.log(`Relayer ${relayerAddress} executing the transaction (not owner wallet)`);
-          
-          // Create a contract instance connected to the relayer's wallet
-          const tokenWithRelayer = this.tokenContract.connect(relayerWallet);
-          
-          // Execute transaction with the relayer's wallet (this wallet will pay gas)
-          const tx = await tokenWithRelayer.transferFrom(
+          // Build the call once so replacements can re-broadcast the same payload
+          const request = await tokenWithRelayer.transferFrom.populateTransaction(
             this.treasuryWallet.address,
             playerWalletAddress,
-            tokenAmount,
-            // Set EIP-1559 fee parameters with nonce to avoid conflicts
-            { 
-              maxFeePerGas: fees.maxFeePerGas,
-              maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
-              nonce: this.relayerStats[relayerAddress].currentNonce
-            }
+            tokenAmount
           );
+          if (gasLimit !== null) {
+            request.gasLimit = gasLimit;
+          }
+          
+          // holdWalletPayouts leaves the transfer being sent alone, so a hold placed while it was
+          // prepared is caught here, before a nonce is taken
+          if (this.isWalletHeld(playerWalletAddress)) {
+            this.health.cancelProbe(relayerAddress);
+            await this.holdQueuedTransfer(relayerAddress, txData);
+            continue;
+          }
           
-          // Increment the stored nonce for next transaction
-          this.relayerStats[relayerAddress].currentNonce++;
+          // Sign with the relayer's wallet (this wallet will pay gas) before broadcasting,
+          // so the hash is known even when the node's answer is lost
+          nonce = nonceManager.acquire();
+          const populated = await relayer.populateTransaction({
+            ...request,
+            // Set EIP-1559 fee parameters with nonce to avoid conflicts
+            maxFeePerGas: fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+            nonce
+          });
+          const signedTx = await relayer.signTransaction(populated);
+          const tx = { hash: ethers.Transaction.from(signedTx).hash, gasLimit: BigInt(populated.gasLimit) };
           
-          // Wait for transaction confirmation with timeout
-          console.log(`Waiting for transaction ${tx.hash} to be confirmed...`);
-          const receipt = await Promise.race([
-            tx.wait(),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Transaction confirmation timeout')), 60000))
-          ]);
+          // Claim the transfer before broadcasting; one held, cancelled or re-queued meanwhile is not sent
+          const claimed = await this.claimQueuedTransfer(txData, { relayerAddress, txHash: tx.hash, nonce });
+          if (!claimed) {
+            nonceManager.release(nonce);
+            nonce = null;
+            this.health.cancelProbe(relayerAddress);
+            this.txQueues[relayerAddress].shift();
+            stats.queueLength = this.txQueues[relayerAddress].length;
+            console.warn(`Transfer ${txData.transferId} is no longer queued, relayer ${relayerAddress} dropped it without broadcasting`);
+            continue;
+          }
           
-          // Transaction successful - update stats for relayer
-          stats.totalTxSent++;
-          stats.totalTxSuccess++;
-          stats.lastSuccessTimestamp = Date.now();
-          stats.lastSuccessHash = receipt.hash;
-          stats.tokensTransferred += Number(pointsToMint);
-          
-          console.log(`✅ Transfer successful: ${receipt.hash} for ${playerWalletAddress} (${pointsToMint} tokens)`);
-          
-          // Add to transaction history
-          if (this.onTransactionComplete) {
-            this.onTransactionComplete({
-              hash: receipt.hash,
-              walletAddress: playerWalletAddress,
-              pointsToMint,
-              success: true,
-              relayerAddress,
-              relayerIndex: stats.index,
-              gasUsed: receipt.gasUsed?.toString() || '0'
-            });
+          try {
+            await this.provider.broadcastTransaction(signedTx);
+          } catch (error) {
+            if (isBroadcastRejected(error)) {
+              throw error;
+            }
+            // The transaction may be in the mempool, so its nonce stays taken and the hash is
+            // followed like any sent transaction; a lost one is re-broadcast on the same nonce
+            console.warn(`⚠️ Relayer ${relayerAddress} got no answer to the broadcast of ${tx.hash} at nonce ${nonce} (${error.shortMessage || error.message}), following it as sent`);
           }
+          stats.currentNonce = nonceManager.nextNonce;
+          
+          const record = this.trackInFlightTransaction(relayerAddress, {
+            nonce,
+            transferId: txData.transferId,
+            walletAddress: playerWalletAddress,
+            amount: tokenAmount,
+            request: { to: request.to, data: request.data, gasLimit: tx.gasLimit },
+            hash: tx.hash,
+            fees
+          });
+          nonce = null;
           
-          // Remove from queue and continue processing
           this.txQueues[relayerAddress].shift();
           stats.queueLength = this.txQueues[relayerAddress].length;
-          consecutiveFailures = 0;
           
-          // Add a delay after successful transaction to prevent rate limiting
-          await delay(TX_DELAY_MS);
+          console.log(`📤 Relayer ${relayerAddress} sent ${tx.hash} at nonce ${record.nonce} (${nonceManager.inFlightCount}/${nonceManager.maxInFlight} in flight)`);
+          
+          await this.persistBroadcasts(record);
+          
+          // Confirm in the background so the next transaction can go out right away
+          this.confirmTransaction(relayer, txData, record);
+          consecutiveFailures = 0;
         } catch (error) {
+          // A payout that would revert is rejected without using up its retries
+          if (error instanceof PayoutRejectedError) {
+            console.warn(`🚫 Transfer ${txData.transferId} to ${txData.walletAddress} rejected before broadcast: ${error.message}`);
+            
+            this.txQueues[relayerAddress].shift();
+            stats.queueLength = this.txQueues[relayerAddress].length;
+            stats.totalTxRejected++;
+            this.health.cancelProbe(relayerAddress);
+            await this.rejectTransfer(txData, relayerAddress, error);
+            continue;
+          }
+          
           console.error(`❌ Transaction error for relayer ${relayerAddress}:`, error.message);
           
-          // For nonce errors, always refresh the nonce
-          if (error.message.includes('nonce') || error.message.includes('already been used')) {
+          const isNonceError = error.message.includes('nonce') || error.message.includes('already been used');
+          
+          // A nonce whose transaction was never broadcast, or that the node rejected, goes back to the manager
+          if (nonce !== null) {
+            nonceManager.release(nonce, isNonceError);
+          }
+          
+          // For nonce errors, always resync with the chain
+          if (isNonceError) {
             try {
-              // Force nonce refresh using latest state
-              const latestNonce = await this.provider.getTransactionCount(relayerAddress, "latest");
-              stats.currentNonce = latestNonce;
-              console.log(`After nonce error, refreshed nonce for ${relayerAddress}: ${latestNonce} (latest state)`);
+              stats.currentNonce = await nonceManager.sync();
+              console.log(`After nonce error, synced nonce for ${relayerAddress}: ${stats.currentNonce}`);
             } catch (nonceRefreshError) {
-              console.error(`Failed to refresh nonce after error:`, nonceRefreshError);
+              console.error(`Failed to sync nonce after error:`, nonceRefreshError);
             }
           }
           
@@ -689,40 +2546,40 @@ class RelayerSystem {
           stats.lastError = error.message || 'Unknown error';
           stats.lastErrorTimestamp = Date.now();
           
-          // Increment retry count for this transaction
-          this.txQueues[relayerAddress][0].retryCount = retryCount + 1;
+          // Only failures caused by the relayer count against its health
+          let breakerOpened = false;
+          if (RELAYER_FAULT_ERROR_TYPES.includes(classifyTransferError(error.message))) {
+            breakerOpened = this.health.recordFailure(relayerAddress, error.message);
+          } else {
+            this.health.cancelProbe(relayerAddress);
+          }
           
-          // If this is a permanent error, don't retry
-          const isPermanentError = 
-            error.message.includes('insufficient funds') || 
-            error.message.includes('execution reverted') ||
-            error.message.includes('cannot estimate gas') ||
-            error.message.includes('invalid address');
+          // Increment retry count for this transaction
+          txData.retryCount = retryCount + 1;
+          txData.lastError = error.message || 'Unknown error';
           
-          if (isPermanentError) {
+          if (this.isPermanentTransferError(error.message)) {
             console.log(`Permanent error detected, removing transaction from queue`);
             
-            // Record permanent failure
-            if (this.onTransactionComplete) {
-              this.onTransactionComplete({
-                hash: null,
-                walletAddress: txData.walletAddress,
-                pointsToMint: txData.pointsToMint,
-                success: false,
-                relayerAddress,
-                relayerIndex: stats.index,
-                error: error.message || 'Unknown error'
-              });
-            }
-            
-            // Remove from queue
             this.txQueues[relayerAddress].shift();
             stats.queueLength = this.txQueues[relayerAddress].length;
+            await this.failTransfer(txData, relayerAddress, error.message || 'Unknown error');
           } else {
             // Backoff for temporary errors
             consecutiveFailures++;
             console.log(`Temporary error, consecutive failures: ${consecutiveFailures}`);
             
+            await this.updatePersistedTransfer(txData, {
+              state: 'queued',
+              retryCount: txData.retryCount,
+              lastError: txData.lastError
+            });
+            
+            // No point backing off on a relayer that is out of rotation, its work moves elsewhere
+            if (breakerOpened) {
+              continue;
+            }
+            
             // Add a delay before retrying to avoid rate limiting
             const backoffTime = Math.min(2000 * Math.pow(2, retryCount), 30000); // Exponential backoff with cap
             console.log(`Backing off for ${backoffTime}ms before retry`);
@@ -736,8 +2593,14 @@ class RelayerSystem {
       // Mark queue as no longer processing
       this.processingFlags[relayerAddress] = false;
       
-      // If there are still items in the queue, schedule processing again
-      if (this.txQueues[relayerAddress].length > 0) {
+      // Released nonces are normally reused by the next send; with nothing left to send they must be filled
+      if (this.txQueues[relayerAddress].length === 0 && nonceManager.gaps.length > 0) {
+        this.fillNonceGaps(relayer);
+      }
+      
+      // If there are still items in the queue and room to send, schedule processing again
+      if (this.txQueues[relayerAddress].length > 0 && nonceManager.hasCapacity() && !stats.lowBalance &&
+          !this.isPayoutPaused() && this.health.isAvailable(relayerAddress)) {
         console.log(`Still ${this.txQueues[relayerAddress].length} transactions in queue for relayer ${relayerAddress}, continuing processing`);
         setTimeout(() => {
           this.processQueue(relayer);
@@ -746,6 +2609,687 @@ class RelayerSystem {
     }
   }
 
+  /**
+   * Wait for a sent transfer to be mined and settle it
+   * Runs in the background; a finished confirmation frees a slot and restarts the queue.
+   * @param {Object} relayer The relayer wallet object
+   * @param {Object} txData Transaction data of the transfer
+   * @param {Object} record The in-flight record of its nonce
+   */
+  async confirmTransaction(relayer, txData, record) {
+    const relayerAddress = relayer.address;
+    const stats = this.relayerStats[relayerAddress];
+    
+    try {
+      while (true) {
+        try {
+          const { receipt, broadcast } = await this.waitForInFlightTransaction(relayer, record);
+          this.clearInFlightTransaction(relayerAddress, record.nonce);
+          
+          // Any mined transaction shows the relayer works, even if the transfer itself reverted
+          this.health.recordSuccess(relayerAddress, Date.now() - record.broadcasts[0].at);
+          
+          if (broadcast.kind === 'cancel') {
+            // An admin cancelled the payout on-chain, leave the decision to the dead-letter store
+            console.log(`Transfer ${txData.transferId} was cancelled on-chain at nonce ${record.nonce}: ${receipt.hash}`);
+            await this.handleCancelledTransfer(txData, relayerAddress, receipt);
+            return;
+          }
+          
+          if (receipt.status !== 1) {
+            const message = `Transaction ${receipt.hash} execution reverted`;
+            console.error(`❌ ${message} for ${txData.walletAddress}`);
+            stats.totalTxSent++;
+            stats.totalTxFailed++;
+            stats.lastError = message;
+            stats.lastErrorTimestamp = Date.now();
+            await this.failTransfer(txData, relayerAddress, message, receipt.hash);
+            return;
+          }
+          
+          await this.completeTransfer(txData, relayerAddress, receipt);
+          return;
+        } catch (error) {
+          txData.retryCount = (txData.retryCount || 0) + 1;
+          txData.lastError = error.message || 'Unknown error';
+          stats.lastError = txData.lastError;
+          stats.lastErrorTimestamp = Date.now();
+          this.health.recordFailure(relayerAddress, txData.lastError);
+          
+          if (error.message.includes('untracked transaction')) {
+            // The payout never landed and its nonce is gone, so it goes back to the queue for a fresh one
+            console.log(`Nonce ${record.nonce} of transfer ${txData.transferId} was taken by another transaction, re-queueing`);
+            await this.updatePersistedTransfer(txData, {
+              state: 'queued',
+              retryCount: txData.retryCount,
+              lastError: txData.lastError
+            });
+            this.txQueues[relayerAddress].unshift(txData);
+            stats.queueLength = this.txQueues[relayerAddress].length;
+            return;
+          }
+          
+          if (txData.retryCount >= MAX_TX_RETRIES) {
+            await this.abandonTransfer(relayer, txData);
+            return;
+          }
+          
+          // Still pending after the confirmation timeout, keep waiting on the same nonce
+          console.log(`Transfer ${txData.transferId} still pending at nonce ${record.nonce} (attempt ${txData.retryCount}): ${error.message}`);
+          await this.updatePersistedTransfer(txData, {
+            state: 'submitted',
+            retryCount: txData.retryCount,
+            lastError: txData.lastError
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Error confirming transfer ${txData.transferId} on relayer ${relayerAddress}:`, error);
+    } finally {
+      this.processQueue(relayer);
+    }
+  }
+
+  /**
+   * Settle a transfer whose transaction was mined successfully
+   * @param {Object} txData Transaction data of the transfer
+   * @param {string} relayerAddress The relayer that sent it
+   * @param {Object} receipt The transaction receipt
+   */
+  async completeTransfer(txData, relayerAddress, receipt) {
+    const stats = this.relayerStats[relayerAddress];
+    
+    // Transaction successful - update stats for relayer
+    stats.totalTxSent++;
+    stats.totalTxSuccess++;
+    stats.lastSuccessTimestamp = Date.now();
+    stats.lastSuccessHash = receipt.hash;
+    stats.tokensTransferred += Number(txData.pointsToMint);
+    
+    console.log(`✅ Transfer successful: ${receipt.hash} for ${txData.walletAddress} (${txData.pointsToMint} tokens)`);
+    
+    // Keep the cached treasury balance current until the monitor's next check
+    if (this.treasuryBalance !== null) {
+      const amount = this.toTokenAmount(txData.pointsToMint);
+      this.treasuryBalance = this.treasuryBalance > amount ? this.treasuryBalance - amount : BigInt(0);
+    }
+    
+    // Each reward merged into a batch beyond the first is a transfer that was never sent
+    if (txData.batchSize > 1 && receipt.gasUsed) {
+      const saved = BigInt(txData.batchSize - 1);
+      this.batchStats.batchesConfirmed++;
+      this.batchStats.transfersSaved += txData.batchSize - 1;
+      this.batchStats.gasSaved += receipt.gasUsed * saved;
+      this.batchStats.feesSaved += receipt.gasUsed * saved * (receipt.gasPrice || BigInt(0));
+    }
+    
+    // Add to transaction history
+    if (this.onTransactionComplete) {
+      this.onTransactionComplete({
+        transferId: txData.transferId,
+        hash: receipt.hash,
+        walletAddress: txData.walletAddress,
+        pointsToMint: txData.pointsToMint,
+        success: true,
+        relayerAddress,
+        relayerIndex: stats.index,
+        gasUsed: receipt.gasUsed?.toString() || '0'
+      });
+    }
+    
+    await this.updatePersistedTransfer(txData, {
+      state: 'confirmed',
+      txHash: receipt.hash,
+      gasUsed: receipt.gasUsed?.toString() || '0',
+      lastError: null
+    });
+    await this.recordPayout(txData, receipt);
+  }
+
+  /**
+   * Mark a transfer as permanently failed and dead-letter it
+   * @param {Object} txData Transaction data of the transfer
+   * @param {string} relayerAddress The relayer that processed it
+   * @param {string} message The error that caused the failure
+   * @param {string} [txHash] Hash of the reverted transaction, if it was mined
+   */
+  async failTransfer(txData, relayerAddress, message, txHash) {
+    // Record permanent failure
+    if (this.onTransactionComplete) {
+      this.onTransactionComplete({
+        transferId: txData.transferId,
+        hash: txHash || null,
+        walletAddress: txData.walletAddress,
+        pointsToMint: txData.pointsToMint,
+        success: false,
+        relayerAddress,
+        relayerIndex: this.relayerStats[relayerAddress]?.index,
+        error: message
+      });
+    }
+    
+    const update = {
+      state: 'failed',
+      retryCount: txData.retryCount || 0,
+      lastError: message
+    };
+    if (txHash) {
+      update.txHash = txHash;
+    }
+    
+    await this.updatePersistedTransfer(txData, update);
+    await this.deadLetterTransfer(txData, relayerAddress, message);
+    await this.releaseEmission([txData.transferId]);
+  }
+
+  /**
+   * Mark a transfer rejected by pre-flight simulation and dead-letter it
+   * Nothing was broadcast, so the payout can be re-queued from the dead-letter store once its cause is fixed.
+   * @param {Object} txData Transaction data of the transfer
+   * @param {string} relayerAddress The relayer that simulated it
+   * @param {PayoutRejectedError} error The simulation error
+   */
+  async rejectTransfer(txData, relayerAddress, error) {
+    if (this.onTransactionComplete) {
+      this.onTransactionComplete({
+        transferId: txData.transferId,
+        hash: null,
+        walletAddress: txData.walletAddress,
+        pointsToMint: txData.pointsToMint,
+        success: false,
+        relayerAddress,
+        relayerIndex: this.relayerStats[relayerAddress]?.index,
+        error: error.message
+      });
+    }
+    
+    await this.updatePersistedTransfer(txData, {
+      state: 'rejected',
+      retryCount: txData.retryCount || 0,
+      lastError: error.message
+    });
+    await this.deadLetterTransfer(txData, relayerAddress, error.message, error.errorType);
+    await this.releaseEmission([txData.transferId]);
+  }
+
+  /**
+   * Give up on a transfer that exhausted its retries
+   * A transaction of it still in flight keeps being followed in the background.
+   * @param {Object} relayer The relayer wallet object
+   * @param {Object} txData Transaction data of the transfer
+   */
+  async abandonTransfer(relayer, txData) {
+    const relayerAddress = relayer.address;
+    const message = `Max retries (${MAX_TX_RETRIES}) exceeded`;
+    
+    // Record permanent failure
+    if (this.onTransactionComplete) {
+      this.onTransactionComplete({
+        transferId: txData.transferId,
+        hash: null,
+        walletAddress: txData.walletAddress,
+        pointsToMint: txData.pointsToMint,
+        success: false,
+        relayerAddress,
+        relayerIndex: this.relayerStats[relayerAddress].index,
+        error: message
+      });
+    }
+    
+    // The transfer never landed on-chain, so it is dropped rather than failed
+    await this.updatePersistedTransfer(txData, {
+      state: 'dropped',
+      retryCount: txData.retryCount,
+      lastError: message
+    });
+    
+    // Classify by the last real error so the dead letter shows why it kept failing
+    await this.deadLetterTransfer(txData, relayerAddress, txData.lastError || message);
+    
+    // A transaction still in flight may yet be mined, so keep following it in the background;
+    // until then the payout keeps its emission reservation
+    const abandoned = this.findInFlightTransaction(relayerAddress, txData.transferId);
+    if (abandoned) {
+      this.watchAbandonedTransaction(relayer, abandoned);
+    } else {
+      await this.releaseEmission([txData.transferId]);
+    }
+  }
+
+  /**
+   * Check whether a send or confirmation error will fail again on retry
+   * @param {string} message The error message
+   * @returns {boolean} True if the transfer should not be retried
+   */
+  isPermanentTransferError(message) {
+    const text = message || '';
+    return text.includes('insufficient funds') ||
+      text.includes('execution reverted') ||
+      text.includes('cannot estimate gas') ||
+      text.includes('invalid address');
+  }
+
+  /**
+   * Fill nonce gaps with 0-value self-transfers so later nonces can be mined
+   * @param {Object} relayer The relayer wallet object
+   */
+  async fillNonceGaps(relayer) {
+    const relayerAddress = relayer.address;
+    const nonceManager = this.getNonceManager(relayerAddress);
+    
+    for (const nonce of nonceManager.takeGaps()) {
+      try {
+        const record = this.trackInFlightTransaction(relayerAddress, { nonce, request: null });
+        record.cancelRequested = true;
+        const broadcast = await this.replaceInFlightTransaction(relayer, record, 'cancel');
+        console.log(`🩹 Filled nonce gap ${nonce} of relayer ${relayerAddress} with ${broadcast.hash}`);
+        this.watchAbandonedTransaction(relayer, record);
+      } catch (error) {
+        // Usually means the nonce was used in the meantime; if not, the next stall reports it again
+        this.clearInFlightTransaction(relayerAddress, nonce);
+        console.error(`Failed to fill nonce gap ${nonce} of relayer ${relayerAddress}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Start tracking a broadcast transaction by its nonce
+   * @param {string} relayerAddress The relayer that sent the transaction
+   * @param {Object} details Nonce, transfer, request payload, hash and fees of the first broadcast
+   * @returns {Object} The in-flight record
+   */
+  trackInFlightTransaction(relayerAddress, { nonce, transferId, walletAddress, amount, request, hash, fees, kind = 'original' }) {
+    if (!this.inFlightTxs[relayerAddress]) {
+      this.inFlightTxs[relayerAddress] = new Map();
+    }
+    
+    const record = {
+      relayerAddress,
+      nonce,
+      transferId: transferId || null,
+      walletAddress: walletAddress || null,
+      amount: amount || BigInt(0), // Tokens the payout moves out of the treasury
+      request,
+      broadcasts: [],
+      lastBroadcastAt: Date.now(),
+      cancelRequested: false,
+      waiting: false
+    };
+    
+    if (hash) {
+      record.broadcasts.push({
+        hash,
+        kind,
+        maxFeePerGas: fees?.maxFeePerGas,
+        maxPriorityFeePerGas: fees?.maxPriorityFeePerGas,
+        at: Date.now()
+      });
+    }
+    
+    this.inFlightTxs[relayerAddress].set(nonce, record);
+    this.getNonceManager(relayerAddress).markOutstanding(nonce);
+    return record;
+  }
+
+  /**
+   * Find the in-flight transaction of a transfer on a relayer
+   * @returns {Object|null} The in-flight record, if any
+   */
+  findInFlightTransaction(relayerAddress, transferId) {
+    if (!transferId || !this.inFlightTxs[relayerAddress]) {
+      return null;
+    }
+    
+    for (const record of this.inFlightTxs[relayerAddress].values()) {
+      if (record.transferId && record.transferId.toString() === transferId.toString()) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stop tracking a nonce once one of its transactions has been mined
+   */
+  clearInFlightTransaction(relayerAddress, nonce) {
+    if (this.inFlightTxs[relayerAddress]) {
+      this.inFlightTxs[relayerAddress].delete(nonce);
+    }
+    this.getNonceManager(relayerAddress).complete(nonce);
+    this.checkDrainComplete(relayerAddress);
+  }
+
+  /**
+   * Save the replacement chain of an in-flight transaction on its transfer
+   */
+  async persistBroadcasts(record) {
+    if (!record.transferId) {
+      return;
+    }
+    
+    await this.updatePersistedTransfer({ transferId: record.transferId }, {
+      broadcasts: record.broadcasts.map(broadcast => ({
+        hash: broadcast.hash,
+        kind: broadcast.kind,
+        maxFeePerGas: broadcast.maxFeePerGas?.toString(),
+        maxPriorityFeePerGas: broadcast.maxPriorityFeePerGas?.toString(),
+        at: new Date(broadcast.at)
+      }))
+    });
+  }
+
+  /**
+   * Re-broadcast an in-flight nonce with bumped fees
+   * A speed-up repeats the original payload; a cancel sends a 0-value self-transfer.
+   * @param {Object} relayerWallet The relayer wallet
+   * @param {Object} record The in-flight record
+   * @param {string} kind 'speedup' or 'cancel'
+   * @returns {Promise<Object>} The new broadcast entry
+   */
+  async replaceInFlightTransaction(relayerWallet, record, kind) {
+    const feeData = await this.provider.getFeeData();
+    const marketFees = this.calculateGasFeesByPriority(feeData);
+    const last = record.broadcasts[record.broadcasts.length - 1];
+    
+    // Replacements must outbid the previous broadcast by a minimum percentage
+    const bump = (value) => value * BigInt(100 + TX_FEE_BUMP_PERCENT) / BigInt(100);
+    let maxFeePerGas = marketFees.maxFeePerGas;
+    let maxPriorityFeePerGas = marketFees.maxPriorityFeePerGas;
+    if (last?.maxFeePerGas && bump(last.maxFeePerGas) > maxFeePerGas) {
+      maxFeePerGas = bump(last.maxFeePerGas);
+    }
+    if (last?.maxPriorityFeePerGas && bump(last.maxPriorityFeePerGas) > maxPriorityFeePerGas) {
+      maxPriorityFeePerGas = bump(last.maxPriorityFeePerGas);
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      maxFeePerGas = maxPriorityFeePerGas;
+    }
+    
+    let request;
+    if (kind === 'cancel') {
+      request = { to: relayerWallet.address, value: BigInt(0), gasLimit: BigInt(21000) };
+    } else {
+      if (!record.request) {
+        throw new Error(`No payload recorded for nonce ${record.nonce}, cannot speed it up`);
+      }
+      request = record.request;
+    }
+    
+    const tx = await relayerWallet.sendTransaction({
+      ...request,
+      nonce: record.nonce,
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    });
+    
+    const broadcast = {
+      hash: tx.hash,
+      kind,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      at: Date.now()
+    };
+    record.broadcasts.push(broadcast);
+    record.lastBroadcastAt = broadcast.at;
+    
+    console.log(`${kind === 'cancel' ? 'Cancel' : 'Speed-up'} broadcast for relayer ${record.relayerAddress} nonce ${record.nonce}: ${tx.hash} (maxFeePerGas=${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei)`);
+    await this.persistBroadcasts(record);
+    
+    return broadcast;
+  }
+
+  /**
+   * Wait until one transaction of an in-flight nonce is mined, speeding it up when it stalls
+   * @param {Object|null} relayerWallet The relayer wallet, or null to wait without replacing
+   * @param {Object} record The in-flight record
+   * @returns {Promise<Object>} The receipt and the broadcast that was mined
+   */
+  async waitForInFlightTransaction(relayerWallet, record) {
+    const startedAt = Date.now();
+    record.waiting = true;
+    
+    try {
+      while (true) {
+        for (const broadcast of record.broadcasts) {
+          const receipt = await this.provider.getTransactionReceipt(broadcast.hash);
+          if (receipt) {
+            console.log(`Nonce ${record.nonce} of relayer ${record.relayerAddress} mined by ${broadcast.kind} transaction ${receipt.hash} (${record.broadcasts.length} broadcasts)`);
+            return { receipt, broadcast };
+          }
+        }
+        
+        // The nonce was used by a transaction we never sent, so none of ours can be mined anymore
+        const minedNonce = await this.provider.getTransactionCount(record.relayerAddress, 'latest');
+        if (minedNonce > record.nonce) {
+          await delay(TX_RECEIPT_POLL_MS);
+          const lateReceipts = await Promise.all(
+            record.broadcasts.map(broadcast => this.provider.getTransactionReceipt(broadcast.hash))
+          );
+          const index = lateReceipts.findIndex(receipt => receipt);
+          if (index !== -1) {
+            return { receipt: lateReceipts[index], broadcast: record.broadcasts[index] };
+          }
+          
+          this.clearInFlightTransaction(record.relayerAddress, record.nonce);
+          throw new Error(`Nonce ${record.nonce} was consumed by an untracked transaction`);
+        }
+        
+        if (Date.now() - startedAt >= TX_CONFIRMATION_TIMEOUT_MS) {
+          throw new Error('Transaction confirmation timeout');
+        }
+        
+        if (relayerWallet && Date.now() - record.lastBroadcastAt >= TX_REPLACEMENT_WAIT_MS) {
+          // A lower nonce nobody is tracking blocks this one, e.g. a send that failed after its nonce was assigned
+          if (minedNonce < record.nonce && this.getNonceManager(record.relayerAddress).reportGap(minedNonce)) {
+            console.log(`Nonce gap at ${minedNonce} is blocking nonce ${record.nonce} of relayer ${record.relayerAddress}`);
+            this.fillNonceGaps(relayerWallet);
+          }
+          
+          // Re-broadcast the same nonce with higher fees once it has been pending too long,
+          // and past the replacement limit if the node dropped every broadcast of it
+          const replacements = record.broadcasts.filter(broadcast => broadcast.kind !== 'original').length;
+          const dropped = replacements >= TX_MAX_REPLACEMENTS && !(await this.isAnyBroadcastKnown(record));
+          if (dropped) {
+            console.log(`All broadcasts of nonce ${record.nonce} of relayer ${record.relayerAddress} were dropped, re-broadcasting`);
+          }
+          
+          if (replacements < TX_MAX_REPLACEMENTS || dropped) {
+            try {
+              await this.replaceInFlightTransaction(relayerWallet, record, record.cancelRequested ? 'cancel' : 'speedup');
+            } catch (error) {
+              // Usually means the nonce was mined in the meantime; the next poll will tell
+              console.error(`Failed to replace nonce ${record.nonce} of relayer ${record.relayerAddress}:`, error.message);
+              record.lastBroadcastAt = Date.now();
+            }
+          }
+        }
+        
+        await delay(TX_RECEIPT_POLL_MS);
+      }
+    } finally {
+      record.waiting = false;
+    }
+  }
+
+  /**
+   * Check whether the node still knows any broadcast of an in-flight nonce
+   * @param {Object} record The in-flight record
+   * @returns {Promise<boolean>} False if every broadcast was dropped from the mempool
+   */
+  async isAnyBroadcastKnown(record) {
+    for (const broadcast of record.broadcasts) {
+      if (await this.provider.getTransaction(broadcast.hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Keep following an in-flight transaction whose transfer left the queue
+   * Resolves the transfer if the payout is eventually mined or cancelled.
+   * @param {Object} relayerWallet The relayer wallet
+   * @param {Object} record The in-flight record
+   */
+  async watchAbandonedTransaction(relayerWallet, record) {
+    if (record.waiting) {
+      return;
+    }
+    
+    console.log(`Watching abandoned nonce ${record.nonce} of relayer ${record.relayerAddress} in the background`);
+    
+    while (true) {
+      try {
+        const { receipt, broadcast } = await this.waitForInFlightTransaction(relayerWallet, record);
+        this.clearInFlightTransaction(record.relayerAddress, record.nonce);
+        
+        if (!record.transferId) {
+          return;
+        }
+        
+        const transfer = await RewardTransfer.findById(record.transferId);
+        if (!transfer) {
+          return;
+        }
+        
+        const txData = {
+          transferId: transfer._id,
+          walletAddress: transfer.walletAddress,
+          pointsToMint: transfer.pointsToMint,
+          retryCount: transfer.retryCount
+        };
+        
+        if (broadcast.kind === 'cancel') {
+          await this.handleCancelledTransfer(txData, record.relayerAddress, receipt);
+        } else if (receipt.status === 1) {
+          // The payout landed after all, so it must not stay in the dead-letter store
+          await this.updatePersistedTransfer(txData, {
+            state: 'confirmed',
+            txHash: receipt.hash,
+            gasUsed: receipt.gasUsed?.toString() || '0',
+            lastError: null
+          });
+          await this.recordPayout(txData, receipt);
+          await DeadLetter.updateOne(
+            { transferId: transfer._id, status: 'open' },
+            { status: 'resolved', resolution: { action: 'mined', at: new Date() }, updatedAt: new Date() }
+          );
+          console.log(`Abandoned transfer ${transfer._id} was mined: ${receipt.hash}`);
+        }
+        return;
+      } catch (error) {
+        if (error.message.includes('untracked transaction')) {
+          console.log(`Abandoned nonce ${record.nonce} of relayer ${record.relayerAddress} was replaced by an untracked transaction`);
+          return;
+        }
+        // Timeouts only mean it is still pending, keep waiting
+      }
+    }
+  }
+
+  /**
+   * Mark a transfer whose nonce was cancelled on-chain and dead-letter it
+   * @param {Object} txData Transaction data holding the transferId
+   * @param {string} relayerAddress The relayer that sent the cancel
+   * @param {Object} receipt Receipt of the mined cancel transaction
+   */
+  async handleCancelledTransfer(txData, relayerAddress, receipt) {
+    const message = `Cancelled on-chain by admin: ${receipt.hash}`;
+    
+    await this.updatePersistedTransfer(txData, {
+      state: 'failed',
+      txHash: receipt.hash,
+      lastError: message
+    });
+    await this.deadLetterTransfer(txData, relayerAddress, message);
+    await this.releaseEmission([txData.transferId]);
+    
+    if (this.onTransactionComplete) {
+      this.onTransactionComplete({
+        transferId: txData.transferId,
+        hash: receipt.hash,
+        walletAddress: txData.walletAddress,
+        pointsToMint: txData.pointsToMint,
+        success: false,
+        relayerAddress,
+        relayerIndex: this.relayerStats[relayerAddress]?.index,
+        error: message
+      });
+    }
+  }
+
+  /**
+   * Cancel a stuck nonce by replacing it with a 0-value self-transfer
+   * @param {string} relayerAddress The relayer holding the stuck nonce
+   * @param {number} nonce The nonce to cancel
+   * @returns {Promise<Object>} The cancel broadcast
+   */
+  async cancelTransaction(relayerAddress, nonce) {
+    const relayerWallet = this.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayerWallet) {
+      throw new Error('Relayer not found');
+    }
+    
+    const minedNonce = await this.provider.getTransactionCount(relayerWallet.address, 'latest');
+    if (nonce < minedNonce) {
+      throw new Error(`Nonce ${nonce} has already been mined`);
+    }
+    
+    // Untracked nonces (e.g. left over from before a restart) are tracked so the cancel can be followed
+    let record = this.inFlightTxs[relayerWallet.address]?.get(nonce);
+    if (!record) {
+      record = this.trackInFlightTransaction(relayerWallet.address, { nonce, request: null });
+    }
+    
+    record.cancelRequested = true;
+    const broadcast = await this.replaceInFlightTransaction(relayerWallet, record, 'cancel');
+    
+    // Nobody is waiting on this nonce, so follow the cancel in the background
+    if (!record.waiting && !this.isTransferQueued(record.transferId)) {
+      this.watchAbandonedTransaction(relayerWallet, record);
+    }
+    
+    return broadcast;
+  }
+
+  /**
+   * Check whether a transfer is still in one of the relayer queues
+   */
+  isTransferQueued(transferId) {
+    if (!transferId) {
+      return false;
+    }
+    
+    return Object.values(this.txQueues).some(queue =>
+      queue.some(txData => txData.transferId && txData.transferId.toString() === transferId.toString())
+    );
+  }
+
+  /**
+   * Get all tracked in-flight transactions
+   * @returns {Array} In-flight records with their replacement chains
+   */
+  getInFlightTransactions() {
+    const transactions = [];
+    
+    for (const [relayerAddress, records] of Object.entries(this.inFlightTxs)) {
+      for (const record of records.values()) {
+        transactions.push({
+          relayerAddress,
+          nonce: record.nonce,
+          transferId: record.transferId ? record.transferId.toString() : null,
+          walletAddress: record.walletAddress,
+          cancelRequested: record.cancelRequested,
+          waiting: record.waiting,
+          pendingForMs: record.broadcasts.length > 0 ? Date.now() - record.broadcasts[0].at : 0,
+          broadcasts: record.broadcasts
+        });
+      }
+    }
+    
+    return transactions;
+  }
+
   /**
    * Calculate gas price based on priority setting from environment variable
    * @param {BigInt} baseGasPrice The base gas price from network
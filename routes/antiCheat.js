@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const CheatFlag = require('../models/CheatFlag');
+const logger = require('../config/logger');
+
+// Anti-cheat routes need the anti-cheat service
+router.use((req, res, next) => {
+  if (!global.antiCheat || !global.antiCheat.initialized) {
+    return res.status(503).json({ success: false, error: 'Anti-cheat not initialized' });
+  }
+  next();
+});
+
+/**
+ * List flags, the open review queue by default
+ */
+router.get('/flags', async (req, res) => {
+  const { status = 'open', walletAddress } = req.query;
+  
+  if (status !== 'all' && !CheatFlag.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `Invalid status. Must be one of: all, ${CheatFlag.STATUSES.join(', ')}` });
+  }
+  
+  if (walletAddress && !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const { flags, total } = await global.antiCheat.listFlags({ status, walletAddress, page, limit });
+    
+    res.json({
+      success: true,
+      flags,
+      pagination: {
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing anti-cheat flags', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get one flag
+ */
+router.get('/flags/:id', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid flag ID' });
+  }
+  
+  try {
+    const flag = await CheatFlag.findById(id);
+    if (!flag) {
+      return res.status(404).json({ success: false, error: 'Flag not found' });
+    }
+    
+    res.json({ success: true, flag });
+  } catch (error) {
+    logger.error(`Error getting anti-cheat flag ${id}`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Review a flag: clear releases the wallet's held payouts, confirm cancels them, ban also bans the wallet
+ */
+router.post('/flags/:id/:action(clear|confirm|ban)', async (req, res) => {
+  const { id, action } = req.params;
+  const { reason, reviewedBy } = req.body;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid flag ID' });
+  }
+  
+  if (!reviewedBy || (action !== 'clear' && !reason)) {
+    return res.status(400).json({ success: false, error: 'The acting admin (reviewedBy) is required, and a reason to confirm or ban' });
+  }
+  
+  try {
+    const result = await global.antiCheat.reviewFlag(id, action, { reason, reviewedBy });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error reviewing anti-cheat flag ${id} (${action})`, error);
+    const status = error.message === 'Flag not found' ? 404 : error.message.includes('is already') ? 409 :
+      error.message.includes('not initialized') ? 503 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
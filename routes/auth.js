@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const { getBearerToken, requireSession } = require('../middleware/auth');
+
+/**
+ * Issue a sign-in message for a wallet to sign
+ */
+router.post('/challenge', async (req, res) => {
+  const { walletAddress } = req.body;
+  
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  
+  try {
+    const challenge = await global.walletAuth.createChallenge(walletAddress);
+    res.json({ success: true, ...challenge });
+  } catch (error) {
+    console.error('Error creating sign-in challenge:', error);
+    res.status(500).json({ success: false, error: 'Failed to create sign-in challenge' });
+  }
+});
+
+/**
+ * Exchange the signed message for a session token
+ */
+router.post('/verify', async (req, res) => {
+  const { nonce, signature } = req.body;
+  
+  if (typeof nonce !== 'string' || typeof signature !== 'string' || !nonce || !signature) {
+    return res.status(400).json({ success: false, error: 'nonce and signature are required' });
+  }
+  
+  try {
+    const session = await global.walletAuth.signIn(nonce, signature, {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    if (session.error) {
+      return res.status(session.banned ? 403 : 401).json({ success: false, error: session.error });
+    }
+    
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Error verifying sign-in:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify sign-in' });
+  }
+});
+
+/**
+ * Get the wallet and expiry of the current session
+ */
+router.get('/session', requireSession, (req, res) => {
+  res.json({
+    success: true,
+    walletAddress: req.walletAddress,
+    expiresAt: req.playerSession.expiresAt
+  });
+});
+
+/**
+ * End the current session
+ */
+router.post('/logout', requireSession, async (req, res) => {
+  try {
+    await global.walletAuth.signOut(getBearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({ success: false, error: 'Failed to end session' });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 const config = require('../config/config');
+const relayerSystem = require('../relayer');
 const { formatUnits, parseUnits } = ethers;
 
 // Get gas price for Monad network
 router.get('/price', async (req, res) => {
   try {
-    const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL);
+    // Shared provider, which fails over between RPC endpoints
+    if (!global.providerManager || !global.providerManager.provider) {
+      return res.status(503).json({
+        error: 'RPC provider not initialized'
+      });
+    }
     
     // Get current gas price
-    const feeData = await provider.getFeeData();
+    const feeData = await global.providerManager.provider.getFeeData();
     
     // Format the gas price in different units
     const gasPriceGwei = formatUnits(feeData.gasPrice, 'gwei');
@@ -158,6 +164,11 @@ router.get('/stats', async (req, res) => {
       averageGasUsed: {
         transfer: stats.averageGasUsed?.transfer?.toString() || '0'
       },
+      // Gas not spent because batched rewards were paid in one transfer
+      batching: {
+        enabled: relayerSystem.batchingEnabled,
+        ...relayerSystem.getBatchStatus().stats
+      },
       timestamp: new Date().toISOString()
     };
     
@@ -6,6 +6,16 @@ const os = require('os');
 const config = require('../config/config');
 const tokenABI = require('../TokenABI.json');
 
+/**
+ * The provider shared with the relayer and services, which fails over between RPC endpoints
+ */
+function getProvider() {
+  if (!global.providerManager || !global.providerManager.provider) {
+    throw new Error('RPC provider not initialized');
+  }
+  return global.providerManager.provider;
+}
+
 /**
  * Health check endpoint
  * Returns the status of various system components
@@ -19,13 +29,15 @@ router.get('/', async (req, res) => {
     let rpcStatus = 'unknown';
     let blockNumber = 0;
     try {
-      const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL);
-      blockNumber = await provider.getBlockNumber();
+      blockNumber = await getProvider().getBlockNumber();
       rpcStatus = blockNumber > 0 ? 'connected' : 'error';
     } catch (error) {
       rpcStatus = 'error';
     }
     
+    // Latency, error rate and failover state of each RPC endpoint
+    const providerStatus = global.providerManager ? global.providerManager.getStatus() : null;
+    
     // Get system uptime
     const uptime = process.uptime();
     
@@ -52,11 +64,10 @@ router.get('/', async (req, res) => {
     
     try {
       if (process.env.TOKEN_CONTRACT_ADDRESS && process.env.MONAD_RPC_URL) {
-        const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL);
         const tokenContract = new ethers.Contract(
           process.env.TOKEN_CONTRACT_ADDRESS,
           tokenABI,
-          provider
+          getProvider()
         );
         
         const [name, symbol, treasury] = await Promise.all([
@@ -96,9 +107,10 @@ router.get('/', async (req, res) => {
         status: rpcStatus,
         network: 'monad-testnet',
         blockNumber,
-        rpcUrl: process.env.MONAD_RPC_URL ? 
-          process.env.MONAD_RPC_URL.substring(0, 20) + '...' : 
-          'not set'
+        rpcUrl: providerStatus ? providerStatus.active : 'not set',
+        chainId: providerStatus ? providerStatus.chainId : null,
+        endpoints: providerStatus ? providerStatus.endpoints : [],
+        failovers: providerStatus ? providerStatus.stats.failovers : 0
       },
       system: systemInfo,
       memory: {
@@ -184,8 +196,7 @@ async function getBasicHealth() {
   let rpcStatus = 'unknown';
   let blockNumber = 0;
   try {
-    const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL);
-    blockNumber = await provider.getBlockNumber();
+    blockNumber = await getProvider().getBlockNumber();
     rpcStatus = blockNumber > 0 ? 'connected' : 'error';
   } catch (error) {
     rpcStatus = 'error';
@@ -198,7 +209,8 @@ async function getBasicHealth() {
     },
     blockchain: {
       status: rpcStatus,
-      blockNumber
+      blockNumber,
+      endpoints: global.providerManager ? global.providerManager.getStatus().endpoints : []
     }
   };
 }
@@ -262,11 +274,10 @@ async function getTokenContractHealth() {
       };
     }
     
-    const provider = new ethers.JsonRpcProvider(process.env.MONAD_RPC_URL);
     const tokenContract = new ethers.Contract(
       process.env.TOKEN_CONTRACT_ADDRESS,
       tokenABI,
-      provider
+      getProvider()
     );
     
     // Check if contract exists and has basic ERC20 functions
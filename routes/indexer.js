@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger');
+
+// Indexer routes need the event indexer
+router.use((req, res, next) => {
+  if (!global.eventIndexer || !global.eventIndexer.initialized) {
+    return res.status(503).json({ success: false, error: 'Event indexer not initialized' });
+  }
+  next();
+});
+
+/**
+ * Get event indexer status and checkpoint
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      indexer: global.eventIndexer.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error getting event indexer status', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Trigger an indexing run up to the confirmed head
+ */
+router.post('/run', async (req, res) => {
+  try {
+    const result = await global.eventIndexer.run();
+    
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'Event indexing already in progress' });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error running event indexer', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Index again from a block
+ * The backfill runs in the background; progress shows in the indexer status.
+ */
+router.post('/backfill', async (req, res) => {
+  const { fromBlock } = req.body;
+  
+  if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+    return res.status(400).json({ success: false, error: 'fromBlock must be a non-negative integer' });
+  }
+  
+  try {
+    await global.eventIndexer.resetCheckpoint(fromBlock);
+    
+    global.eventIndexer.run().catch(error => {
+      logger.error('Error during event indexer backfill', error);
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: `Backfilling token events from block ${fromBlock}`,
+      indexer: global.eventIndexer.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error starting event indexer backfill', error);
+    res.status(error.message.includes('in progress') ? 409 : 500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
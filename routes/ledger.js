@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const LedgerEntry = require('../models/LedgerEntry');
+
+/**
+ * Get the latest reconciliation report
+ */
+router.get('/reconciliation', async (req, res) => {
+  try {
+    if (!global.reconciliationService) {
+      return res.status(500).json({ error: 'Reconciliation service not initialized' });
+    }
+    
+    const report = await global.reconciliationService.getLatestReport();
+    
+    res.json({
+      success: true,
+      isRunning: global.reconciliationService.isRunning,
+      report
+    });
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Trigger a reconciliation run
+ */
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    if (!global.reconciliationService || !global.reconciliationService.initialized) {
+      return res.status(500).json({ error: 'Reconciliation service not initialized' });
+    }
+    
+    const report = await global.reconciliationService.run();
+    
+    res.json({
+      success: report?.status === 'completed',
+      report
+    });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Record a manual adjustment for a player
+ */
+router.post('/adjustments', async (req, res) => {
+  const { walletAddress, amount, note, createdBy } = req.body;
+  
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+    return res.status(400).json({ error: 'Amount must be a non-zero number' });
+  }
+  
+  if (!note || !createdBy) {
+    return res.status(400).json({ error: 'A note and the acting admin (createdBy) are required' });
+  }
+  
+  try {
+    const entry = await LedgerEntry.record({
+      entryType: 'adjustment',
+      walletAddress,
+      amount,
+      note,
+      createdBy
+    });
+    
+    res.json({
+      success: true,
+      entry,
+      balances: await LedgerEntry.getBalances(walletAddress.toLowerCase())
+    });
+  } catch (error) {
+    console.error('Error recording ledger adjustment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a player's ledger entries and balances
+ */
+router.get('/:walletAddress', async (req, res) => {
+  const { walletAddress } = req.params;
+  
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const wallet = walletAddress.toLowerCase();
+    
+    const entries = await LedgerEntry.find({ walletAddress: wallet })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await LedgerEntry.countDocuments({ walletAddress: wallet });
+    
+    res.json({
+      success: true,
+      walletAddress: wallet,
+      balances: await LedgerEntry.getBalances(wallet),
+      entries,
+      pagination: {
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    console.error(`Error getting ledger for ${walletAddress}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const { requireAdmin } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Moderation routes need the moderation service
+router.use((req, res, next) => {
+  if (!global.moderation || !global.moderation.initialized) {
+    return res.status(503).json({ success: false, error: 'Moderation not initialized' });
+  }
+  next();
+});
+
+router.param('walletAddress', (req, res, next, walletAddress) => {
+  if (!ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  next();
+});
+
+// Sanctions and lifts need a reason; the acting admin comes from requireAdmin
+const requireReason = (req, res, next) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ success: false, error: 'A reason is required' });
+  }
+  next();
+};
+
+const sendError = (res, message, error) => {
+  logger.error(message, error);
+  const status = error.message === 'Player not found' ? 404 :
+    /already|no active sanction/.test(error.message) ? 409 :
+    error.message.includes('not initialized') ? 503 : 500;
+  res.status(status).json({
+    success: false,
+    error: error.message || 'Internal server error'
+  });
+};
+
+/**
+ * List players with an active ban or suspension
+ */
+router.get('/', async (req, res) => {
+  try {
+    const players = await global.moderation.listSanctioned();
+    res.json({ success: true, players });
+  } catch (error) {
+    sendError(res, 'Error listing sanctioned players', error);
+  }
+});
+
+/**
+ * Get a player's current sanction and moderation history
+ */
+router.get('/players/:walletAddress', async (req, res) => {
+  const { walletAddress } = req.params;
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    
+    const { sanction, actions, total } = await global.moderation.getHistory(walletAddress, { page, limit });
+    
+    res.json({
+      success: true,
+      walletAddress: walletAddress.toLowerCase(),
+      sanction,
+      actions,
+      pagination: {
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    sendError(res, `Error getting moderation history for ${walletAddress}`, error);
+  }
+});
+
+/**
+ * Suspend a player until a time (until) or for a number of hours (durationHours)
+ */
+router.post('/players/:walletAddress/suspend', requireAdmin, requireReason, async (req, res) => {
+  const { walletAddress } = req.params;
+  const { reason, durationHours } = req.body;
+  
+  const until = req.body.until ? new Date(req.body.until) : new Date(Date.now() + Number(durationHours) * HOUR_MS);
+  if (Number.isNaN(until.getTime()) || until <= new Date()) {
+    return res.status(400).json({ success: false, error: 'A future until time or a positive durationHours is required' });
+  }
+  
+  try {
+    const result = await global.moderation.suspend(walletAddress, { until, reason, moderatedBy: req.admin });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, `Error suspending player ${walletAddress}`, error);
+  }
+});
+
+/**
+ * Ban a player and cancel its pending payouts
+ */
+router.post('/players/:walletAddress/ban', requireAdmin, requireReason, async (req, res) => {
+  const { walletAddress } = req.params;
+  const { reason } = req.body;
+  
+  try {
+    const result = await global.moderation.ban(walletAddress, { reason, moderatedBy: req.admin });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, `Error banning player ${walletAddress}`, error);
+  }
+});
+
+/**
+ * Lift a player's ban or suspension
+ */
+router.post('/players/:walletAddress/lift', requireAdmin, requireReason, async (req, res) => {
+  const { walletAddress } = req.params;
+  const { reason } = req.body;
+  
+  try {
+    const result = await global.moderation.lift(walletAddress, { reason, moderatedBy: req.admin });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, `Error lifting the sanction on player ${walletAddress}`, error);
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
+const mongoose = require('mongoose');
 const relayerSystem = require('../relayer');
+const DeadLetter = require('../models/DeadLetter');
+const RelayerWallet = require('../models/RelayerWallet');
+const { requireAdmin } = require('../middleware/auth');
 const logger = require('../config/logger');
 
 /**
@@ -31,6 +35,26 @@ function convertBigIntsToStrings(obj) {
   return obj;
 }
 
+/**
+ * Read the key source of a new relayer wallet from a request body
+ * @returns {Object|null} Source for addRelayer, or null unless exactly one of keystorePath, keystoreJson, remoteKeyId or generate is set
+ */
+function getKeySource(body) {
+  const { keystorePath, keystoreJson, remoteKeyId, generate, label } = body;
+  const given = [keystorePath, keystoreJson, remoteKeyId, generate === true].filter(Boolean);
+  if (given.length !== 1) {
+    return null;
+  }
+  
+  return {
+    keystorePath,
+    keystoreJson: keystoreJson && typeof keystoreJson === 'object' ? JSON.stringify(keystoreJson) : keystoreJson,
+    remoteKeyId,
+    generate: generate === true,
+    label
+  };
+}
+
 /**
  * Get relayer system status
  */
@@ -155,6 +179,37 @@ router.post('/process-all-queues', async (req, res) => {
   }
 });
 
+/**
+ * Pay pending reward batches now, for one wallet or all of them
+ */
+router.post('/batches/flush', async (req, res) => {
+  const { walletAddress } = req.body;
+  
+  if (walletAddress !== undefined && !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  
+  try {
+    if (walletAddress) {
+      const transfer = await relayerSystem.flushBatch(walletAddress, 'admin');
+      return res.json({
+        success: true,
+        flushed: transfer ? 1 : 0,
+        transferId: transfer ? transfer._id.toString() : null
+      });
+    }
+    
+    const flushed = await relayerSystem.flushAllBatches('admin');
+    res.json({ success: true, flushed });
+  } catch (error) {
+    logger.error('Error flushing payout batches', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 /**
  * Get queue for a specific relayer
  */
@@ -186,6 +241,7 @@ router.get('/queue/:address', async (req, res) => {
       address,
       queueLength: formattedQueue.length,
       isProcessing: queueStatus.queuesByRelayer[address]?.isProcessing || false,
+      inFlight: queueStatus.queuesByRelayer[address]?.inFlight || 0,
       transactions: formattedQueue
     });
   } catch (error) {
@@ -197,4 +253,523 @@ router.get('/queue/:address', async (req, res) => {
   }
 });
 
+/**
+ * List broadcast transactions that have not been mined yet
+ */
+router.get('/in-flight', async (req, res) => {
+  try {
+    const transactions = relayerSystem.getInFlightTransactions();
+    res.json(convertBigIntsToStrings({
+      success: true,
+      count: transactions.length,
+      transactions
+    }));
+  } catch (error) {
+    logger.error('Error listing in-flight transactions', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Cancel a stuck nonce with a 0-value self-transfer
+ */
+router.post('/cancel-tx', async (req, res) => {
+  const { relayerAddress, nonce } = req.body;
+  
+  if (!relayerAddress || !ethers.isAddress(relayerAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  if (!Number.isInteger(nonce) || nonce < 0) {
+    return res.status(400).json({ success: false, error: 'Invalid nonce' });
+  }
+  
+  try {
+    const broadcast = await relayerSystem.cancelTransaction(relayerAddress, nonce);
+    res.json(convertBigIntsToStrings({
+      success: true,
+      message: `Cancel transaction broadcast for nonce ${nonce}`,
+      broadcast
+    }));
+  } catch (error) {
+    logger.error(`Error cancelling nonce ${nonce} on relayer ${relayerAddress}`, error);
+    res.status(error.message === 'Relayer not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List dead-lettered transfers
+ */
+router.get('/dead-letters', async (req, res) => {
+  const { status = 'open', errorType } = req.query;
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    
+    const filter = {};
+    if (status !== 'all') {
+      filter.status = status;
+    }
+    if (errorType) {
+      filter.errorType = errorType;
+    }
+    
+    const deadLetters = await DeadLetter.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    const total = await DeadLetter.countDocuments(filter);
+    
+    // Summarise open dead letters by error type to help decide on bulk retries
+    const openByErrorType = await DeadLetter.aggregate([
+      { $match: { status: 'open' } },
+      { $group: { _id: '$errorType', count: { $sum: 1 }, points: { $sum: '$pointsToMint' } } }
+    ]);
+    
+    res.json({
+      success: true,
+      deadLetters,
+      openByErrorType,
+      pagination: {
+        total,
+        page,
+        totalPages: Math.ceil(total / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing dead letters', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Retry all open dead letters with a given error type
+ */
+router.post('/dead-letters/retry-bulk', requireAdmin, async (req, res) => {
+  const { errorType, relayerAddress } = req.body;
+  
+  if (!errorType || !DeadLetter.ERROR_TYPES.includes(errorType)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid error type. Must be one of: ${DeadLetter.ERROR_TYPES.join(', ')}`
+    });
+  }
+  
+  if (relayerAddress && !ethers.isAddress(relayerAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  try {
+    const result = await relayerSystem.retryDeadLettersByErrorType(errorType, { relayerAddress, retriedBy: req.admin });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`Error bulk retrying dead letters (${errorType})`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Retry a dead-lettered transfer, optionally on a different relayer
+ */
+router.post('/dead-letters/:id/retry', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { relayerAddress } = req.body;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid dead letter ID' });
+  }
+  
+  if (relayerAddress && !ethers.isAddress(relayerAddress)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  try {
+    const deadLetter = await relayerSystem.retryDeadLetter(id, { relayerAddress, retriedBy: req.admin });
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    logger.error(`Error retrying dead letter ${id}`, error);
+    res.status(error.message === 'Dead letter not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Cancel a dead-lettered transfer and reverse it in the ledger
+ */
+router.post('/dead-letters/:id/cancel', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid dead letter ID' });
+  }
+  
+  if (!reason) {
+    return res.status(400).json({ success: false, error: 'A cancellation reason is required' });
+  }
+  
+  try {
+    const deadLetter = await relayerSystem.cancelDeadLetter(id, { reason, cancelledBy: req.admin });
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    logger.error(`Error cancelling dead letter ${id}`, error);
+    res.status(error.message === 'Dead letter not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get relayer gas funding status
+ */
+router.get('/funding', async (req, res) => {
+  try {
+    if (!global.relayerFunding) {
+      return res.status(503).json({ success: false, error: 'Relayer funding service not available' });
+    }
+    
+    res.json({ success: true, ...global.relayerFunding.getStatus() });
+  } catch (error) {
+    logger.error('Error getting relayer funding status', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Check relayer balances and top up the low ones now
+ */
+router.post('/funding/run', async (req, res) => {
+  try {
+    if (!global.relayerFunding || !global.relayerFunding.initialized) {
+      return res.status(503).json({ success: false, error: 'Relayer funding service not initialized' });
+    }
+    
+    if (global.relayerFunding.isRunning) {
+      return res.status(409).json({ success: false, error: 'A funding check is already running' });
+    }
+    
+    const results = await global.relayerFunding.checkAndFund();
+    res.json({ success: true, results });
+  } catch (error) {
+    logger.error('Error running relayer funding check', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the cached treasury balance, allowances and payout pause state
+ */
+router.get('/treasury', async (req, res) => {
+  try {
+    if (!global.treasuryMonitor) {
+      return res.status(503).json({ success: false, error: 'Treasury monitor not available' });
+    }
+    
+    res.json({ success: true, ...global.treasuryMonitor.getStatus() });
+  } catch (error) {
+    logger.error('Error getting treasury status', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Check the treasury now, e.g. right after refilling it
+ */
+router.post('/treasury/check', async (req, res) => {
+  try {
+    if (!global.treasuryMonitor || !global.treasuryMonitor.initialized) {
+      return res.status(503).json({ success: false, error: 'Treasury monitor not initialized' });
+    }
+    
+    if (global.treasuryMonitor.isRunning) {
+      return res.status(409).json({ success: false, error: 'A treasury check is already running' });
+    }
+    
+    const status = await global.treasuryMonitor.check();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Error running treasury check', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the contract treasury and owner as last seen, with any open treasury alerts
+ */
+router.get('/treasury/watch', async (req, res) => {
+  try {
+    if (!global.treasuryWatcher) {
+      return res.status(503).json({ success: false, error: 'Treasury watcher not available' });
+    }
+    
+    res.json({ success: true, ...global.treasuryWatcher.getStatus() });
+  } catch (error) {
+    logger.error('Error getting treasury watcher status', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Verify the treasury wallet against the contract now, resuming payouts if it matches
+ */
+router.post('/treasury/verify', async (req, res) => {
+  try {
+    if (!global.treasuryWatcher || !global.treasuryWatcher.initialized) {
+      return res.status(503).json({ success: false, error: 'Treasury watcher not initialized' });
+    }
+    
+    if (global.treasuryWatcher.isRunning) {
+      return res.status(409).json({ success: false, error: 'A treasury verification is already running' });
+    }
+    
+    const status = await global.treasuryWatcher.check();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Error verifying treasury', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Switch payouts to the new contract treasury
+ * Takes the new treasury's keystorePath, keystoreJson or remoteKeyId; the wallet must be the contract's current treasury.
+ */
+router.post('/treasury/switch', requireAdmin, async (req, res) => {
+  const { keystorePath, keystoreJson, remoteKeyId } = req.body;
+  
+  if ([keystorePath, keystoreJson, remoteKeyId].filter(Boolean).length !== 1) {
+    return res.status(400).json({ success: false, error: 'Exactly one of keystorePath, keystoreJson or remoteKeyId is required' });
+  }
+  
+  try {
+    if (!global.treasuryWatcher || !global.treasuryWatcher.initialized) {
+      return res.status(503).json({ success: false, error: 'Treasury watcher not initialized' });
+    }
+    
+    const status = await global.treasuryWatcher.switchTreasury({
+      keystorePath,
+      keystoreJson: keystoreJson && typeof keystoreJson === 'object' ? JSON.stringify(keystoreJson) : keystoreJson,
+      remoteKeyId
+    }, { switchedBy: req.admin });
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Error switching treasury wallet', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Retire relayers and sweep their balances back to the owner wallet
+ */
+router.post('/sweep', requireAdmin, async (req, res) => {
+  const { relayerAddresses } = req.body;
+  
+  if (!Array.isArray(relayerAddresses) || relayerAddresses.length === 0 ||
+      !relayerAddresses.every(address => ethers.isAddress(address))) {
+    return res.status(400).json({ success: false, error: 'relayerAddresses must be a non-empty array of addresses' });
+  }
+  
+  if (!global.relayerFunding || !global.relayerFunding.initialized) {
+    return res.status(503).json({ success: false, error: 'Relayer funding service not initialized' });
+  }
+  
+  // Sweep one relayer at a time so a failure does not stop the others
+  const results = [];
+  for (const relayerAddress of relayerAddresses) {
+    try {
+      results.push(await global.relayerFunding.sweepRelayer(relayerAddress, { sweptBy: req.admin }));
+    } catch (error) {
+      logger.error(`Error sweeping relayer ${relayerAddress}`, error);
+      results.push({ relayerAddress, swept: false, error: error.message });
+    }
+  }
+  
+  res.json({
+    success: results.every(result => !result.error),
+    results
+  });
+});
+
+/**
+ * List the relayer registry with each relayer's remaining work
+ */
+router.get('/registry', async (req, res) => {
+  try {
+    const records = await relayerSystem.registry.list();
+    const relayers = records.map(record => ({
+      ...record,
+      ...relayerSystem.getDrainStatus(record.address),
+      inPool: relayerSystem.relayers.some(r => r.address === record.address)
+    }));
+    
+    res.json({ success: true, statuses: RelayerWallet.STATUSES, relayers });
+  } catch (error) {
+    logger.error('Error listing relayer registry', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Add a relayer wallet to the pool
+ * The key comes from a keystore file on the server, an encrypted keystore JSON or a freshly generated wallet.
+ */
+router.post('/registry', requireAdmin, async (req, res) => {
+  const source = getKeySource(req.body);
+  if (!source) {
+    return res.status(400).json({ success: false, error: 'Exactly one of keystorePath, keystoreJson, remoteKeyId or generate: true is required' });
+  }
+  
+  try {
+    const relayer = await relayerSystem.addRelayer(source, { addedBy: req.admin });
+    
+    // Give the new wallet gas without waiting for the next periodic check
+    if (global.relayerFunding && global.relayerFunding.initialized) {
+      global.relayerFunding.checkAndFund().catch(error => {
+        logger.error('Error funding new relayer', error);
+      });
+    }
+    
+    res.json({ success: true, relayer });
+  } catch (error) {
+    logger.error('Error adding relayer', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Stop giving a relayer new work; it finishes its queue and can then be removed
+ */
+router.post('/registry/:address/drain', requireAdmin, async (req, res) => {
+  const { address } = req.params;
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  try {
+    const drain = await relayerSystem.drainRelayer(address, { drainedBy: req.admin });
+    res.json({ success: true, drain });
+  } catch (error) {
+    logger.error(`Error draining relayer ${address}`, error);
+    res.status(error.message === 'Relayer not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Remove a drained relayer from the pool, sweeping its balance to the owner first unless sweep is false
+ */
+router.post('/registry/:address/remove', requireAdmin, async (req, res) => {
+  const { address } = req.params;
+  const { sweep = true } = req.body;
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  const drain = relayerSystem.getDrainStatus(ethers.getAddress(address));
+  if (!drain.drained) {
+    return res.status(409).json({
+      success: false,
+      error: drain.draining ? 'Relayer has not finished draining yet' : 'Relayer must be drained before it is removed',
+      drain
+    });
+  }
+  
+  if (sweep && (!global.relayerFunding || !global.relayerFunding.initialized)) {
+    return res.status(503).json({ success: false, error: 'Relayer funding service not initialized, pass sweep: false to remove without sweeping' });
+  }
+  
+  try {
+    const swept = sweep ? await global.relayerFunding.sweepRelayer(address, { sweptBy: req.admin }) : null;
+    const relayer = await relayerSystem.removeRelayer(address, { removedBy: req.admin });
+    res.json({ success: true, relayer, sweep: swept });
+  } catch (error) {
+    logger.error(`Error removing relayer ${address}`, error);
+    res.status(error.message === 'Relayer not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replace a relayer with a new wallet; the old one drains and is removed once it has
+ */
+router.post('/registry/:address/rotate', requireAdmin, async (req, res) => {
+  const { address } = req.params;
+  
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid relayer address' });
+  }
+  
+  const source = getKeySource(req.body);
+  if (!source) {
+    return res.status(400).json({ success: false, error: 'Exactly one of keystorePath, keystoreJson, remoteKeyId or generate: true is required' });
+  }
+  
+  try {
+    const rotation = await relayerSystem.rotateRelayer(address, source, { rotatedBy: req.admin });
+    
+    if (global.relayerFunding && global.relayerFunding.initialized) {
+      global.relayerFunding.checkAndFund().catch(error => {
+        logger.error('Error funding rotated relayer', error);
+      });
+    }
+    
+    res.json({ success: true, ...rotation });
+  } catch (error) {
+    logger.error(`Error rotating relayer ${address}`, error);
+    res.status(error.message === 'Relayer not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const RewardRuleSet = require('../models/RewardRuleSet');
+const logger = require('../config/logger');
+
+// Reward rule routes need the reward rules service
+router.use((req, res, next) => {
+  if (!global.rewardRules) {
+    return res.status(503).json({ success: false, error: 'Reward rules not initialized' });
+  }
+  next();
+});
+
+/**
+ * List every rule set version
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ruleSets = await global.rewardRules.list();
+    
+    res.json({
+      success: true,
+      statuses: RewardRuleSet.STATUSES,
+      activeVersion: global.rewardRules.getStatus().activeVersion,
+      ruleSets
+    });
+  } catch (error) {
+    logger.error('Error listing reward rule sets', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get the active rule set
+ */
+router.get('/active', async (req, res) => {
+  try {
+    const ruleSet = await global.rewardRules.getActiveRuleSet();
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error('Error getting active reward rule set', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Get one rule set version
+ */
+router.get('/:version', async (req, res) => {
+  try {
+    const ruleSet = await global.rewardRules.getRuleSet(req.params.version);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error(`Error getting reward rule set v${req.params.version}`, error);
+    const status = error.message === 'Rule set not found' ? 404 :
+      error.message === 'Invalid rule set version' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create a draft rule set
+ * Fields that are not given are copied from basedOn, or from the active rule set.
+ */
+router.post('/', async (req, res) => {
+  const { basedOn, createdBy, ...fields } = req.body;
+  
+  try {
+    const ruleSet = await global.rewardRules.createDraft(fields, { basedOn, createdBy });
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error('Error creating reward rule set draft', error);
+    res.status(error.message === 'Rule set not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Edit a draft rule set
+ */
+router.put('/:version', async (req, res) => {
+  try {
+    const ruleSet = await global.rewardRules.updateDraft(req.params.version, req.body);
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error(`Error updating reward rule set v${req.params.version}`, error);
+    res.status(error.message === 'Rule set not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Activate a draft rule set, archiving the current one
+ */
+router.post('/:version/activate', async (req, res) => {
+  try {
+    const ruleSet = await global.rewardRules.activate(req.params.version, { activatedBy: req.body.activatedBy });
+    res.json({ success: true, ruleSet });
+  } catch (error) {
+    logger.error(`Error activating reward rule set v${req.params.version}`, error);
+    res.status(error.message === 'Rule set not found' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
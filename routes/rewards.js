@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Preview the reward for a claim without paying it out
+ * Uses the active rule set unless a version is given, so drafts can be tried before activation.
+ */
+router.post('/preview', async (req, res) => {
+  const { coinsCollected, trackId, at, version } = req.body;
+  
+  if (typeof coinsCollected !== 'number' || !Number.isFinite(coinsCollected) || coinsCollected <= 0) {
+    return res.status(400).json({ success: false, error: 'coinsCollected must be a positive number' });
+  }
+  
+  if (at !== undefined && isNaN(new Date(at).getTime())) {
+    return res.status(400).json({ success: false, error: 'Invalid claim time' });
+  }
+  
+  if (!global.rewardRules) {
+    return res.status(503).json({ success: false, error: 'Reward rules not initialized' });
+  }
+  
+  try {
+    const ruleSet = version !== undefined ? await global.rewardRules.getRuleSet(version) : undefined;
+    const reward = await global.rewardRules.calculateReward({
+      coinsCollected,
+      trackId,
+      at: at !== undefined ? new Date(at) : new Date()
+    }, ruleSet);
+    
+    res.json({ success: true, reward });
+  } catch (error) {
+    console.error('Error previewing reward:', error);
+    const status = error.message === 'Rule set not found' ? 404 :
+      error.message === 'Invalid rule set version' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession } = require('../middleware/auth');
+
+const MAX_TRACK_ID_LENGTH = 64;
+
+/**
+ * Start a race for the signed-in wallet
+ * Returns the signed sessionId that the race's coin claims and score must reference.
+ */
+router.post('/start', requireSession, async (req, res) => {
+  const { trackId } = req.body;
+  
+  if (trackId !== undefined && trackId !== null && (typeof trackId !== 'string' || trackId.length > MAX_TRACK_ID_LENGTH)) {
+    return res.status(400).json({ success: false, error: `trackId must be a string of at most ${MAX_TRACK_ID_LENGTH} characters` });
+  }
+  
+  try {
+    const session = await global.gameSessions.start(req.walletAddress, trackId, req.ip);
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Error starting game session:', error);
+    res.status(500).json({ success: false, error: 'Failed to start game session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const RewardTransfer = require('../models/RewardTransfer');
+
+/**
+ * Get the current state of a reward transfer
+ */
+router.get('/:id', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid transfer ID' });
+  }
+  
+  try {
+    const transfer = await RewardTransfer.findById(id);
+    
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    
+    // A batched reward is paid by its batch transfer
+    const batch = transfer.batchId ? await RewardTransfer.findById(transfer.batchId) : null;
+    
+    res.json({
+      success: true,
+      transfer: transfer.toStatusResponse(),
+      batch: batch ? batch.toStatusResponse() : undefined
+    });
+  } catch (error) {
+    console.error(`Error getting transfer ${id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve transfer' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { getKeystorePassphrase } = require('../config/keystore');
+
+/**
+ * Encrypt a private key held in an environment variable into a V3 keystore
+ * Usage: node scripts/encrypt-key.js <ENV_VAR> <output path>
+ * e.g. node scripts/encrypt-key.js TREASURY_PRIVATE_KEY "important files/keystores/treasury.json"
+ */
+async function encryptKey() {
+  const [envVar, outputPath] = process.argv.slice(2);
+  
+  if (!envVar || !outputPath) {
+    console.error('Usage: node scripts/encrypt-key.js <ENV_VAR> <output path>');
+    process.exit(1);
+  }
+  
+  const privateKey = process.env[envVar];
+  if (!privateKey || !privateKey.startsWith('0x')) {
+    console.error(`${envVar} is not set to a 0x-prefixed private key`);
+    process.exit(1);
+  }
+  
+  const fullPath = path.resolve(path.join(__dirname, '..'), outputPath);
+  if (fs.existsSync(fullPath)) {
+    console.error(`Refusing to overwrite existing keystore: ${fullPath}`);
+    process.exit(1);
+  }
+  
+  const passphrase = await getKeystorePassphrase();
+  const wallet = new ethers.Wallet(privateKey);
+  
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(fullPath, await wallet.encrypt(passphrase), { mode: 0o600 });
+  
+  const keystoreVar = envVar === 'PRIVATE_KEY' || envVar === 'OWNER_PRIVATE_KEY' ?
+    'OWNER_KEYSTORE' :
+    envVar.replace('PRIVATE_KEY', 'KEYSTORE');
+  
+  console.log(`✅ Keystore for ${wallet.address} saved to: ${fullPath}`);
+  console.log(`\nSet ${keystoreVar}="${outputPath}" and remove ${envVar} from your environment.`);
+}
+
+encryptKey().catch(error => {
+  console.error('Failed to encrypt key:', error.message);
+  process.exit(1);
+});
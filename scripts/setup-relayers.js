@@ -2,54 +2,46 @@ const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { getKeystorePassphrase } = require('../config/keystore');
 
 /**
- * Generate relayer wallets and update configuration
+ * Generate relayer wallets and store them as encrypted keystores
+ * The passphrase is read from KEYSTORE_PASSPHRASE_FILE, or from stdin when no file is set.
+ * The backend imports the wallet index into its relayer registry on the first start with an empty registry.
  */
 async function generateRelayerWallets() {
   const numRelayers = parseInt(process.env.NUM_RELAYERS || '20', 10);
   const wallets = [];
-  const envContent = [];
   
-  console.log(`Generating ${numRelayers} relayer wallets...`);
-  
-  // Read existing .env file if it exists
-  let existingEnv = '';
-  const envPath = path.join(__dirname, '..', '.env');
-  if (fs.existsSync(envPath)) {
-    existingEnv = fs.readFileSync(envPath, 'utf8');
-  }
+  const passphrase = await getKeystorePassphrase();
+  const keystoreDir = path.join('important files', 'keystores');
+  fs.mkdirSync(path.join(__dirname, '..', keystoreDir), { recursive: true, mode: 0o700 });
   
-  // Keep existing non-relayer configuration
-  const existingLines = existingEnv.split('\n');
-  for (const line of existingLines) {
-    if (!line.startsWith('RELAYER_WALLET_')) {
-      envContent.push(line);
-    }
-  }
+  console.log(`Generating ${numRelayers} relayer wallets...`);
   
-  // Generate new wallets
+  // Generate new wallets; only the encrypted keystores ever touch the disk
   for (let i = 0; i < numRelayers; i++) {
     const wallet = ethers.Wallet.createRandom();
+    const keystorePath = path.join(keystoreDir, `relayer-${i + 1}-${wallet.address}.json`);
+    const encryptedJson = await wallet.encrypt(passphrase);
+    fs.writeFileSync(path.join(__dirname, '..', keystorePath), encryptedJson, { mode: 0o600 });
+    
     wallets.push({
       index: i,
       address: wallet.address,
-      privateKey: wallet.privateKey
+      keystore: keystorePath
     });
-    envContent.push(`RELAYER_WALLET_${i}=${wallet.privateKey}`);
+    console.log(`Encrypted keystore for relayer ${i + 1}: ${wallet.address}`);
   }
   
-  // Save updated .env file
-  fs.writeFileSync(envPath, envContent.join('\n'));
-  
-  // Save wallet info to a separate file (for backup)
+  // Save an index of the wallets and their keystores (no private keys)
   const walletInfo = {
     timestamp: new Date().toISOString(),
     numRelayers,
     wallets: wallets.map(w => ({
       index: w.index,
       address: w.address,
-      privateKey: w.privateKey
+      keystore: w.keystore
     }))
   };
   
@@ -57,15 +49,19 @@ async function generateRelayerWallets() {
   fs.writeFileSync(backupPath, JSON.stringify(walletInfo, null, 2));
   
   console.log('✅ Relayer wallets generated successfully!');
-  console.log(`📝 Configuration saved to: ${envPath}`);
-  console.log(`💾 Backup saved to: ${backupPath}`);
+  console.log(`🔐 Keystores saved to: ${keystoreDir}`);
+  console.log(`💾 Wallet index saved to: ${backupPath}`);
   console.log('\nRelayer Addresses:');
   wallets.forEach(w => {
     console.log(`Relayer ${w.index}: ${w.address}`);
   });
   
-  console.log('\n⚠️ IMPORTANT: Make sure to fund these relayer wallets before using them!');
-  console.log('You can use the fund-relayer-wallets.js script to fund them.');
+  console.log('\nThe backend imports these wallets into its relayer registry on the first start with an empty registry.');
+  console.log('To add them to a running backend instead, POST each keystore path to /api/relayer/registry.');
+  
+  console.log('\n⚠️ IMPORTANT: These relayer wallets need gas before they can send transactions!');
+  console.log('The backend tops them up from the owner wallet on startup and every RELAYER_FUNDING_INTERVAL ms,');
+  console.log('or you can trigger a check with POST /api/relayer/funding/run.');
 }
 
 // Run the script
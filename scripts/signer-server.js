@@ -0,0 +1,128 @@
+const express = require('express');
+const fs = require('fs');
+const { ethers } = require('ethers');
+require('dotenv').config();
+const keystore = require('../config/keystore');
+
+/**
+ * Local stand-in for the remote signer, for development and tests
+ * Serves the remote signer protocol (see services/remoteSigner.js) for keys on this machine:
+ * "owner" and "treasury" from the usual OWNER_* / TREASURY_* variables, and the keys listed in
+ * SIGNER_KEYS_FILE as { "<keyId>": { "keystorePath": "..." } } or { "<keyId>": { "privateKey": "0x..." } }.
+ * The keys sit in the same trust domain as the backend, so it refuses to run with NODE_ENV=production.
+ *
+ * Usage: node scripts/signer-server.js
+ * Then set REMOTE_SIGNER_URL=http://127.0.0.1:<SIGNER_PORT> and OWNER_SIGNER_KEY_ID=owner (and so on) for the backend.
+ */
+async function loadKeys() {
+  const keys = {};
+  
+  const owner = await keystore.loadOwnerWallet();
+  if (owner) {
+    keys.owner = owner;
+  }
+  const treasury = await keystore.loadTreasuryWallet();
+  if (treasury) {
+    keys.treasury = treasury;
+  }
+  
+  if (process.env.SIGNER_KEYS_FILE) {
+    const sources = JSON.parse(fs.readFileSync(keystore.resolveKeystorePath(process.env.SIGNER_KEYS_FILE), 'utf8'));
+    for (const [keyId, source] of Object.entries(sources)) {
+      keys[keyId] = await keystore.loadWallet({ ...source, label: keyId });
+    }
+  }
+  
+  return keys;
+}
+
+async function startSignerServer() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The development signer server must not run in production, use a hardened signer instead');
+  }
+  
+  const keys = await loadKeys();
+  if (Object.keys(keys).length === 0) {
+    throw new Error('No keys to serve. Set OWNER_*, TREASURY_* or SIGNER_KEYS_FILE.');
+  }
+  
+  const app = express();
+  app.use(express.json({ limit: '100kb' }));
+  
+  // Same bearer token as the backend sends, when one is configured
+  const token = process.env.REMOTE_SIGNER_TOKEN;
+  app.use((req, res, next) => {
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'Invalid signer token' });
+    }
+    next();
+  });
+  
+  app.param('keyId', (req, res, next, keyId) => {
+    req.signingKey = keys[keyId];
+    if (!req.signingKey) {
+      return res.status(404).json({ error: `Unknown key ${keyId}` });
+    }
+    next();
+  });
+  
+  app.get('/keys/:keyId', (req, res) => {
+    res.json({ keyId: req.params.keyId, address: req.signingKey.address });
+  });
+  
+  app.post('/keys/:keyId/sign-transaction', (req, res) => {
+    try {
+      const tx = ethers.Transaction.from(req.body.unsignedTransaction);
+      if (tx.signature) {
+        return res.status(400).json({ error: 'Transaction is already signed' });
+      }
+      
+      tx.signature = req.signingKey.signingKey.sign(tx.unsignedHash);
+      console.log(`Signed transaction for ${req.params.keyId}: to ${tx.to}, nonce ${tx.nonce}, chain ${tx.chainId}`);
+      res.json({ signedTransaction: tx.serialized });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  app.post('/keys/:keyId/sign-message', async (req, res) => {
+    try {
+      const signature = await req.signingKey.signMessage(ethers.getBytes(req.body.message));
+      console.log(`Signed message for ${req.params.keyId}`);
+      res.json({ signature });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  app.post('/keys/:keyId/sign-typed-data', async (req, res) => {
+    try {
+      const { domain, types, value } = req.body;
+      const signature = await req.signingKey.signTypedData(domain, types, value);
+      console.log(`Signed typed data for ${req.params.keyId}`);
+      res.json({ signature });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  const port = parseInt(process.env.SIGNER_PORT || '7070', 10);
+  const host = process.env.SIGNER_HOST || '127.0.0.1';
+  const server = app.listen(port, host, () => {
+    console.log(`🔏 Development signer listening on http://${host}:${port}`);
+    for (const [keyId, wallet] of Object.entries(keys)) {
+      console.log(`   ${keyId}: ${wallet.address}`);
+    }
+  });
+  
+  return server;
+}
+
+if (require.main === module) {
+  startSignerServer().catch(error => {
+    console.error('Failed to start signer server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = startSignerServer;
@@ -1,10 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+
 const requiredEnvVars = [
   'NODE_ENV',
   'PORT',
   'MONGO_URI',
   'MONAD_RPC_URL',
   'TOKEN_CONTRACT_ADDRESS',
-  'PRIVATE_KEY',
   'NUM_RELAYERS',
   'LOG_LEVEL',
   'GAS_UPDATE_INTERVAL',
@@ -55,9 +57,66 @@ function validateEnv() {
     }
   });
 
+  // Every RPC endpoint must be an http(s) URL
+  const rpcUrls = [process.env.MONAD_RPC_URL, ...(process.env.MONAD_RPC_FALLBACK_URLS || '').split(',')]
+    .map(url => (url || '').trim())
+    .filter(Boolean);
+  if (rpcUrls.some(url => !/^https?:\/\//.test(url))) {
+    console.error('RPC endpoints in MONAD_RPC_URL and MONAD_RPC_FALLBACK_URLS must be http(s) URLs');
+    process.exit(1);
+  }
+  
+  // Game session IDs must verify across restarts and instances
+  if (!process.env.GAME_SESSION_SECRET) {
+    console.error('GAME_SESSION_SECRET must be set, for example to the output of `openssl rand -hex 32`');
+    process.exit(1);
+  }
+  
+  // Admin keys name the admin who acts with them, and must be hard to guess
+  const adminKeys = (process.env.ADMIN_API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (adminKeys.some(entry => !/^[^:]+:.{32,}$/.test(entry))) {
+    console.error('ADMIN_API_KEYS must be comma separated name:key pairs with keys of at least 32 characters, for example admin:$(openssl rand -hex 32)');
+    process.exit(1);
+  }
+  
+  // The owner key may come from an encrypted keystore or the remote signer instead of PRIVATE_KEY
+  if (!process.env.PRIVATE_KEY && !process.env.OWNER_PRIVATE_KEY && !process.env.OWNER_KEYSTORE && !process.env.OWNER_SIGNER_KEY_ID) {
+    console.error('One of PRIVATE_KEY, OWNER_PRIVATE_KEY, OWNER_KEYSTORE or OWNER_SIGNER_KEY_ID must be set');
+    process.exit(1);
+  }
+  
+  // Remote signer keys need the signer's URL
+  const remoteKeyVars = ['OWNER_SIGNER_KEY_ID', 'TREASURY_SIGNER_KEY_ID'].filter(name => process.env[name]);
+  if (remoteKeyVars.length > 0 && !/^https?:\/\//.test(process.env.REMOTE_SIGNER_URL || '')) {
+    console.error(`REMOTE_SIGNER_URL must be an http(s) URL when ${remoteKeyVars.join(' or ')} is set`);
+    process.exit(1);
+  }
+
   // Validate private keys
-  if (!process.env.PRIVATE_KEY.startsWith('0x')) {
-    console.error('PRIVATE_KEY must start with 0x');
+  ['PRIVATE_KEY', 'OWNER_PRIVATE_KEY', 'TREASURY_PRIVATE_KEY'].forEach(varName => {
+    if (process.env[varName] && !process.env[varName].startsWith('0x')) {
+      console.error(`${varName} must start with 0x`);
+      process.exit(1);
+    }
+  });
+
+  // Keystores must exist; the passphrase comes from KEYSTORE_PASSPHRASE_FILE or stdin
+  const keystoreVars = Object.keys(process.env).filter(name =>
+    name === 'OWNER_KEYSTORE' || name === 'TREASURY_KEYSTORE' || name.startsWith('RELAYER_KEYSTORE_')
+  );
+  const projectRoot = path.join(__dirname, '..');
+
+  keystoreVars.forEach(varName => {
+    const keystorePath = path.resolve(projectRoot, process.env[varName]);
+    if (!fs.existsSync(keystorePath)) {
+      console.error(`Keystore file for ${varName} not found: ${keystorePath}`);
+      process.exit(1);
+    }
+  });
+
+  if (keystoreVars.length > 0 && process.env.KEYSTORE_PASSPHRASE_FILE &&
+      !fs.existsSync(path.resolve(projectRoot, process.env.KEYSTORE_PASSPHRASE_FILE))) {
+    console.error(`KEYSTORE_PASSPHRASE_FILE not found: ${process.env.KEYSTORE_PASSPHRASE_FILE}`);
     process.exit(1);
   }
 
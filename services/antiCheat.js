@@ -0,0 +1,369 @@
+const CheatFlag = require('../models/CheatFlag');
+const GameSession = require('../models/GameSession');
+const Player = require('../models/Player');
+
+// Points each rule adds to a submission's risk score when it fires.
+// A fast honest race can trip both velocity and claimTooSoon, so together
+// they stay below the default threshold of 50 and need a third signal.
+const RULE_POINTS = {
+  velocity: 30, // Rate close to the game session ceiling
+  outlier: 30, // Far above the player's own history
+  raceTooShort: 50, // Race finished faster than any real lap
+  claimTooSoon: 15, // Coin claims closer together than the client sends them
+  sharedIp: 40 // Many wallets playing from one address
+};
+
+const REVIEW_ACTIONS = ['clear', 'confirm', 'ban'];
+
+/**
+ * AntiCheat scores every accepted score and coin claim against a set of rules:
+ * velocity close to the game session ceilings, outliers against the player's
+ * own race history, impossible session timings, and many wallets playing from
+ * one IP. A submission whose risk score reaches the flag threshold is written
+ * to the flag collection and the wallet's payouts are held until an admin
+ * reviews it. Clearing the last open flag releases the held payouts, confirming
+ * it cancels them, and a ban also locks the wallet out of the player endpoints.
+ */
+class AntiCheat {
+  constructor(config) {
+    this.config = config;
+    this.relayerSystem = null;
+    this.initialized = false;
+    
+    // Stats tracking
+    this.stats = {
+      evaluated: 0,
+      flagged: 0,
+      rules: {},
+      cleared: 0,
+      confirmed: 0,
+      banned: 0,
+      lastError: null
+    };
+  }
+  
+  /**
+   * Initialize with the relayer system and hold the payouts of wallets still under review
+   */
+  async initialize(relayerSystem) {
+    try {
+      this.relayerSystem = relayerSystem;
+      
+      const held = await Player.find({ 'payoutHold.since': { $ne: null } }, { walletAddress: 1, payoutHold: 1 });
+      for (const player of held) {
+        await relayerSystem.holdWalletPayouts(player.walletAddress, `Anti-cheat flag ${player.payoutHold.flagId} under review`);
+      }
+      
+      this.initialized = true;
+      console.log(`Anti-cheat ${this.config.antiCheat.enabled ? 'enabled' : 'disabled'} (flag threshold ${this.config.antiCheat.flagThreshold}, ${held.length} wallets under review)`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize anti-cheat:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Score a submission and flag it when its risk score reaches the threshold
+   * Errors are logged and never fail the submission.
+   * @param {Object} submission The submission
+   * @param {string} submission.type 'score' or 'coins'
+   * @param {string} submission.walletAddress The signed-in wallet
+   * @param {Object} submission.session The game session as it was before this submission was recorded
+   * @param {number} submission.value The score, or the coins in the claim
+   * @param {boolean} [submission.sessionEnd] Whether the coin claim ends the race
+   * @returns {Promise<Object|null>} The risk score, the rules that fired and the flag, or null if nothing was evaluated
+   */
+  async evaluate({ type, walletAddress, session, value, sessionEnd = false }) {
+    if (!this.config.antiCheat.enabled) {
+      return null;
+    }
+    
+    try {
+      const now = new Date();
+      const results = await Promise.all([
+        this.checkVelocity(type, session, value, now),
+        this.checkHistory(type, session, value, now),
+        this.checkTiming(type, session, sessionEnd, now),
+        this.checkSharedIp(session)
+      ]);
+      const rules = results.filter(Boolean);
+      const riskScore = rules.reduce((sum, rule) => sum + rule.points, 0);
+      
+      this.stats.evaluated++;
+      for (const { rule } of rules) {
+        this.stats.rules[rule] = (this.stats.rules[rule] || 0) + 1;
+      }
+      
+      if (riskScore < this.config.antiCheat.flagThreshold) {
+        return { riskScore, rules, flagged: false };
+      }
+      
+      const flag = await this.flag({ type, walletAddress, session, value, riskScore, rules });
+      return { riskScore, rules, flagged: true, flagId: flag._id };
+    } catch (error) {
+      this.stats.lastError = error.message;
+      console.error(`Anti-cheat evaluation failed for ${walletAddress}:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Seconds a race has run, until its last coin claim or now
+   */
+  getRaceSeconds(session, now) {
+    return Math.max((session.finishedAt || now).getTime() - session.startedAt.getTime(), 1) / 1000;
+  }
+  
+  /**
+   * Score, or coins claimed so far, per second of the race
+   * The race time includes the same latency grace as the game session ceilings.
+   */
+  getRate(total, session, now) {
+    return total / (this.getRaceSeconds(session, now) + this.config.gameSession.elapsedGrace / 1000);
+  }
+  
+  /**
+   * Total the submission brings its race to
+   */
+  getTotal(type, session, value) {
+    return type === 'score' ? value : session.coinsClaimed + value;
+  }
+  
+  /**
+   * A rate close to the game session ceiling, which a bot can aim just below
+   */
+  checkVelocity(type, session, value, now) {
+    const ceiling = type === 'score' ? this.config.gameSession.maxScorePerSecond : this.config.gameSession.maxCoinsPerSecond;
+    const rate = this.getRate(this.getTotal(type, session, value), session, now);
+    
+    if (rate < ceiling * this.config.antiCheat.velocityRatio) {
+      return null;
+    }
+    return { rule: 'velocity', points: RULE_POINTS.velocity, detail: `${rate.toFixed(2)} ${type} per second, ceiling ${ceiling}` };
+  }
+  
+  /**
+   * A rate far above the player's completed races
+   */
+  async checkHistory(type, session, value, now) {
+    const { historySize, minHistory, outlierZScore } = this.config.antiCheat;
+    const races = await GameSession.find(
+      { walletAddress: session.walletAddress, state: 'completed', _id: { $ne: session._id } },
+      { startedAt: 1, finishedAt: 1, endedAt: 1, score: 1, coinsClaimed: 1 }
+    ).sort({ startedAt: -1 }).limit(historySize).lean();
+    
+    if (races.length < minHistory) {
+      return null;
+    }
+    
+    const rates = races.map(race => this.getRate(type === 'score' ? race.score || 0 : race.coinsClaimed, race, race.endedAt));
+    const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    const deviation = Math.sqrt(rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / rates.length);
+    // A very steady player would otherwise be flagged for any improvement
+    const spread = Math.max(deviation, mean * 0.1, 0.01);
+    
+    const rate = this.getRate(this.getTotal(type, session, value), session, now);
+    const zScore = (rate - mean) / spread;
+    if (zScore < outlierZScore) {
+      return null;
+    }
+    return { rule: 'outlier', points: RULE_POINTS.outlier, detail: `${rate.toFixed(2)} ${type} per second is ${zScore.toFixed(1)} deviations above the player's last ${races.length} races (${mean.toFixed(2)})` };
+  }
+  
+  /**
+   * Races that end faster than the track can be driven, and coin claims sent faster than the client sends them
+   */
+  checkTiming(type, session, sessionEnd, now) {
+    const { minRaceSeconds, minClaimInterval } = this.config.antiCheat;
+    
+    if (type === 'score' || sessionEnd) {
+      const seconds = this.getRaceSeconds(session, now);
+      if (seconds < minRaceSeconds) {
+        return { rule: 'session_timing', points: RULE_POINTS.raceTooShort, detail: `Race ended after ${seconds.toFixed(1)}s, shortest plausible race is ${minRaceSeconds}s` };
+      }
+    }
+    
+    if (type === 'coins' && session.lastClaimAt) {
+      const interval = now.getTime() - session.lastClaimAt.getTime();
+      if (interval < minClaimInterval) {
+        return { rule: 'session_timing', points: RULE_POINTS.claimTooSoon, detail: `Coin claim ${interval}ms after the previous one` };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Many wallets racing from the address this race was started from
+   */
+  async checkSharedIp(session) {
+    if (!session.ip) {
+      return null;
+    }
+    
+    const wallets = await GameSession.distinct('walletAddress', {
+      ip: session.ip,
+      startedAt: { $gte: new Date(Date.now() - this.config.antiCheat.ipWindow) }
+    });
+    if (wallets.length < this.config.antiCheat.maxWalletsPerIp) {
+      return null;
+    }
+    return { rule: 'shared_ip', points: RULE_POINTS.sharedIp, detail: `${wallets.length} wallets raced from ${session.ip} in the last ${Math.round(this.config.antiCheat.ipWindow / 3600000)}h` };
+  }
+  
+  /**
+   * Write a flag and hold the wallet's payouts until it is reviewed
+   */
+  async flag({ type, walletAddress, session, value, riskScore, rules }) {
+    const wallet = walletAddress.toLowerCase();
+    const flag = await CheatFlag.create({
+      walletAddress: wallet,
+      submissionType: type,
+      gameSessionId: session._id,
+      value,
+      ip: session.ip,
+      riskScore,
+      rules
+    });
+    
+    // The first open flag starts the hold; later ones join it
+    await Player.updateOne(
+      { walletAddress: wallet, 'payoutHold.since': null },
+      { payoutHold: { flagId: flag._id, since: flag.createdAt } }
+    );
+    if (this.relayerSystem) {
+      await this.relayerSystem.holdWalletPayouts(wallet, `Anti-cheat flag ${flag._id} under review`);
+    }
+    
+    this.stats.flagged++;
+    console.warn(`🚩 Anti-cheat flagged ${type} submission from ${walletAddress} (risk ${riskScore}: ${rules.map(rule => rule.rule).join(', ')})`);
+    return flag;
+  }
+  
+  /**
+   * List flags, oldest first for the open review queue and newest first otherwise
+   * @param {Object} filter status ('open', 'cleared', 'confirmed' or 'all'), walletAddress, page and limit
+   * @returns {Promise<Object>} The flags and their total count
+   */
+  async listFlags({ status = 'open', walletAddress, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (status !== 'all') {
+      filter.status = status;
+    }
+    if (walletAddress) {
+      filter.walletAddress = walletAddress.toLowerCase();
+    }
+    
+    const [flags, total] = await Promise.all([
+      CheatFlag.find(filter)
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CheatFlag.countDocuments(filter)
+    ]);
+    return { flags, total };
+  }
+  
+  /**
+   * Resolve an open flag
+   * clear: a false positive; the wallet's held payouts are released once it has no open flags left.
+   * confirm: cheating; the held payouts are cancelled and reversed in the ledger.
+   * ban: the wallet is banned through the moderation service, which cancels its pending payouts,
+   * and its other open flags are closed with it.
+   * @param {string} flagId ID of the flag
+   * @param {string} action clear, confirm or ban
+   * @param {Object} options The reason and the acting admin
+   * @returns {Promise<Object>} The reviewed flag, and what happened to the wallet's payouts
+   */
+  async reviewFlag(flagId, action, { reason, reviewedBy } = {}) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new Error(`Invalid review action. Must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+    }
+    // Holds are released and cancelled through the relayer system
+    if (!this.relayerSystem) {
+      throw new Error('Anti-cheat is not initialized');
+    }
+    
+    const review = { action, reason, by: reviewedBy, at: new Date() };
+    // Claimed first, so two admins cannot resolve the same flag
+    const flag = await CheatFlag.findOneAndUpdate(
+      { _id: flagId, status: 'open' },
+      { status: action === 'clear' ? 'cleared' : 'confirmed', review },
+      { new: true }
+    );
+    if (!flag) {
+      const existing = await CheatFlag.findById(flagId);
+      throw new Error(existing ? `Flag is already ${existing.status}` : 'Flag not found');
+    }
+    
+    const wallet = flag.walletAddress;
+    const result = { flag };
+    
+    if (action === 'ban') {
+      const ban = await global.moderation.ban(wallet, { reason, moderatedBy: reviewedBy, flagId: flag._id });
+      result.flagsClosed = ban.flagsClosed;
+      result.sessionsEnded = ban.sessionsEnded;
+      result.payouts = ban.payouts;
+      this.stats.banned++;
+      // The ban closed every open flag; the payout hold stays until the ban is lifted
+      result.openFlags = 0;
+    } else {
+      if (action === 'confirm') {
+        result.payouts = await this.relayerSystem.cancelHeldPayouts(wallet, {
+          reason: `Anti-cheat flag ${flag._id} confirmed${reason ? `: ${reason}` : ''}`,
+          cancelledBy: reviewedBy
+        });
+        this.stats.confirmed++;
+      } else {
+        this.stats.cleared++;
+      }
+      
+      const released = await this.releaseHold(wallet);
+      result.openFlags = released.openFlags;
+      result.payouts = { ...result.payouts, ...released.payouts };
+    }
+    
+    console.log(`Anti-cheat flag ${flag._id} for ${wallet} reviewed: ${action}${reviewedBy ? ` by ${reviewedBy}` : ''}`);
+    return result;
+  }
+  
+  /**
+   * End a wallet's payout hold once it has no open flags, sending its held payouts back where they waited
+   * @param {string} walletAddress The player wallet
+   * @returns {Promise<Object>} The wallet's open flags, and the released payouts if the hold ended
+   */
+  async releaseHold(walletAddress) {
+    if (!this.relayerSystem) {
+      throw new Error('Anti-cheat is not initialized');
+    }
+    
+    const wallet = walletAddress.toLowerCase();
+    const openFlags = await CheatFlag.countDocuments({ walletAddress: wallet, status: 'open' });
+    if (openFlags > 0) {
+      return { openFlags };
+    }
+    
+    await Player.updateOne({ walletAddress: wallet }, { $unset: { payoutHold: '' } });
+    const payouts = await this.relayerSystem.releaseWalletPayouts(wallet);
+    return { openFlags, payouts };
+  }
+  
+  /**
+   * Get anti-cheat status
+   */
+  getStatus() {
+    return {
+      enabled: this.config.antiCheat.enabled,
+      initialized: this.initialized,
+      flagThreshold: this.config.antiCheat.flagThreshold,
+      heldWallets: this.relayerSystem ? Object.keys(this.relayerSystem.walletHolds).length : 0,
+      stats: this.stats
+    };
+  }
+}
+
+AntiCheat.RULE_POINTS = RULE_POINTS;
+AntiCheat.REVIEW_ACTIONS = REVIEW_ACTIONS;
+
+module.exports = AntiCheat;
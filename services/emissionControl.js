@@ -0,0 +1,343 @@
+const EmissionWindow = require('../models/EmissionWindow');
+const RewardTransfer = require('../models/RewardTransfer');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Reserved totals may exceed a cap by float noise without counting as over it
+const CAP_TOLERANCE = 1e-9;
+
+// Error codes returned when a reward does not fit a cap
+const CAP_CODES = {
+  walletHourly: 'WALLET_HOURLY_CAP_EXCEEDED',
+  walletDaily: 'WALLET_DAILY_CAP_EXCEEDED',
+  globalDaily: 'GLOBAL_DAILY_BUDGET_EXCEEDED'
+};
+
+/**
+ * EmissionControl limits how many reward tokens leave the treasury: per-wallet
+ * hourly and daily caps and a global daily budget, in UTC windows. Rewards are
+ * reserved against every cap before they are paid; a reward that does not fit
+ * is either rejected or deferred until the window that blocked it resets.
+ */
+class EmissionControl {
+  constructor(config) {
+    this.config = config;
+    this.relayerSystem = null;
+    this.isRunning = false;
+    this.initialized = false;
+    this.releaseIntervalId = null;
+    this.lastRelease = null;
+    
+    // Stats tracking
+    this.stats = {
+      reserved: 0,
+      rejected: 0,
+      deferred: 0,
+      released: 0,
+      lastError: null
+    };
+  }
+  
+  /**
+   * Initialize the service with the relayer system that deferred payouts are released to
+   */
+  async initialize(relayerSystem) {
+    try {
+      this.relayerSystem = relayerSystem;
+      
+      // Payouts that are cancelled or fail give their reservations back
+      relayerSystem.emissionControl = this;
+      
+      if (this.config.emission.mode === 'defer') {
+        this.setupPeriodicRelease();
+      }
+      
+      this.initialized = true;
+      console.log(`Emission caps initialized in ${this.config.emission.mode} mode (wallet hourly: ${this.config.emission.walletHourlyCap || 'none'}, wallet daily: ${this.config.emission.walletDailyCap || 'none'}, global daily: ${this.config.emission.globalDailyBudget || 'none'})`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize emission caps:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic release of deferred payouts
+   */
+  setupPeriodicRelease() {
+    if (this.releaseIntervalId) {
+      clearInterval(this.releaseIntervalId);
+    }
+    
+    this.releaseIntervalId = setInterval(async () => {
+      try {
+        await this.releaseDeferred();
+      } catch (error) {
+        console.error('Error releasing deferred payouts:', error);
+      }
+    }, this.config.emission.releaseInterval);
+    
+    console.log(`Deferred payouts will be checked every ${this.config.emission.releaseInterval / 1000} seconds`);
+  }
+  
+  /**
+   * Get the caps with the window each one counts in
+   * @param {string} walletAddress The player wallet
+   * @param {Date} at Time inside the windows
+   * @returns {Array} Caps that are configured, with the counter filter and window end
+   */
+  getCaps(walletAddress, at = new Date()) {
+    const hourStart = new Date(Math.floor(at.getTime() / HOUR_MS) * HOUR_MS);
+    const dayStart = new Date(Math.floor(at.getTime() / DAY_MS) * DAY_MS);
+    const wallet = walletAddress.toLowerCase();
+    
+    return [
+      {
+        name: 'walletHourly',
+        cap: this.config.emission.walletHourlyCap,
+        filter: { scope: 'wallet', walletAddress: wallet, period: 'hour', windowStart: hourStart },
+        resetsAt: new Date(hourStart.getTime() + HOUR_MS)
+      },
+      {
+        name: 'walletDaily',
+        cap: this.config.emission.walletDailyCap,
+        filter: { scope: 'wallet', walletAddress: wallet, period: 'day', windowStart: dayStart },
+        resetsAt: new Date(dayStart.getTime() + DAY_MS)
+      },
+      {
+        name: 'globalDaily',
+        cap: this.config.emission.globalDailyBudget,
+        filter: { scope: 'global', walletAddress: null, period: 'day', windowStart: dayStart },
+        resetsAt: new Date(dayStart.getTime() + DAY_MS)
+      }
+    ].filter(cap => cap.cap > 0);
+  }
+  
+  /**
+   * Reserve a reward against every cap, all or nothing
+   * @param {string} walletAddress The player wallet
+   * @param {number} amount Reward amount in tokens
+   * @returns {Promise<Object>} { reserved: true } with the reservation time, or the cap that blocked it, with its code, remaining allowance and reset time
+   */
+  async reserve(walletAddress, amount) {
+    const at = new Date();
+    const caps = this.getCaps(walletAddress, at);
+    const taken = [];
+    
+    for (const cap of caps) {
+      // Make sure the counter exists, then add to it only while the cap has room
+      try {
+        await EmissionWindow.updateOne(cap.filter, { $setOnInsert: { amount: 0 } }, { upsert: true });
+      } catch (error) {
+        // A concurrent reservation created the same counter
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+      
+      const counter = await EmissionWindow.findOneAndUpdate(
+        { ...cap.filter, amount: { $lte: cap.cap - amount + CAP_TOLERANCE } },
+        { $inc: { amount } },
+        { new: true }
+      );
+      
+      if (!counter) {
+        await this.releaseReservations(taken, amount);
+        
+        const current = await EmissionWindow.findOne(cap.filter).lean();
+        const used = current ? current.amount : 0;
+        return {
+          reserved: false,
+          code: amount > cap.cap ? 'CLAIM_EXCEEDS_CAP' : CAP_CODES[cap.name],
+          // A claim larger than the cap itself never fits, so it cannot be deferred either
+          deferrable: amount <= cap.cap,
+          cap: cap.name,
+          limit: cap.cap,
+          remaining: Math.max(0, cap.cap - used),
+          resetsAt: cap.resetsAt,
+          error: amount > cap.cap ?
+            `Reward of ${amount} tokens is larger than the ${cap.name} cap of ${cap.cap}` :
+            `Reward of ${amount} tokens exceeds the ${cap.name} cap of ${cap.cap}, ${Math.max(0, cap.cap - used)} left until ${cap.resetsAt.toISOString()}`
+        };
+      }
+      
+      taken.push(cap);
+    }
+    
+    this.stats.reserved++;
+    return { reserved: true, caps: taken.map(cap => cap.name), reservedAt: at };
+  }
+  
+  /**
+   * Give back a reservation whose payout was never queued
+   * @param {string} walletAddress The player wallet
+   * @param {number} amount Reward amount in tokens
+   * @param {Date} at Time of the reservation
+   */
+  async release(walletAddress, amount, at = new Date()) {
+    await this.releaseReservations(this.getCaps(walletAddress, at), amount);
+  }
+  
+  async releaseReservations(caps, amount) {
+    for (const cap of caps) {
+      await EmissionWindow.updateOne(cap.filter, { $inc: { amount: -amount } });
+    }
+  }
+  
+  /**
+   * Give back the reservations of persisted payouts that will not be paid
+   * Each transfer's reservation is cleared before it is given back, so it is given back once.
+   * @param {Object} filter The transfers to release
+   * @returns {Promise<number>} Number of reservations given back
+   */
+  async releaseTransfers(filter) {
+    const reserved = await RewardTransfer.find({ ...filter, emissionReservedAt: { $exists: true } }, { _id: 1 }).lean();
+    let released = 0;
+    
+    for (const { _id } of reserved) {
+      const transfer = await RewardTransfer.findOneAndUpdate(
+        { _id, emissionReservedAt: { $exists: true } },
+        { $unset: { emissionReservedAt: '' } }
+      );
+      if (!transfer) {
+        continue;
+      }
+      
+      await this.release(transfer.walletAddress, transfer.pointsToMint, transfer.emissionReservedAt);
+      released++;
+    }
+    
+    return released;
+  }
+  
+  /**
+   * Reserve a persisted payout that is sent again
+   * Nothing is taken while it, or a reward merged into it, still holds a reservation.
+   * @param {Object} transfer The transfer document
+   * @returns {Promise<Object>} { reserved: true } or the cap that blocked it, as for reserve
+   */
+  async reserveTransfer(transfer) {
+    const holding = await RewardTransfer.exists({
+      $or: [{ _id: transfer._id }, { batchId: transfer._id }],
+      emissionReservedAt: { $exists: true }
+    });
+    if (holding) {
+      return { reserved: true };
+    }
+    
+    const reservation = await this.reserve(transfer.walletAddress, transfer.pointsToMint);
+    if (reservation.reserved) {
+      await RewardTransfer.updateOne({ _id: transfer._id }, { $set: { emissionReservedAt: reservation.reservedAt } });
+    }
+    return reservation;
+  }
+  
+  /**
+   * Get the allowance a wallet has left in each cap window
+   * @param {string} walletAddress The player wallet
+   * @returns {Promise<Object>} Mode and remaining allowance per configured cap
+   */
+  async getAllowance(walletAddress) {
+    const caps = this.getCaps(walletAddress);
+    const allowance = { mode: this.config.emission.mode };
+    
+    for (const cap of caps) {
+      const counter = await EmissionWindow.findOne(cap.filter).lean();
+      const used = counter ? counter.amount : 0;
+      allowance[cap.name] = {
+        limit: cap.cap,
+        used,
+        remaining: Math.max(0, cap.cap - used),
+        resetsAt: cap.resetsAt
+      };
+    }
+    
+    allowance.deferred = await RewardTransfer.countDocuments({ walletAddress: walletAddress.toLowerCase(), state: 'deferred' });
+    return allowance;
+  }
+  
+  /**
+   * Record a reward that was turned away or deferred by a cap
+   */
+  recordBlocked(deferred) {
+    if (deferred) {
+      this.stats.deferred++;
+    } else {
+      this.stats.rejected++;
+    }
+  }
+  
+  /**
+   * Queue deferred payouts whose window has opened, oldest first
+   * Payouts that still do not fit wait for the next window of the cap that blocked them.
+   * @returns {Promise<number>} Number of payouts released
+   */
+  async releaseDeferred() {
+    if (this.isRunning || !this.relayerSystem || !this.relayerSystem.isInitialized) {
+      return 0;
+    }
+    
+    this.isRunning = true;
+    let released = 0;
+    
+    try {
+      const due = await RewardTransfer.find({ state: 'deferred', deferredUntil: { $lte: new Date() } })
+        .sort({ createdAt: 1 });
+      
+      for (const transfer of due) {
+        const reservation = await this.reserve(transfer.walletAddress, transfer.pointsToMint);
+        
+        if (!reservation.reserved) {
+          await RewardTransfer.updateOne(
+            { _id: transfer._id, state: 'deferred' },
+            { $set: { deferredUntil: reservation.resetsAt, updatedAt: new Date() } }
+          );
+          continue;
+        }
+        
+        if (await this.relayerSystem.releaseDeferredTransfer(transfer, reservation.reservedAt)) {
+          released++;
+        } else {
+          await this.release(transfer.walletAddress, transfer.pointsToMint, reservation.reservedAt);
+        }
+      }
+      
+      if (released > 0) {
+        console.log(`Released ${released} deferred payouts into the relayer queues`);
+      }
+      
+      this.stats.released += released;
+      this.stats.lastError = null;
+      this.lastRelease = Date.now();
+      return released;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Get emission cap status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      mode: this.config.emission.mode,
+      caps: {
+        walletHourly: this.config.emission.walletHourlyCap || null,
+        walletDaily: this.config.emission.walletDailyCap || null,
+        globalDaily: this.config.emission.globalDailyBudget || null
+      },
+      isRunning: this.isRunning,
+      lastRelease: this.lastRelease,
+      stats: this.stats
+    };
+  }
+}
+
+EmissionControl.CAP_CODES = CAP_CODES;
+
+module.exports = EmissionControl;
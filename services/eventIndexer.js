@@ -0,0 +1,399 @@
+const { ethers } = require('ethers');
+const TokenABI = require('../TokenABI.json');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+
+// Checkpoint name of the token event indexer
+const CHECKPOINT_NAME = 'token-events';
+
+/**
+ * EventIndexer follows the token contract from a persisted checkpoint and stores
+ * its Transfer, Approval, TreasuryUpdated and OwnershipTransferred events in
+ * MongoDB. Only blocks at least the confirmation depth below the head are
+ * indexed; if a deeper reorg replaces indexed blocks, their events are removed
+ * and the blocks are indexed again from the fork point.
+ */
+class EventIndexer {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.tokenContract = null;
+    this.tokenAddress = null;
+    this.treasuryAddress = null;
+    this.decimals = 18;
+    this.isRunning = false;
+    this.initialized = false;
+    this.runIntervalId = null;
+    this.lastRun = null;
+    this.headBlock = null;
+    this.lastBlock = null;
+    
+    // Stats tracking
+    this.stats = {
+      runs: 0,
+      eventsIndexed: 0,
+      reorgs: 0,
+      lastError: null
+    };
+  }
+  
+  /**
+   * Initialize the indexer with provider and contract
+   */
+  async initialize(provider, tokenContractAddress, treasuryAddress) {
+    try {
+      this.provider = provider;
+      this.tokenAddress = tokenContractAddress;
+      this.treasuryAddress = treasuryAddress;
+      this.tokenContract = new ethers.Contract(tokenContractAddress, TokenABI, provider);
+      this.decimals = Number(await this.tokenContract.decimals());
+      
+      const checkpoint = await IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME }).lean();
+      this.lastBlock = checkpoint ? checkpoint.lastBlock : null;
+      
+      if (this.config.indexer.enabled) {
+        // Backfilling can take a long time, so startup does not wait for it
+        this.run().catch(error => {
+          console.error('Error during initial event indexing:', error);
+        });
+        
+        this.setupPeriodicRuns();
+      }
+      
+      this.initialized = true;
+      console.log('Event indexer initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize event indexer:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic indexing runs
+   */
+  setupPeriodicRuns() {
+    if (this.runIntervalId) {
+      clearInterval(this.runIntervalId);
+    }
+    
+    this.runIntervalId = setInterval(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('Error during periodic event indexing:', error);
+      }
+    }, this.config.indexer.pollInterval);
+    
+    console.log(`Token events will be indexed every ${this.config.indexer.pollInterval / 1000} seconds`);
+  }
+  
+  /**
+   * Get the checkpoint, starting just before the configured start block on first use
+   */
+  async getCheckpoint() {
+    let checkpoint = await IndexerCheckpoint.findOne({ name: CHECKPOINT_NAME });
+    
+    if (!checkpoint) {
+      checkpoint = await IndexerCheckpoint.create({
+        name: CHECKPOINT_NAME,
+        lastBlock: this.config.indexer.startBlock - 1,
+        recentBlocks: []
+      });
+      console.log(`Event indexer starting at block ${this.config.indexer.startBlock}`);
+    }
+    
+    return checkpoint;
+  }
+  
+  /**
+   * Index confirmed blocks from the checkpoint up to the confirmation depth below the head
+   * @returns {Promise<Object|null>} Events indexed and the last indexed block, or null if a run was in progress
+   */
+  async run() {
+    if (this.isRunning) {
+      console.log('Event indexing already in progress, skipping');
+      return null;
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      this.headBlock = await this.provider.getBlockNumber();
+      const toBlock = this.headBlock - this.config.indexer.confirmations;
+      
+      let checkpoint = await this.getCheckpoint();
+      checkpoint = await this.handleReorg(checkpoint);
+      
+      let indexed = 0;
+      const chunkSize = this.config.indexer.blockChunkSize;
+      for (let start = checkpoint.lastBlock + 1; start <= toBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        indexed += await this.indexRange(start, end);
+        
+        const block = await this.provider.getBlock(end);
+        checkpoint = await this.saveCheckpoint(checkpoint, end, block.hash);
+      }
+      
+      if (indexed > 0) {
+        console.log(`Indexed ${indexed} token events up to block ${checkpoint.lastBlock}`);
+      }
+      
+      this.lastBlock = checkpoint.lastBlock;
+      this.stats.runs++;
+      this.stats.eventsIndexed += indexed;
+      this.stats.lastError = null;
+      this.lastRun = Date.now();
+      return { indexed, lastBlock: checkpoint.lastBlock };
+    } catch (error) {
+      this.stats.lastError = error.message;
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Store the token events of a block range
+   * @returns {Promise<number>} Number of events stored
+   */
+  async indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.tokenAddress, fromBlock, toBlock });
+    const events = [];
+    
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.tokenContract.interface.parseLog(log);
+      } catch (error) {
+        parsed = null;
+      }
+      if (!parsed || !ChainEvent.EVENT_NAMES.includes(parsed.name)) {
+        continue;
+      }
+      events.push({ log, parsed });
+    }
+    
+    if (events.length === 0) {
+      return 0;
+    }
+    
+    // One lookup per block for the timestamps
+    const timestamps = {};
+    for (const blockNumber of new Set(events.map(({ log }) => log.blockNumber))) {
+      const block = await this.provider.getBlock(blockNumber);
+      timestamps[blockNumber] = block ? new Date(block.timestamp * 1000) : undefined;
+    }
+    
+    // Upserts make re-indexing a range after a reorg or a backfill safe
+    await ChainEvent.bulkWrite(events.map(({ log, parsed }) => ({
+      updateOne: {
+        filter: { txHash: log.transactionHash.toLowerCase(), logIndex: log.index },
+        update: { $set: this.toEventDocument(log, parsed, timestamps[log.blockNumber]) },
+        upsert: true
+      }
+    })));
+    
+    return events.length;
+  }
+  
+  /**
+   * Map a parsed log to its ChainEvent fields
+   */
+  toEventDocument(log, parsed, blockTimestamp) {
+    const event = {
+      eventName: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp,
+      txHash: log.transactionHash.toLowerCase(),
+      logIndex: log.index
+    };
+    
+    switch (parsed.name) {
+      case 'Transfer':
+        event.from = parsed.args.from;
+        event.to = parsed.args.to;
+        break;
+      case 'Approval':
+        event.from = parsed.args.owner;
+        event.to = parsed.args.spender;
+        break;
+      case 'TreasuryUpdated':
+        event.previous = parsed.args.oldTreasury;
+        event.current = parsed.args.newTreasury;
+        break;
+      case 'OwnershipTransferred':
+        event.previous = parsed.args.previousOwner;
+        event.current = parsed.args.newOwner;
+        break;
+    }
+    
+    if (parsed.args.value !== undefined) {
+      event.value = parsed.args.value.toString();
+      event.amount = Number(ethers.formatUnits(parsed.args.value, this.decimals));
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Move the checkpoint forward, keeping the hashes of recently indexed blocks
+   */
+  async saveCheckpoint(checkpoint, blockNumber, blockHash) {
+    const recentBlocks = [...checkpoint.recentBlocks, { number: blockNumber, hash: blockHash }]
+      .slice(-this.config.indexer.reorgHistory);
+    
+    return IndexerCheckpoint.findOneAndUpdate(
+      { name: CHECKPOINT_NAME },
+      { $set: { lastBlock: blockNumber, lastBlockHash: blockHash, recentBlocks, updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+  
+  /**
+   * Roll the index back to the fork point if the last indexed block is no longer on the chain
+   * @returns {Promise<Object>} The checkpoint to continue from
+   */
+  async handleReorg(checkpoint) {
+    if (!checkpoint.lastBlockHash) {
+      return checkpoint;
+    }
+    
+    const block = await this.provider.getBlock(checkpoint.lastBlock);
+    if (block && block.hash === checkpoint.lastBlockHash) {
+      return checkpoint;
+    }
+    
+    // The newest recently indexed block that is still on the chain is the fork point
+    let forkPoint = null;
+    for (const recent of [...checkpoint.recentBlocks].reverse()) {
+      const recentBlock = await this.provider.getBlock(recent.number);
+      if (recentBlock && recentBlock.hash === recent.hash) {
+        forkPoint = recent;
+        break;
+      }
+    }
+    
+    // The reorg is deeper than the kept history: index the whole history range again
+    const oldest = checkpoint.recentBlocks.length > 0 ? checkpoint.recentBlocks[0].number : checkpoint.lastBlock;
+    const rollbackTo = forkPoint ?
+      forkPoint.number :
+      Math.max(this.config.indexer.startBlock - 1, oldest - this.config.indexer.blockChunkSize);
+    
+    const { deletedCount } = await ChainEvent.deleteMany({ blockNumber: { $gt: rollbackTo } });
+    console.warn(`⚠️ Reorg detected at block ${checkpoint.lastBlock}, rolled the event index back to block ${rollbackTo} (${deletedCount} events removed)`);
+    
+    this.stats.reorgs++;
+    return IndexerCheckpoint.findOneAndUpdate(
+      { name: CHECKPOINT_NAME },
+      {
+        $set: {
+          lastBlock: rollbackTo,
+          lastBlockHash: forkPoint ? forkPoint.hash : null,
+          recentBlocks: checkpoint.recentBlocks.filter(recent => recent.number <= rollbackTo),
+          lastReorgAt: new Date(),
+          updatedAt: new Date()
+        },
+        $inc: { reorgs: 1 }
+      },
+      { new: true }
+    );
+  }
+  
+  /**
+   * Index again from a block, e.g. after lowering the start block
+   * @param {number} fromBlock First block to index
+   */
+  async resetCheckpoint(fromBlock) {
+    if (this.isRunning) {
+      throw new Error('Event indexing is in progress, try again when it has finished');
+    }
+    
+    await this.getCheckpoint();
+    await IndexerCheckpoint.updateOne(
+      { name: CHECKPOINT_NAME },
+      { $set: { lastBlock: fromBlock - 1, lastBlockHash: null, recentBlocks: [], updatedAt: new Date() } }
+    );
+    this.lastBlock = fromBlock - 1;
+    console.log(`Event indexer will backfill from block ${fromBlock}`);
+  }
+  
+  /**
+   * Get a player's confirmed rewards from the treasury, newest first
+   * @param {string} walletAddress The player wallet
+   * @param {Object} [options] Page and page size
+   * @returns {Promise<Object>} Reward transfers and their totals
+   */
+  async getRewardHistory(walletAddress, { page = 1, limit = 20 } = {}) {
+    const filter = {
+      eventName: 'Transfer',
+      from: this.treasuryAddress.toLowerCase(),
+      to: walletAddress.toLowerCase()
+    };
+    
+    const [rewards, totals] = await Promise.all([
+      ChainEvent.find(filter)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ChainEvent.aggregate([
+        { $match: filter },
+        { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    return {
+      rewards: rewards.map(reward => ({
+        txHash: reward.txHash,
+        blockNumber: reward.blockNumber,
+        timestamp: reward.blockTimestamp,
+        amount: reward.amount,
+        value: reward.value
+      })),
+      totalRewards: totals.length > 0 ? totals[0].total : 0,
+      rewardCount: totals.length > 0 ? totals[0].count : 0
+    };
+  }
+  
+  /**
+   * Get a wallet's token balance from its indexed transfers
+   * Only complete when the indexer started at or before the token's deployment block.
+   * @param {string} walletAddress The wallet
+   * @returns {Promise<number>} Balance in whole tokens
+   */
+  async getIndexedBalance(walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    const sum = async (field) => {
+      const result = await ChainEvent.aggregate([
+        { $match: { eventName: 'Transfer', [field]: wallet } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      return result.length > 0 ? result[0].total : 0;
+    };
+    
+    const [received, sent] = await Promise.all([sum('to'), sum('from')]);
+    return received - sent;
+  }
+  
+  /**
+   * Get event indexer status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      enabled: this.config.indexer.enabled,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      startBlock: this.config.indexer.startBlock,
+      lastBlock: this.lastBlock,
+      headBlock: this.headBlock,
+      confirmations: this.config.indexer.confirmations,
+      lag: this.headBlock !== null && this.lastBlock !== null ? this.headBlock - this.lastBlock : null,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = EventIndexer;
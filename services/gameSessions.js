@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GameSession = require('../models/GameSession');
+const Player = require('../models/Player');
+
+// Error codes returned when a submission does not fit its game session
+const SESSION_CODES = {
+  invalid: 'SESSION_INVALID',
+  notFound: 'SESSION_NOT_FOUND',
+  wrongWallet: 'SESSION_WRONG_WALLET',
+  closed: 'SESSION_CLOSED',
+  expired: 'SESSION_EXPIRED',
+  duplicate: 'DUPLICATE_SUBMISSION',
+  claimNumber: 'CLAIM_NUMBER_INVALID',
+  coins: 'COINS_IMPLAUSIBLE',
+  score: 'SCORE_IMPLAUSIBLE'
+};
+
+/**
+ * GameSessionService ties scores and coin claims to a race the server started.
+ * A race gets a session ID signed with GAME_SESSION_SECRET, a track and a seed.
+ * Coin claims are numbered and must arrive in order; together they may not
+ * exceed the per-second coin ceiling for the time since the race started. One
+ * score is accepted per race, within the per-second score ceiling, and it ends
+ * the race. Nothing is accepted once a session has expired, and starting a new
+ * race closes the previous one, so parallel sessions cannot raise the ceilings.
+ */
+class GameSessionService {
+  constructor(config) {
+    this.config = config;
+    this.secret = config.gameSession.secret;
+    
+    // A per-process secret would reject every open race after a restart or on another instance
+    if (!this.secret) {
+      throw new Error('GAME_SESSION_SECRET is not set');
+    }
+    
+    // Stats tracking
+    this.stats = {
+      started: 0,
+      completed: 0,
+      abandoned: 0,
+      coinClaims: 0,
+      rejected: {}
+    };
+  }
+  
+  /**
+   * Signature binding a session ID to the wallet, track, seed and start time it was issued with
+   */
+  sign(session) {
+    return crypto.createHmac('sha256', this.secret)
+      .update([session._id, session.walletAddress, session.trackId || '', session.seed, session.startedAt.getTime()].join(':'))
+      .digest('base64url');
+  }
+  
+  getSessionId(session) {
+    return `${session._id}.${this.sign(session)}`;
+  }
+  
+  /**
+   * Highest coin total and score a race can have reached
+   * Time counts until the race's last coin claim, or until now while it is still running.
+   */
+  getLimits(session, at = new Date()) {
+    const end = session.finishedAt || at;
+    const elapsedSeconds = Math.max(end.getTime() - session.startedAt.getTime() + this.config.gameSession.elapsedGrace, 0) / 1000;
+    
+    return {
+      elapsedSeconds,
+      maxCoins: Math.floor(elapsedSeconds * this.config.gameSession.maxCoinsPerSecond),
+      maxScore: Math.floor(elapsedSeconds * this.config.gameSession.maxScorePerSecond)
+    };
+  }
+  
+  reject(code, error, status, details = {}) {
+    this.stats.rejected[code] = (this.stats.rejected[code] || 0) + 1;
+    return { accepted: false, code, error, status, ...details };
+  }
+  
+  /**
+   * Start a race for a wallet, closing any race it still has open
+   * @param {string} walletAddress The signed-in wallet
+   * @param {string} [trackId] Track of the race
+   * @param {string} [ip] Client address, for the anti-cheat rules
+   * @returns {Promise<Object>} The signed session ID, track, seed, start time, expiry and ceilings
+   */
+  async start(walletAddress, trackId, ip) {
+    const wallet = walletAddress.toLowerCase();
+    let session = null;
+    
+    // A concurrent start can win the one open slot; close it too and try again
+    for (let attempt = 0; !session; attempt++) {
+      const abandoned = await GameSession.updateMany(
+        { walletAddress: wallet, state: 'open' },
+        { state: 'abandoned', endedAt: new Date() }
+      );
+      this.stats.abandoned += abandoned.modifiedCount;
+      
+      const startedAt = new Date();
+      try {
+        session = await GameSession.create({
+          walletAddress: wallet,
+          trackId: trackId || null,
+          ip,
+          seed: crypto.randomInt(2 ** 31),
+          startedAt,
+          expiresAt: new Date(startedAt.getTime() + this.config.gameSession.ttl)
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 2) {
+          throw error;
+        }
+      }
+    }
+    
+    this.stats.started++;
+    return {
+      sessionId: this.getSessionId(session),
+      trackId: session.trackId,
+      seed: session.seed,
+      startedAt: session.startedAt,
+      expiresAt: session.expiresAt,
+      limits: {
+        maxCoinsPerSecond: this.config.gameSession.maxCoinsPerSecond,
+        maxScorePerSecond: this.config.gameSession.maxScorePerSecond
+      }
+    };
+  }
+  
+  /**
+   * Load the session a signed session ID refers to, for the wallet that submits to it
+   */
+  async findSession(sessionId, walletAddress) {
+    const [id, signature] = typeof sessionId === 'string' ? sessionId.split('.') : [];
+    if (!id || !signature || !mongoose.Types.ObjectId.isValid(id)) {
+      return this.reject(SESSION_CODES.invalid, 'A valid game sessionId is required, start a race with POST /api/session/start', 400);
+    }
+    
+    const session = await GameSession.findById(id);
+    const expected = session ? Buffer.from(this.sign(session)) : null;
+    if (!expected || expected.length !== Buffer.byteLength(signature) || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+      return this.reject(SESSION_CODES.notFound, 'Game session not found', 404);
+    }
+    
+    if (session.walletAddress !== walletAddress.toLowerCase()) {
+      return this.reject(SESSION_CODES.wrongWallet, 'Game session belongs to another wallet', 403);
+    }
+    if (session.state === 'abandoned') {
+      return this.reject(SESSION_CODES.closed, 'Game session was closed when a newer race started', 409);
+    }
+    
+    return { accepted: true, session };
+  }
+  
+  /**
+   * Check a coin claim against its session before the reward is credited
+   * @param {string} sessionId Signed session ID
+   * @param {string} walletAddress The signed-in wallet
+   * @param {number} coins Coins in this claim
+   * @param {number} claimNumber 1 for the race's first claim, 2 for the next and so on
+   * @returns {Promise<Object>} { accepted: true, session } or the rejection with its code and HTTP status
+   */
+  async checkCoinClaim(sessionId, walletAddress, coins, claimNumber) {
+    const found = await this.findSession(sessionId, walletAddress);
+    if (!found.accepted) {
+      return found;
+    }
+    const { session } = found;
+    const now = new Date();
+    
+    if (session.state !== 'open' || session.finishedAt) {
+      return this.reject(SESSION_CODES.closed, 'The race of this game session has already ended', 409);
+    }
+    if (session.expiresAt <= now) {
+      return this.reject(SESSION_CODES.expired, 'Game session has expired', 410);
+    }
+    
+    const expectedClaim = session.coinClaims + 1;
+    if (Number.isInteger(claimNumber) && claimNumber >= 1 && claimNumber < expectedClaim) {
+      return this.reject(SESSION_CODES.duplicate, `Coin claim ${claimNumber} was already submitted`, 409, { expectedClaim });
+    }
+    if (claimNumber !== expectedClaim) {
+      return this.reject(SESSION_CODES.claimNumber, `claimNumber must be ${expectedClaim}`, 409, { expectedClaim });
+    }
+    
+    const { elapsedSeconds, maxCoins } = this.getLimits(session, now);
+    if (session.coinsClaimed + coins > maxCoins) {
+      console.warn(`Implausible coin claim from ${walletAddress}: ${session.coinsClaimed + coins} coins after ${elapsedSeconds.toFixed(1)}s (max ${maxCoins})`);
+      return this.reject(SESSION_CODES.coins, `${session.coinsClaimed + coins} coins cannot be collected in ${Math.floor(elapsedSeconds)} seconds`, 422, { maxCoins });
+    }
+    
+    return { accepted: true, session };
+  }
+  
+  /**
+   * Record a checked coin claim, unless another claim was recorded in the meantime
+   * @param {Object} session The session returned by checkCoinClaim
+   * @param {number} coins Coins in this claim
+   * @param {boolean} [sessionEnd] Whether this is the race's last claim
+   * @returns {Promise<Object>} { accepted: true, session } or a duplicate submission rejection
+   */
+  async recordCoinClaim(session, coins, sessionEnd = false) {
+    const now = new Date();
+    const update = { $inc: { coinClaims: 1, coinsClaimed: coins }, $set: { lastClaimAt: now } };
+    if (sessionEnd) {
+      update.$set.finishedAt = now;
+    }
+    
+    const updated = await GameSession.findOneAndUpdate(
+      { _id: session._id, state: 'open', finishedAt: null, coinClaims: session.coinClaims },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      return this.reject(SESSION_CODES.duplicate, `Coin claim ${session.coinClaims + 1} was already submitted`, 409, { expectedClaim: session.coinClaims + 2 });
+    }
+    
+    this.stats.coinClaims++;
+    return { accepted: true, session: updated };
+  }
+  
+  /**
+   * Accept the score of a race, which ends it, and count the game for the player
+   * @param {string} sessionId Signed session ID
+   * @param {string} walletAddress The signed-in wallet
+   * @param {number} score The race score
+   * @returns {Promise<Object>} { accepted: true, session } or the rejection with its code and HTTP status
+   */
+  async submitScore(sessionId, walletAddress, score) {
+    const found = await this.findSession(sessionId, walletAddress);
+    if (!found.accepted) {
+      return found;
+    }
+    const { session } = found;
+    const now = new Date();
+    
+    if (session.scoreSubmittedAt) {
+      return this.reject(SESSION_CODES.duplicate, 'A score was already submitted for this game session', 409);
+    }
+    if (session.expiresAt <= now) {
+      return this.reject(SESSION_CODES.expired, 'Game session has expired', 410);
+    }
+    
+    const { elapsedSeconds, maxScore } = this.getLimits(session, now);
+    if (score > maxScore) {
+      console.warn(`Implausible score from ${walletAddress}: ${score} after ${elapsedSeconds.toFixed(1)}s (max ${maxScore})`);
+      return this.reject(SESSION_CODES.score, `A score of ${score} cannot be reached in ${Math.floor(elapsedSeconds)} seconds`, 422, { maxScore });
+    }
+    
+    const updated = await GameSession.findOneAndUpdate(
+      { _id: session._id, state: 'open', scoreSubmittedAt: null },
+      { state: 'completed', score, scoreSubmittedAt: now, endedAt: now },
+      { new: true }
+    );
+    if (!updated) {
+      return this.reject(SESSION_CODES.duplicate, 'A score was already submitted for this game session', 409);
+    }
+    
+    await Player.updateOne(
+      { walletAddress: session.walletAddress },
+      { $inc: { gamesPlayed: 1 }, $set: { lastPlayed: now } }
+    );
+    
+    this.stats.completed++;
+    return { accepted: true, session: updated };
+  }
+  
+  /**
+   * Get game session status
+   */
+  getStatus() {
+    return {
+      ttl: this.config.gameSession.ttl,
+      maxCoinsPerSecond: this.config.gameSession.maxCoinsPerSecond,
+      maxScorePerSecond: this.config.gameSession.maxScorePerSecond,
+      stats: this.stats
+    };
+  }
+}
+
+GameSessionService.SESSION_CODES = SESSION_CODES;
+
+module.exports = GameSessionService;
@@ -0,0 +1,227 @@
+const Player = require('../models/Player');
+const PlayerSession = require('../models/PlayerSession');
+const ModerationAction = require('../models/ModerationAction');
+const CheatFlag = require('../models/CheatFlag');
+
+/**
+ * Moderation applies and lifts player sanctions. A suspension runs until a set
+ * time and a ban until an admin lifts it; while either is active the player
+ * cannot submit scores or claim rewards and is left off the leaderboard. A ban
+ * also ends the wallet's sessions, locks it out of every player endpoint,
+ * closes its open anti-cheat flags and cancels its pending payouts, reversing
+ * them in the ledger. Every sanction and lift is recorded with its reason and
+ * the acting admin.
+ */
+class Moderation {
+  constructor(config) {
+    this.config = config;
+    this.relayerSystem = null;
+    this.antiCheat = null;
+    this.initialized = false;
+    
+    // Stats tracking
+    this.stats = {
+      suspensions: 0,
+      bans: 0,
+      lifts: 0,
+      payoutsCancelled: 0
+    };
+  }
+  
+  /**
+   * Initialize with the relayer system whose pending payouts bans cancel, and
+   * the anti-cheat service that releases them when a ban is lifted.
+   * The payouts of banned wallets are held again, as the hold lives in memory.
+   */
+  async initialize(relayerSystem, antiCheat) {
+    try {
+      this.relayerSystem = relayerSystem;
+      this.antiCheat = antiCheat;
+      
+      const banned = await Player.find({ banned: true }, { walletAddress: 1, banReason: 1 });
+      for (const player of banned) {
+        await relayerSystem.holdWalletPayouts(player.walletAddress, `Player banned: ${player.banReason}`);
+      }
+      
+      this.initialized = true;
+      console.log(`Player moderation initialized (${banned.length} banned wallets held)`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize player moderation:', error);
+      return false;
+    }
+  }
+  
+  async findPlayer(walletAddress) {
+    const player = await Player.findOne({ walletAddress: walletAddress.toLowerCase() });
+    if (!player) {
+      throw new Error('Player not found');
+    }
+    return player;
+  }
+  
+  /**
+   * Suspend a player until a given time, replacing any suspension it has
+   * @param {string} walletAddress The player wallet
+   * @param {Object} options until (a future Date), reason and the acting admin
+   * @returns {Promise<Object>} The player's sanction and the audit entry
+   */
+  async suspend(walletAddress, { until, reason, moderatedBy }) {
+    const wallet = walletAddress.toLowerCase();
+    
+    // A ban outranks a suspension and is left in place
+    const player = await Player.findOneAndUpdate(
+      { walletAddress: wallet, banned: { $ne: true } },
+      { suspendedUntil: until, suspensionReason: reason },
+      { new: true }
+    );
+    if (!player) {
+      await this.findPlayer(wallet);
+      throw new Error('Player is already banned');
+    }
+    
+    const entry = await ModerationAction.create({ walletAddress: wallet, action: 'suspend', reason, moderatedBy, suspendedUntil: until });
+    
+    this.stats.suspensions++;
+    console.warn(`⏳ Player ${wallet} suspended until ${until.toISOString()} by ${moderatedBy}: ${reason}`);
+    return { sanction: player.getSanction(), entry };
+  }
+  
+  /**
+   * Ban a player, ending its sessions, closing its open flags and cancelling its pending payouts
+   * Payouts waiting as deferred, batching, queued or held are cancelled and reversed; one a relayer already claimed is left to finish.
+   * @param {string} walletAddress The player wallet
+   * @param {Object} options reason, the acting admin, and the anti-cheat flag the ban came from
+   * @returns {Promise<Object>} The player's sanction, the cancelled payouts, the sessions ended, the flags closed and the audit entry
+   */
+  async ban(walletAddress, { reason, moderatedBy, flagId }) {
+    const wallet = walletAddress.toLowerCase();
+    const now = new Date();
+    
+    const player = await Player.findOneAndUpdate(
+      { walletAddress: wallet, banned: { $ne: true } },
+      {
+        $set: { banned: true, bannedAt: now, banReason: reason },
+        $unset: { suspendedUntil: '', suspensionReason: '' }
+      },
+      { new: true }
+    );
+    if (!player) {
+      await this.findPlayer(wallet);
+      throw new Error('Player is already banned');
+    }
+    
+    // Holding first takes the wallet's transfers out of the queues and batches, so none is sent while they are cancelled
+    const cancelReason = `Player banned: ${reason}`;
+    await this.relayerSystem.holdWalletPayouts(wallet, cancelReason);
+    const payouts = await this.relayerSystem.cancelHeldPayouts(wallet, { reason: cancelReason, cancelledBy: moderatedBy });
+    const sessions = await PlayerSession.deleteMany({ walletAddress: wallet });
+    
+    // The ban settles every open flag; the payout hold stays until the ban is lifted
+    const flags = await CheatFlag.updateMany(
+      { walletAddress: wallet, status: 'open' },
+      { status: 'confirmed', review: { action: 'ban', reason, by: moderatedBy, at: now } }
+    );
+    
+    const entry = await ModerationAction.create({
+      walletAddress: wallet,
+      action: 'ban',
+      reason,
+      moderatedBy,
+      flagId,
+      payoutsCancelled: { count: payouts.cancelled, amount: payouts.amount }
+    });
+    
+    this.stats.bans++;
+    this.stats.payoutsCancelled += payouts.cancelled;
+    console.warn(`⛔ Player ${wallet} banned by ${moderatedBy}${flagId ? ` after anti-cheat flag ${flagId}` : ''}: ${reason} (${payouts.cancelled} pending payouts cancelled)`);
+    return { sanction: player.getSanction(now), payouts, sessionsEnded: sessions.deletedCount, flagsClosed: flags.modifiedCount, entry };
+  }
+  
+  /**
+   * Lift a player's ban or suspension
+   * Payouts resume after a ban unless anti-cheat flags on the wallet are still open.
+   * @param {string} walletAddress The player wallet
+   * @param {Object} options reason and the acting admin
+   * @returns {Promise<Object>} The sanction that was lifted, what happened to the payout hold and the audit entry
+   */
+  async lift(walletAddress, { reason, moderatedBy }) {
+    const player = await this.findPlayer(walletAddress);
+    const sanction = player.getSanction();
+    if (!sanction) {
+      throw new Error('Player has no active sanction');
+    }
+    
+    // Only the caller that still finds the sanction in place lifts it
+    const filter = sanction.type === 'ban' ? { banned: true } : { suspendedUntil: player.suspendedUntil };
+    const lifted = await Player.findOneAndUpdate(
+      { _id: player._id, ...filter },
+      {
+        $set: { banned: false },
+        $unset: { bannedAt: '', banReason: '', suspendedUntil: '', suspensionReason: '' }
+      }
+    );
+    if (!lifted) {
+      throw new Error('Sanction is already lifted');
+    }
+    
+    const payouts = sanction.type === 'ban' ? await this.antiCheat.releaseHold(player.walletAddress) : undefined;
+    
+    const entry = await ModerationAction.create({
+      walletAddress: player.walletAddress,
+      action: 'lift',
+      lifted: sanction.type,
+      reason,
+      moderatedBy
+    });
+    
+    this.stats.lifts++;
+    console.log(`Player ${player.walletAddress} ${sanction.type} lifted by ${moderatedBy}: ${reason}`);
+    return { lifted: sanction, payouts, entry };
+  }
+  
+  /**
+   * A player's current sanction and moderation history, most recent first
+   * @param {string} walletAddress The player wallet
+   * @param {Object} [options] page and limit
+   * @returns {Promise<Object>} The sanction, the history entries and their total count
+   */
+  async getHistory(walletAddress, { page = 1, limit = 50 } = {}) {
+    const player = await this.findPlayer(walletAddress);
+    const filter = { walletAddress: player.walletAddress };
+    
+    const [actions, total] = await Promise.all([
+      ModerationAction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ModerationAction.countDocuments(filter)
+    ]);
+    return { sanction: player.getSanction(), actions, total };
+  }
+  
+  /**
+   * Players with an active ban or suspension
+   * @returns {Promise<Array>} Wallet, username and sanction of each
+   */
+  async listSanctioned() {
+    const players = await Player.find(Player.sanctionedFilter()).sort({ bannedAt: -1, suspendedUntil: -1 });
+    return players.map(player => ({
+      walletAddress: player.walletAddress,
+      username: player.username,
+      sanction: player.getSanction()
+    }));
+  }
+  
+  /**
+   * Get moderation status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = Moderation;
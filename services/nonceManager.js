@@ -0,0 +1,158 @@
+/**
+ * NonceManager hands out nonces for a single relayer wallet locally, so the
+ * relayer can keep several transactions in flight without asking the node
+ * for its pending nonce before every send.
+ */
+class NonceManager {
+  constructor(provider, address, options = {}) {
+    this.provider = provider;
+    this.address = address;
+    this.maxInFlight = options.maxInFlight || 1;
+    this.nextNonce = null; // Next fresh nonce, null until the first sync
+    this.minedNonce = null; // Latest nonce count seen on-chain
+    this.outstanding = new Set(); // Nonces handed out and not yet mined
+    this.gaps = []; // Nonces released without a broadcast, reused before fresh ones
+    this.lastSyncAt = null;
+  }
+  
+  /**
+   * Number of nonces handed out and not yet mined
+   */
+  get inFlightCount() {
+    return this.outstanding.size;
+  }
+  
+  /**
+   * Whether another transaction may be sent right now
+   * @returns {boolean} True if below the in-flight limit
+   */
+  hasCapacity() {
+    return this.outstanding.size < this.maxInFlight;
+  }
+  
+  /**
+   * Resynchronize with the chain
+   * With nothing outstanding the node is authoritative; otherwise the local
+   * counter only moves forward, past nonces used by someone else.
+   * @returns {Promise<number>} The next fresh nonce
+   */
+  async sync() {
+    const [pendingNonce, minedNonce] = await Promise.all([
+      this.provider.getTransactionCount(this.address, 'pending'),
+      this.provider.getTransactionCount(this.address, 'latest')
+    ]);
+    this.minedNonce = minedNonce;
+    
+    if (this.outstanding.size === 0) {
+      this.nextNonce = Math.max(pendingNonce, minedNonce);
+      this.gaps = [];
+    } else {
+      this.nextNonce = Math.max(this.nextNonce || 0, pendingNonce, minedNonce);
+      this.gaps = this.gaps.filter(nonce => nonce >= minedNonce);
+    }
+    
+    this.lastSyncAt = Date.now();
+    return this.nextNonce;
+  }
+  
+  /**
+   * Hand out the next nonce, filling gaps first
+   * @returns {number} The nonce to send with
+   */
+  acquire() {
+    if (this.nextNonce === null) {
+      throw new Error(`Nonce manager for ${this.address} has not been synced`);
+    }
+    
+    const nonce = this.gaps.length > 0 ? this.gaps.shift() : this.nextNonce++;
+    this.outstanding.add(nonce);
+    return nonce;
+  }
+  
+  /**
+   * Give back a nonce whose transaction was never broadcast
+   * @param {number} nonce The nonce that was acquired
+   * @param {boolean} consumed True if the node reports the nonce as already used
+   */
+  release(nonce, consumed = false) {
+    this.outstanding.delete(nonce);
+    
+    if (consumed) {
+      return;
+    }
+    
+    // The last nonce handed out can simply be rolled back, any other one leaves a gap
+    if (nonce === this.nextNonce - 1) {
+      this.nextNonce--;
+    } else {
+      this.addGap(nonce);
+    }
+  }
+  
+  /**
+   * Record a nonce that is in flight but was not handed out by this manager
+   * (restored after a restart or targeted by an admin cancel)
+   */
+  markOutstanding(nonce) {
+    this.outstanding.add(nonce);
+    this.gaps = this.gaps.filter(gap => gap !== nonce);
+    if (this.nextNonce !== null && nonce >= this.nextNonce) {
+      this.nextNonce = nonce + 1;
+    }
+  }
+  
+  /**
+   * Mark a nonce as mined or otherwise no longer in flight
+   */
+  complete(nonce) {
+    this.outstanding.delete(nonce);
+  }
+  
+  /**
+   * Report a nonce found blocking later transactions on-chain
+   * @param {number} nonce The lowest unmined nonce
+   * @returns {boolean} True if the nonce is a new gap this manager does not own
+   */
+  reportGap(nonce) {
+    if (this.outstanding.has(nonce) || this.gaps.includes(nonce)) {
+      return false;
+    }
+    
+    this.addGap(nonce);
+    return true;
+  }
+  
+  /**
+   * Take all open gaps so they can be filled, marking them outstanding
+   * @returns {number[]} The gap nonces in ascending order
+   */
+  takeGaps() {
+    const gaps = this.gaps;
+    this.gaps = [];
+    gaps.forEach(nonce => this.outstanding.add(nonce));
+    return gaps;
+  }
+  
+  addGap(nonce) {
+    this.gaps.push(nonce);
+    this.gaps.sort((a, b) => a - b);
+  }
+  
+  /**
+   * Get the nonce manager status
+   * @returns {Object} Counters for the status endpoints
+   */
+  getStatus() {
+    return {
+      nextNonce: this.nextNonce,
+      minedNonce: this.minedNonce,
+      inFlight: this.outstanding.size,
+      maxInFlight: this.maxInFlight,
+      outstandingNonces: Array.from(this.outstanding).sort((a, b) => a - b),
+      gaps: [...this.gaps],
+      lastSyncAt: this.lastSyncAt
+    };
+  }
+}
+
+module.exports = NonceManager;
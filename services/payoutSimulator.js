@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+
+// Selectors of the OpenZeppelin 5 ERC20 custom errors, for tokens that revert without a reason string
+const CUSTOM_ERROR_TYPES = {
+  [ethers.id('ERC20InsufficientAllowance(address,uint256,uint256)').slice(0, 10)]: 'insufficient_allowance',
+  [ethers.id('ERC20InsufficientBalance(address,uint256,uint256)').slice(0, 10)]: 'insufficient_treasury_balance',
+  [ethers.id('ERC20InvalidReceiver(address)').slice(0, 10)]: 'invalid_recipient'
+};
+
+/**
+ * A payout that reverted in simulation, or whose amount cannot be sent, and would fail again on-chain
+ * Its errorType is one of DeadLetter.ERROR_TYPES.
+ */
+class PayoutRejectedError extends Error {
+  constructor(errorType, reason) {
+    super(`Payout rejected before broadcast (${errorType}): ${reason}`);
+    this.name = 'PayoutRejectedError';
+    this.errorType = errorType;
+    this.reason = reason;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Classify a revert from a simulated transferFrom
+ * @param {Object} error The CALL_EXCEPTION error thrown by ethers
+ * @returns {string} insufficient_allowance, insufficient_treasury_balance, invalid_recipient or reverted
+ */
+function classifyRevert(error) {
+  const selector = typeof error.data === 'string' ? error.data.slice(0, 10) : null;
+  if (selector && CUSTOM_ERROR_TYPES[selector]) {
+    return CUSTOM_ERROR_TYPES[selector];
+  }
+  
+  const text = `${error.reason || ''} ${error.shortMessage || ''}`.toLowerCase();
+  if (text.includes('allowance')) {
+    return 'insufficient_allowance';
+  }
+  if (text.includes('exceeds balance') || text.includes('insufficient balance')) {
+    return 'insufficient_treasury_balance';
+  }
+  if (text.includes('zero address') || text.includes('invalid receiver') || text.includes('invalid recipient')) {
+    return 'invalid_recipient';
+  }
+  return 'reverted';
+}
+
+/**
+ * Simulate a treasury payout from the relayer that will send it
+ * Only reverts are rejected; RPC and network errors are thrown as they are, to be retried.
+ * @param {Object} tokenWithRelayer Token contract connected to the relayer wallet
+ * @param {string} from The treasury address
+ * @param {string} to The player wallet
+ * @param {BigInt} amount Amount in the token's base units
+ * @returns {Promise<BigInt>} Gas estimate of the transfer
+ * @throws {PayoutRejectedError} If the transfer would revert
+ */
+async function simulatePayout(tokenWithRelayer, from, to, amount) {
+  if (!ethers.isAddress(to) || to === ethers.ZeroAddress) {
+    throw new PayoutRejectedError('invalid_recipient', `${to} is not a valid recipient`);
+  }
+  
+  let succeeded;
+  let gasEstimate;
+  try {
+    succeeded = await tokenWithRelayer.transferFrom.staticCall(from, to, amount);
+    gasEstimate = await tokenWithRelayer.transferFrom.estimateGas(from, to, amount);
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    throw new PayoutRejectedError(classifyRevert(error), error.reason || error.shortMessage || error.message);
+  }
+  
+  // Tokens that report failure instead of reverting
+  if (succeeded === false) {
+    throw new PayoutRejectedError('reverted', 'transferFrom returned false');
+  }
+  return gasEstimate;
+}
+
+module.exports = {
+  PayoutRejectedError,
+  classifyRevert,
+  simulatePayout
+};
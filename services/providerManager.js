@@ -0,0 +1,473 @@
+const { ethers } = require('ethers');
+
+// Weight of the newest sample in the latency and error rate averages
+const EWMA_WEIGHT = 0.2;
+
+// The active endpoint is kept until another scores this much better, so traffic does not flap
+const SWITCH_MARGIN = 1.25;
+
+// Budgets are counted per minute
+const BUDGET_WINDOW = 60000;
+
+/**
+ * Whether a JSON-RPC error means the endpoint is throttling us, not that the request is invalid
+ */
+function isRateLimitError(rpcError) {
+  return rpcError.code === 429 || /rate limit|too many requests/i.test(rpcError.message || '');
+}
+
+/**
+ * Endpoint label without its path and query, which often carry an API key
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return 'invalid url';
+  }
+}
+
+/**
+ * JsonRpcProvider whose requests are sent through the ProviderManager
+ * Batching, polling and result handling stay with ethers; only the transport fails over.
+ */
+class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(manager, network, options) {
+    super(manager.endpoints[0].url, network, options);
+    this.manager = manager;
+  }
+  
+  async _send(payload) {
+    return this.manager.send(payload);
+  }
+}
+
+/**
+ * ProviderManager spreads RPC traffic over MONAD_RPC_URL and its fallbacks.
+ * Every endpoint is scored on its latency and error rate, taken from real
+ * requests and a periodic probe that also checks its chain id and block height.
+ * Requests go to the active endpoint and fail over to the next best one on a
+ * network error, an HTTP error or a rate limit. An endpoint that keeps failing
+ * is taken out of rotation for a cooldown, and each one can be held to a
+ * request budget per minute. The one shared provider is `manager.provider`.
+ */
+class ProviderManager {
+  constructor(config) {
+    this.config = config;
+    this.endpoints = config.rpc.urls.map((url, index) => this.createEndpoint(url, index));
+    this.current = this.endpoints[0] || null;
+    this.provider = null;
+    this.chainId = config.rpc.chainId;
+    this.isRunning = false;
+    this.initialized = false;
+    this.checkIntervalId = null;
+    this.lastCheck = null;
+    
+    // Stats tracking
+    this.stats = {
+      requests: 0,
+      failovers: 0,
+      budgetWaits: 0,
+      lastFailover: null,
+      lastError: null
+    };
+  }
+  
+  createEndpoint(url, index) {
+    const connection = new ethers.FetchRequest(url);
+    connection.timeout = this.config.rpc.timeout;
+    // A throttled endpoint is failed over at once instead of being retried with backoff
+    connection.setThrottleParams({ maxAttempts: 1 });
+    
+    return {
+      url,
+      label: redactUrl(url),
+      priority: index,
+      connection,
+      latency: null,
+      errorRate: 0,
+      consecutiveFailures: 0,
+      downUntil: 0,
+      blockNumber: null,
+      lagging: false,
+      wrongChain: false,
+      requests: 0,
+      errors: 0,
+      lastError: null,
+      lastSuccess: null,
+      budget: { windowStart: 0, used: 0 }
+    };
+  }
+  
+  /**
+   * Probe the endpoints and create the shared provider
+   */
+  async initialize() {
+    try {
+      if (this.endpoints.length === 0) {
+        throw new Error('No RPC endpoints configured, set MONAD_RPC_URL');
+      }
+      
+      await this.check();
+      if (!this.endpoints.some(endpoint => this.isAvailable(endpoint, Date.now()))) {
+        console.warn('⚠️ No RPC endpoint answered the first health check, requests will keep retrying them');
+      }
+      
+      this.provider = new FailoverProvider(this, this.chainId ? ethers.Network.from(this.chainId) : undefined, {
+        staticNetwork: true,
+        polling: true,
+        pollingInterval: 4000, // Poll every 4 seconds
+        cacheTimeout: -1 // Don't cache results
+      });
+      
+      this.setupPeriodicChecks();
+      
+      this.initialized = true;
+      console.log(`Provider manager initialized with ${this.endpoints.length} RPC endpoint(s), active: ${this.current.label}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize provider manager:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic endpoint probes
+   */
+  setupPeriodicChecks() {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId);
+    }
+    
+    this.checkIntervalId = setInterval(async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        console.error('Error during periodic RPC endpoint check:', error);
+      }
+    }, this.config.rpc.healthCheckInterval);
+    
+    console.log(`RPC endpoints will be checked every ${this.config.rpc.healthCheckInterval / 1000} seconds`);
+  }
+  
+  /**
+   * Send a JSON-RPC payload, failing over until an endpoint answers or all have been tried
+   * @param {Object|Array} payload A JSON-RPC request or batch
+   * @returns {Promise<Array>} The JSON-RPC responses
+   */
+  async send(payload) {
+    const cost = Array.isArray(payload) ? payload.length : 1;
+    const body = JSON.stringify(payload);
+    const tried = new Set();
+    let lastError = null;
+    this.stats.requests += cost;
+    
+    for (;;) {
+      const endpoint = await this.acquire(tried, cost);
+      if (!endpoint) {
+        this.stats.lastError = lastError ? lastError.shortMessage || lastError.message : 'No RPC endpoint available';
+        throw lastError || new Error('No RPC endpoint available');
+      }
+      tried.add(endpoint);
+      
+      try {
+        return await this.sendTo(endpoint, body);
+      } catch (error) {
+        lastError = error;
+        console.warn(`RPC request to ${endpoint.label} failed: ${error.shortMessage || error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Send a serialized payload to one endpoint and record how it went
+   */
+  async sendTo(endpoint, body) {
+    const request = endpoint.connection.clone();
+    request.body = body;
+    request.setHeader('content-type', 'application/json');
+    
+    const started = Date.now();
+    try {
+      const response = await request.send();
+      response.assertOk();
+      
+      let result = response.bodyJson;
+      if (!Array.isArray(result)) {
+        result = [result];
+      }
+      
+      const throttled = result.find(item => item && item.error && isRateLimitError(item.error));
+      if (throttled) {
+        throw new Error(`Rate limited: ${throttled.error.message}`);
+      }
+      
+      this.recordSuccess(endpoint, Date.now() - started);
+      return result;
+    } catch (error) {
+      this.recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Pick the endpoint for the next attempt and charge it to its budget
+   * Waits for the next budget window when every usable endpoint has spent its budget.
+   * @returns {Promise<Object|null>} The endpoint, or null when all have been tried
+   */
+  async acquire(tried, cost) {
+    for (;;) {
+      const now = Date.now();
+      let candidates = this.endpoints.filter(endpoint => !tried.has(endpoint) && this.isAvailable(endpoint, now));
+      
+      // With every endpoint in cooldown, the one that comes back first is still tried before giving up
+      if (candidates.length === 0 && tried.size === 0) {
+        candidates = this.endpoints
+          .filter(endpoint => !endpoint.wrongChain)
+          .sort((a, b) => a.downUntil - b.downUntil)
+          .slice(0, 1);
+      }
+      if (candidates.length === 0) {
+        return null;
+      }
+      
+      const withBudget = candidates.filter(endpoint => this.hasBudget(endpoint, cost, now));
+      if (withBudget.length > 0) {
+        const endpoint = this.select(withBudget);
+        this.spendBudget(endpoint, cost, now);
+        return endpoint;
+      }
+      
+      const resetsAt = Math.min(...candidates.map(endpoint => endpoint.budget.windowStart + BUDGET_WINDOW));
+      this.stats.budgetWaits++;
+      console.warn(`RPC request budget spent on every endpoint, waiting ${Math.ceil((resetsAt - now) / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, Math.max(resetsAt - now, 0)));
+    }
+  }
+  
+  /**
+   * Keep the active endpoint unless it is unusable or another one scores clearly better
+   */
+  select(candidates) {
+    const best = candidates.reduce((a, b) => (this.getScore(b) > this.getScore(a) ? b : a));
+    
+    if (candidates.includes(this.current) && this.getScore(this.current) * SWITCH_MARGIN >= this.getScore(best)) {
+      return this.current;
+    }
+    
+    if (best !== this.current) {
+      this.switchTo(best);
+    }
+    return best;
+  }
+  
+  switchTo(endpoint) {
+    const previous = this.current;
+    this.current = endpoint;
+    this.stats.failovers++;
+    this.stats.lastFailover = { from: previous ? previous.label : null, to: endpoint.label, at: Date.now() };
+    console.warn(`⚠️ RPC failover: ${previous ? previous.label : 'none'} -> ${endpoint.label}`);
+  }
+  
+  isAvailable(endpoint, now) {
+    return !endpoint.wrongChain && !endpoint.lagging && endpoint.downUntil <= now;
+  }
+  
+  hasBudget(endpoint, cost, now) {
+    const limit = this.config.rpc.requestsPerMinute;
+    if (!limit) {
+      return true;
+    }
+    
+    this.rollBudgetWindow(endpoint, now);
+    // A batch larger than the whole budget still goes out at the start of a window
+    return endpoint.budget.used + cost <= limit || endpoint.budget.used === 0;
+  }
+  
+  spendBudget(endpoint, cost, now) {
+    this.rollBudgetWindow(endpoint, now);
+    endpoint.budget.used += cost;
+  }
+  
+  rollBudgetWindow(endpoint, now) {
+    if (now - endpoint.budget.windowStart >= BUDGET_WINDOW) {
+      endpoint.budget.windowStart = now;
+      endpoint.budget.used = 0;
+    }
+  }
+  
+  /**
+   * Health score from 0 to 100, from the endpoint's average latency and error rate
+   */
+  getScore(endpoint) {
+    if (endpoint.wrongChain || endpoint.lagging || endpoint.downUntil > Date.now()) {
+      return 0;
+    }
+    
+    const latency = endpoint.latency === null ? this.config.rpc.timeout : endpoint.latency;
+    return Math.round(100 * (1 - endpoint.errorRate) / (1 + latency / 1000));
+  }
+  
+  recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.latency = endpoint.latency === null ? latency : endpoint.latency + EWMA_WEIGHT * (latency - endpoint.latency);
+    endpoint.errorRate -= EWMA_WEIGHT * endpoint.errorRate;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastSuccess = Date.now();
+    
+    if (endpoint.downUntil > 0) {
+      console.log(`RPC endpoint ${endpoint.label} recovered`);
+      endpoint.downUntil = 0;
+    }
+  }
+  
+  recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.errorRate += EWMA_WEIGHT * (1 - endpoint.errorRate);
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = { message: error.shortMessage || error.message, at: Date.now() };
+    
+    if (endpoint.consecutiveFailures >= this.config.rpc.failureThreshold) {
+      endpoint.downUntil = Date.now() + this.config.rpc.cooldown;
+      console.error(`🚨 RPC endpoint ${endpoint.label} failed ${endpoint.consecutiveFailures} times in a row, out of rotation for ${this.config.rpc.cooldown / 1000}s`);
+    }
+  }
+  
+  /**
+   * Probe every endpoint for its chain id and block height
+   * Endpoints on another chain, or too far behind the highest block, are taken out of rotation.
+   * @returns {Promise<Object>} The manager status after the check
+   */
+  async check() {
+    if (this.isRunning) {
+      return this.getStatus();
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      // Probed in priority order so an unset chain id is taken from the primary
+      const probes = await Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)));
+      
+      for (let i = 0; i < this.endpoints.length; i++) {
+        const endpoint = this.endpoints[i];
+        const probe = probes[i];
+        if (!probe) {
+          continue;
+        }
+        
+        if (this.chainId === null) {
+          this.chainId = probe.chainId;
+        }
+        
+        const wrongChain = probe.chainId !== this.chainId;
+        if (wrongChain && !endpoint.wrongChain) {
+          console.error(`🚨 RPC endpoint ${endpoint.label} is on chain ${probe.chainId}, not ${this.chainId}; it will not be used`);
+        }
+        endpoint.wrongChain = wrongChain;
+      }
+      
+      const heads = this.endpoints
+        .filter(endpoint => !endpoint.wrongChain && endpoint.blockNumber !== null)
+        .map(endpoint => endpoint.blockNumber);
+      const head = heads.length > 0 ? Math.max(...heads) : null;
+      
+      for (const endpoint of this.endpoints) {
+        const lagging = head !== null && endpoint.blockNumber !== null &&
+          head - endpoint.blockNumber > this.config.rpc.maxBlockLag;
+        if (lagging !== endpoint.lagging) {
+          console.warn(lagging ?
+            `⚠️ RPC endpoint ${endpoint.label} is ${head - endpoint.blockNumber} blocks behind, out of rotation until it catches up` :
+            `RPC endpoint ${endpoint.label} caught up`);
+        }
+        endpoint.lagging = lagging;
+      }
+      
+      // Move off an endpoint the probe found unusable, or onto a clearly better one
+      const now = Date.now();
+      const available = this.endpoints.filter(endpoint => this.isAvailable(endpoint, now));
+      if (available.length > 0) {
+        this.select(available);
+      }
+      
+      this.lastCheck = Date.now();
+      return this.getStatus();
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Ask one endpoint for its chain id and block number
+   * @returns {Promise<Object|null>} The chain id and block number, or null if it did not answer
+   */
+  async probe(endpoint) {
+    const payload = [
+      { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+      { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+    ];
+    
+    try {
+      this.spendBudget(endpoint, payload.length, Date.now());
+      const result = await this.sendTo(endpoint, JSON.stringify(payload));
+      const chainId = result.find(item => item.id === 1);
+      const blockNumber = result.find(item => item.id === 2);
+      if (!chainId || !blockNumber || chainId.error || blockNumber.error) {
+        throw new Error((chainId?.error || blockNumber?.error || {}).message || 'Incomplete probe response');
+      }
+      
+      endpoint.blockNumber = Number(BigInt(blockNumber.result));
+      return {
+        chainId: Number(BigInt(chainId.result)),
+        blockNumber: endpoint.blockNumber
+      };
+    } catch (error) {
+      // A stale height would mark the endpoint as lagging
+      endpoint.blockNumber = null;
+      return null;
+    }
+  }
+  
+  /**
+   * Get provider manager status
+   */
+  getStatus() {
+    const now = Date.now();
+    const limit = this.config.rpc.requestsPerMinute;
+    
+    return {
+      initialized: this.initialized,
+      isRunning: this.isRunning,
+      lastCheck: this.lastCheck,
+      chainId: this.chainId,
+      active: this.current ? this.current.label : null,
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.label,
+        priority: endpoint.priority,
+        status: endpoint.wrongChain ? 'wrong-chain' :
+          endpoint.downUntil > now ? 'down' :
+          endpoint.lagging ? 'lagging' :
+          endpoint === this.current ? 'active' : 'standby',
+        score: this.getScore(endpoint),
+        latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+        errorRate: Number(endpoint.errorRate.toFixed(3)),
+        blockNumber: endpoint.blockNumber,
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        downUntil: endpoint.downUntil > now ? endpoint.downUntil : null,
+        budget: limit ? {
+          limit,
+          used: now - endpoint.budget.windowStart < BUDGET_WINDOW ? endpoint.budget.used : 0
+        } : null,
+        lastError: endpoint.lastError,
+        lastSuccess: endpoint.lastSuccess
+      })),
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = ProviderManager;
@@ -0,0 +1,221 @@
+const { ethers } = require('ethers');
+const TokenABI = require('../TokenABI.json');
+const LedgerEntry = require('../models/LedgerEntry');
+const ChainEvent = require('../models/ChainEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+
+// Token amounts closer than this are treated as equal
+const DRIFT_TOLERANCE = 1e-9;
+
+/**
+ * ReconciliationService compares the reward ledger against on-chain token data
+ * (treasury Transfer events and player balances) and records any drift.
+ * Transfer events are read from the event indexer, up to the last block it
+ * indexed, so a restart does not scan the chain again.
+ */
+class ReconciliationService {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.tokenContract = null;
+    this.relayerSystem = null;
+    this.eventIndexer = null;
+    this.decimals = 18;
+    this.isRunning = false;
+    this.initialized = false;
+    this.runIntervalId = null;
+    this.lastReport = null;
+  }
+  
+  /**
+   * Initialize the service with provider and contract, the relayer system whose
+   * treasury pays the rewards, and the event indexer that stores its Transfer events
+   */
+  async initialize(provider, tokenContractAddress, relayerSystem, eventIndexer) {
+    try {
+      this.provider = provider;
+      this.relayerSystem = relayerSystem;
+      this.eventIndexer = eventIndexer;
+      this.tokenContract = new ethers.Contract(
+        tokenContractAddress,
+        TokenABI,
+        provider
+      );
+      
+      this.decimals = Number(await this.tokenContract.decimals());
+      
+      if (this.config.reconciliation.enabled) {
+        this.setupPeriodicRuns();
+      }
+      
+      this.initialized = true;
+      console.log('Reconciliation service initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize reconciliation service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic reconciliation runs
+   */
+  setupPeriodicRuns() {
+    if (this.runIntervalId) {
+      clearInterval(this.runIntervalId);
+    }
+    
+    this.runIntervalId = setInterval(async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('Error during periodic reconciliation:', error);
+      }
+    }, this.config.reconciliation.interval);
+    
+    console.log(`Reconciliation will run every ${this.config.reconciliation.interval / (60 * 1000)} minutes`);
+  }
+  
+  /**
+   * Addresses rewards were paid from: the relayer system's treasury, and every
+   * treasury the token contract has had, so payouts from a rotated-out treasury still count
+   * @returns {Promise<string[]>} Lowercase treasury addresses
+   */
+  async getTreasuryAddresses() {
+    const updates = await ChainEvent.find({ eventName: 'TreasuryUpdated' }, { previous: 1, current: 1 }).lean();
+    const addresses = new Set(updates.flatMap(update => [update.previous, update.current]).filter(Boolean));
+    if (this.relayerSystem.treasuryAddress) {
+      addresses.add(this.relayerSystem.treasuryAddress.toLowerCase());
+    }
+    return [...addresses];
+  }
+  
+  /**
+   * Compare one wallet's ledger against on-chain data
+   * @returns {Promise<Object|null>} Drift details, or null if the wallet is in balance
+   */
+  async reconcileWallet(walletAddress, toBlock, treasuries) {
+    const balances = await LedgerEntry.getBalances(walletAddress);
+    
+    const transfers = await ChainEvent.find(
+      { eventName: 'Transfer', to: walletAddress, from: { $in: treasuries }, blockNumber: { $lte: toBlock } },
+      { txHash: 1, amount: 1 }
+    ).lean();
+    const txHashes = new Set(transfers.map(transfer => transfer.txHash));
+    
+    // Only payouts mined at or below the scanned block can be matched to events
+    const payouts = await LedgerEntry.find({ walletAddress, entryType: 'payout' });
+    let confirmedPaid = 0;
+    const missingTxHashes = [];
+    
+    for (const payout of payouts) {
+      if (payout.blockNumber && payout.blockNumber > toBlock) {
+        continue;
+      }
+      
+      confirmedPaid += payout.amount;
+      if (!payout.txHash || !txHashes.has(payout.txHash.toLowerCase())) {
+        missingTxHashes.push(payout.txHash || `transfer:${payout.transferId}`);
+      }
+    }
+    
+    const received = transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+    const onChainBalance = Number(ethers.formatUnits(
+      await this.tokenContract.balanceOf(walletAddress),
+      this.decimals
+    ));
+    
+    const paidDrift = received - confirmedPaid;
+    const balanceShortfall = Math.max(0, balances.paid - onChainBalance);
+    
+    if (Math.abs(paidDrift) <= DRIFT_TOLERANCE && balanceShortfall <= DRIFT_TOLERANCE && missingTxHashes.length === 0) {
+      return null;
+    }
+    
+    return {
+      walletAddress,
+      ledgerPending: balances.pending,
+      ledgerPaid: balances.paid,
+      treasuryTransfersReceived: received,
+      onChainBalance,
+      paidDrift,
+      balanceShortfall,
+      missingTxHashes
+    };
+  }
+  
+  /**
+   * Run a full reconciliation of every wallet in the ledger
+   * @returns {Promise<Object>} The stored reconciliation report
+   */
+  async run() {
+    if (!this.initialized) {
+      throw new Error('Reconciliation service not initialized');
+    }
+    
+    // Prevent multiple simultaneous runs
+    if (this.isRunning) {
+      console.log('Reconciliation already running, skipping this request');
+      return this.lastReport;
+    }
+    
+    this.isRunning = true;
+    const report = await ReconciliationReport.create({ status: 'running' });
+    
+    try {
+      console.log('Starting ledger reconciliation...');
+      
+      // Only blocks the indexer has reached, which are already past its confirmation depth
+      if (!this.eventIndexer || !this.eventIndexer.initialized || this.eventIndexer.lastBlock === null) {
+        throw new Error('Event indexer has not indexed any blocks yet');
+      }
+      const toBlock = this.eventIndexer.lastBlock;
+      report.fromBlock = this.config.indexer.startBlock;
+      report.toBlock = toBlock;
+      
+      const treasuries = await this.getTreasuryAddresses();
+      const wallets = await LedgerEntry.distinct('walletAddress');
+      for (const walletAddress of wallets) {
+        const drift = await this.reconcileWallet(walletAddress, toBlock, treasuries);
+        if (drift) {
+          report.drifts.push(drift);
+        }
+        report.walletsChecked++;
+      }
+      
+      report.driftCount = report.drifts.length;
+      report.status = 'completed';
+      report.finishedAt = new Date();
+      await report.save();
+      
+      console.log(`Reconciliation completed: ${report.walletsChecked} wallets checked, ${report.driftCount} with drift`);
+      if (report.driftCount > 0) {
+        console.warn(`⚠️ Ledger drift detected for ${report.driftCount} wallets`);
+      }
+    } catch (error) {
+      console.error('Reconciliation failed:', error);
+      report.status = 'failed';
+      report.error = error.message;
+      report.finishedAt = new Date();
+      await report.save();
+    } finally {
+      this.isRunning = false;
+    }
+    
+    this.lastReport = report;
+    return report;
+  }
+  
+  /**
+   * Get the most recent reconciliation report
+   */
+  async getLatestReport() {
+    if (this.lastReport) {
+      return this.lastReport;
+    }
+    
+    return ReconciliationReport.findOne().sort({ startedAt: -1 });
+  }
+}
+
+module.exports = ReconciliationService;
@@ -0,0 +1,312 @@
+const { ethers } = require('ethers');
+
+// Gas limit of a plain native-token transfer
+const NATIVE_TRANSFER_GAS = BigInt(21000);
+
+/**
+ * RelayerFundingService keeps relayer wallets stocked with native tokens for gas.
+ * Relayers below the minimum balance are topped up from the owner wallet, relayers
+ * below the critical balance are taken out of rotation until they are funded, and
+ * retired relayers can be swept back to the owner.
+ */
+class RelayerFundingService {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.relayerSystem = null;
+    this.isRunning = false;
+    this.initialized = false;
+    this.checkIntervalId = null;
+    this.lastCheck = null;
+    
+    // Stats tracking
+    this.stats = {
+      checks: 0,
+      fundings: 0,
+      totalFunded: BigInt(0),
+      sweeps: 0,
+      totalSwept: BigInt(0),
+      lastError: null,
+      history: []
+    };
+  }
+  
+  /**
+   * Initialize the service with provider and relayer system
+   */
+  async initialize(provider, relayerSystem) {
+    try {
+      this.provider = provider;
+      this.relayerSystem = relayerSystem;
+      
+      if (!relayerSystem.ownerWallet) {
+        throw new Error('Owner wallet not available for relayer funding');
+      }
+      
+      // Check balances right away so underfunded relayers leave rotation early;
+      // funding transactions can take a while, so startup does not wait for them
+      this.checkAndFund().catch(error => {
+        console.error('Error during initial relayer funding check:', error);
+      });
+      
+      if (this.config.relayer.funding.enabled) {
+        this.setupPeriodicChecks();
+      }
+      
+      this.initialized = true;
+      console.log('Relayer funding service initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize relayer funding service:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic relayer balance checks
+   */
+  setupPeriodicChecks() {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId);
+    }
+    
+    this.checkIntervalId = setInterval(async () => {
+      try {
+        await this.checkAndFund();
+      } catch (error) {
+        console.error('Error during periodic relayer funding check:', error);
+      }
+    }, this.config.relayer.funding.interval);
+    
+    console.log(`Relayer balances will be checked every ${this.config.relayer.funding.interval / (60 * 1000)} minutes`);
+  }
+  
+  /**
+   * Check every active relayer's balance and top up the ones below the minimum
+   * @returns {Promise<Array>} Per-relayer results of this check
+   */
+  async checkAndFund() {
+    if (this.isRunning) {
+      console.log('Relayer funding check already in progress, skipping');
+      return [];
+    }
+    
+    this.isRunning = true;
+    const results = [];
+    
+    try {
+      const { minBalance, funding } = this.config.relayer;
+      const ownerAddress = this.relayerSystem.ownerWallet.address;
+      
+      for (const relayer of this.relayerSystem.relayers) {
+        const stats = this.relayerSystem.relayerStats[relayer.address];
+        
+        // The owner pays for everyone, and retired relayers are not topped up again
+        if (!stats || relayer.address === ownerAddress || !stats.active) {
+          continue;
+        }
+        
+        const result = { relayerAddress: relayer.address, funded: false };
+        
+        try {
+          let balance = await this.provider.getBalance(relayer.address);
+          
+          if (balance < minBalance && funding.enabled) {
+            const amount = funding.targetBalance - balance;
+            const receipt = await this.fundRelayer(relayer.address, amount);
+            result.funded = true;
+            result.amount = ethers.formatEther(amount);
+            result.txHash = receipt.hash;
+            balance = await this.provider.getBalance(relayer.address);
+          }
+          
+          result.balance = ethers.formatEther(balance);
+          this.updateRelayerBalance(relayer, balance);
+        } catch (error) {
+          console.error(`Failed to check or fund relayer ${relayer.address}:`, error.message);
+          result.error = error.message;
+          this.stats.lastError = error.message;
+        }
+        
+        results.push(result);
+      }
+      
+      this.stats.checks++;
+      this.lastCheck = Date.now();
+      return results;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Record a relayer's balance and move it in or out of rotation
+   * @param {Object} relayer The relayer wallet object
+   * @param {BigInt} balance The relayer's native balance
+   */
+  updateRelayerBalance(relayer, balance) {
+    const stats = this.relayerSystem.relayerStats[relayer.address];
+    const wasLow = !!stats.lowBalance;
+    
+    stats.balance = balance;
+    stats.lowBalance = balance < this.config.relayer.funding.criticalBalance;
+    
+    if (stats.lowBalance && !wasLow) {
+      console.warn(`⚠️ Relayer ${relayer.address} balance ${ethers.formatEther(balance)} is below the critical level, taking it out of rotation`);
+    } else if (!stats.lowBalance && wasLow) {
+      console.log(`Relayer ${relayer.address} is funded again (${ethers.formatEther(balance)}), back in rotation`);
+      this.relayerSystem.processQueue(relayer);
+    }
+  }
+  
+  /**
+   * Send native tokens from the owner wallet to a relayer
+   * @param {string} relayerAddress The relayer to fund
+   * @param {BigInt} amount Amount in wei
+   * @returns {Promise<Object>} The funding transaction receipt
+   */
+  async fundRelayer(relayerAddress, amount) {
+    const ownerWallet = this.relayerSystem.ownerWallet;
+    
+    // Never drain the owner below its reserve, it also pays for approvals
+    const ownerBalance = await this.provider.getBalance(ownerWallet.address);
+    if (ownerBalance - amount < this.config.relayer.funding.ownerReserve) {
+      throw new Error(`Insufficient owner balance to fund relayer. Have ${ethers.formatEther(ownerBalance)}, need ${ethers.formatEther(amount)} plus reserve ${ethers.formatEther(this.config.relayer.funding.ownerReserve)}`);
+    }
+    
+    console.log(`Funding relayer ${relayerAddress} with ${ethers.formatEther(amount)} from owner ${ownerWallet.address}`);
+    const tx = await ownerWallet.sendTransaction({ to: relayerAddress, value: amount });
+    const receipt = await tx.wait(1, 120000);
+    
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Funding transaction ${tx.hash} failed`);
+    }
+    
+    this.stats.fundings++;
+    this.stats.totalFunded += amount;
+    this.recordHistory({ type: 'fund', relayerAddress, amount, txHash: receipt.hash });
+    
+    console.log(`✅ Relayer ${relayerAddress} funded: ${receipt.hash}`);
+    return receipt;
+  }
+  
+  /**
+   * Send a retired relayer's whole balance, minus gas, back to the owner
+   * The relayer is deactivated first; it must have no queued or in-flight transactions.
+   * @param {string} relayerAddress The relayer to sweep
+   * @param {Object} options The acting admin
+   * @returns {Promise<Object>} The sweep result
+   */
+  async sweepRelayer(relayerAddress, { sweptBy } = {}) {
+    const relayer = this.relayerSystem.relayers.find(r => r.address.toLowerCase() === relayerAddress.toLowerCase());
+    if (!relayer) {
+      throw new Error('Relayer not found');
+    }
+    
+    const ownerWallet = this.relayerSystem.ownerWallet;
+    if (relayer.address === ownerWallet.address) {
+      throw new Error('Cannot sweep the owner wallet');
+    }
+    
+    const queueLength = (this.relayerSystem.txQueues[relayer.address] || []).length;
+    const inFlight = this.relayerSystem.inFlightTxs[relayer.address]?.size || 0;
+    if (queueLength > 0 || inFlight > 0) {
+      throw new Error(`Relayer still has ${queueLength} queued and ${inFlight} in-flight transactions, drain it first`);
+    }
+    
+    // Retire the relayer so it gets no new work while the sweep is pending
+    this.relayerSystem.relayerStats[relayer.address].active = false;
+    
+    const balance = await this.provider.getBalance(relayer.address);
+    const feeData = await this.provider.getFeeData();
+    const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+    const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || maxFeePerGas;
+    const gasCost = NATIVE_TRANSFER_GAS * maxFeePerGas;
+    
+    if (balance <= gasCost) {
+      console.log(`Relayer ${relayer.address} balance ${ethers.formatEther(balance)} does not cover the sweep gas, nothing to sweep`);
+      return { relayerAddress: relayer.address, swept: false, balance: ethers.formatEther(balance) };
+    }
+    
+    // Whatever the transaction pays below maxFeePerGas stays behind as dust
+    const amount = balance - gasCost;
+    const tx = await relayer.sendTransaction({
+      to: ownerWallet.address,
+      value: amount,
+      gasLimit: NATIVE_TRANSFER_GAS,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    });
+    const receipt = await tx.wait(1, 120000);
+    
+    if (!receipt || receipt.status !== 1) {
+      throw new Error(`Sweep transaction ${tx.hash} failed`);
+    }
+    
+    this.stats.sweeps++;
+    this.stats.totalSwept += amount;
+    this.recordHistory({ type: 'sweep', relayerAddress: relayer.address, amount, txHash: receipt.hash, sweptBy });
+    this.relayerSystem.relayerStats[relayer.address].balance = await this.provider.getBalance(relayer.address);
+    
+    console.log(`✅ Swept ${ethers.formatEther(amount)} from relayer ${relayer.address} to owner${sweptBy ? ` for ${sweptBy}` : ''}: ${receipt.hash}`);
+    return {
+      relayerAddress: relayer.address,
+      swept: true,
+      amount: ethers.formatEther(amount),
+      txHash: receipt.hash
+    };
+  }
+  
+  /**
+   * Keep a short history of funding and sweep transactions
+   */
+  recordHistory(entry) {
+    this.stats.history.push({
+      ...entry,
+      amount: ethers.formatEther(entry.amount),
+      timestamp: Date.now()
+    });
+    
+    if (this.stats.history.length > 100) {
+      this.stats.history.shift();
+    }
+  }
+  
+  /**
+   * Get funding service status
+   * @returns {Object} Thresholds, stats and per-relayer balances
+   */
+  getStatus() {
+    const { minBalance, funding } = this.config.relayer;
+    const relayers = this.relayerSystem ? this.relayerSystem.relayers.map(relayer => {
+      const stats = this.relayerSystem.relayerStats[relayer.address] || {};
+      return {
+        address: relayer.address,
+        active: !!stats.active,
+        lowBalance: !!stats.lowBalance,
+        balance: stats.balance !== undefined ? ethers.formatEther(stats.balance) : null
+      };
+    }) : [];
+    
+    return {
+      enabled: funding.enabled,
+      initialized: this.initialized,
+      isRunning: this.isRunning,
+      lastCheck: this.lastCheck,
+      thresholds: {
+        minBalance: ethers.formatEther(minBalance),
+        targetBalance: ethers.formatEther(funding.targetBalance),
+        criticalBalance: ethers.formatEther(funding.criticalBalance),
+        ownerReserve: ethers.formatEther(funding.ownerReserve)
+      },
+      stats: {
+        ...this.stats,
+        totalFunded: ethers.formatEther(this.stats.totalFunded),
+        totalSwept: ethers.formatEther(this.stats.totalSwept)
+      },
+      relayers
+    };
+  }
+}
+
+module.exports = RelayerFundingService;
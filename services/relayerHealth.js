@@ -0,0 +1,245 @@
+const { ethers } = require('ethers');
+
+// Circuit breaker states
+const BREAKER_STATES = {
+  CLOSED: 'closed', // Healthy, gets work
+  OPEN: 'open', // Skipped until the cooldown has passed
+  HALF_OPEN: 'half_open' // Cooldown passed, one probe transaction decides
+};
+
+// Weights of the health score components
+const SCORE_WEIGHTS = {
+  successRate: 0.6,
+  latency: 0.25,
+  balance: 0.15
+};
+
+/**
+ * RelayerHealth keeps a rolling health score and a circuit breaker per relayer.
+ * The score blends recent success rate, confirmation latency and gas balance;
+ * the breaker opens after consecutive failures so a failing relayer stops
+ * receiving work, and is probed again with a single transaction after a cooldown.
+ */
+class RelayerHealth {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || 50;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.targetLatencyMs = options.targetLatencyMs || 15000;
+    this.minBalance = options.minBalance || ethers.parseEther('0.01');
+    this.onStateChange = options.onStateChange || null;
+    this.relayers = {};
+  }
+  
+  /**
+   * Get the health record of a relayer, creating it on first use
+   */
+  getRecord(address) {
+    if (!this.relayers[address]) {
+      this.relayers[address] = {
+        state: BREAKER_STATES.CLOSED,
+        outcomes: [], // Most recent outcomes, oldest first
+        consecutiveFailures: 0,
+        openedAt: null,
+        probeInFlight: false,
+        lastFailure: null,
+        lastTransitionAt: null
+      };
+    }
+    return this.relayers[address];
+  }
+  
+  /**
+   * Move a relayer's breaker to a new state
+   */
+  transition(address, state, reason) {
+    const record = this.getRecord(address);
+    const previous = record.state;
+    if (previous === state) {
+      return;
+    }
+    
+    record.state = state;
+    record.lastTransitionAt = Date.now();
+    record.probeInFlight = false;
+    if (state === BREAKER_STATES.OPEN) {
+      record.openedAt = Date.now();
+    }
+    if (state === BREAKER_STATES.CLOSED) {
+      record.openedAt = null;
+      record.consecutiveFailures = 0;
+    }
+    
+    console.log(`Relayer ${address} circuit breaker ${previous} -> ${state}${reason ? ` (${reason})` : ''}`);
+    
+    if (this.onStateChange) {
+      this.onStateChange(address, previous, state);
+    }
+  }
+  
+  /**
+   * Get the breaker state, moving an open breaker to half-open once its cooldown has passed
+   * @returns {string} One of BREAKER_STATES
+   */
+  getState(address) {
+    const record = this.getRecord(address);
+    
+    if (record.state === BREAKER_STATES.OPEN && Date.now() - record.openedAt >= this.cooldownMs) {
+      this.transition(address, BREAKER_STATES.HALF_OPEN, 'cooldown elapsed');
+    }
+    
+    return record.state;
+  }
+  
+  /**
+   * Whether the relayer may take new work
+   * A half-open relayer only takes work while its probe slot is free.
+   */
+  isAvailable(address) {
+    const state = this.getState(address);
+    if (state === BREAKER_STATES.CLOSED) {
+      return true;
+    }
+    return state === BREAKER_STATES.HALF_OPEN && !this.getRecord(address).probeInFlight;
+  }
+  
+  /**
+   * Claim the single probe slot of a half-open relayer
+   * @returns {boolean} True if the caller may send the probe transaction
+   */
+  startProbe(address) {
+    const record = this.getRecord(address);
+    if (this.getState(address) !== BREAKER_STATES.HALF_OPEN || record.probeInFlight) {
+      return false;
+    }
+    
+    record.probeInFlight = true;
+    console.log(`Probing half-open relayer ${address} with one transaction`);
+    return true;
+  }
+  
+  /**
+   * Give back a claimed probe slot whose transaction was never sent for reasons unrelated to the relayer
+   */
+  cancelProbe(address) {
+    this.getRecord(address).probeInFlight = false;
+  }
+  
+  /**
+   * Record a mined transaction
+   * @param {string} address The relayer address
+   * @param {number} latencyMs Time from first broadcast to confirmation
+   */
+  recordSuccess(address, latencyMs) {
+    const record = this.getRecord(address);
+    this.pushOutcome(record, { success: true, latencyMs });
+    record.consecutiveFailures = 0;
+    
+    if (record.state !== BREAKER_STATES.CLOSED) {
+      this.transition(address, BREAKER_STATES.CLOSED, 'transaction confirmed');
+    }
+  }
+  
+  /**
+   * Record a failed send or confirmation
+   * @param {string} address The relayer address
+   * @param {string} error The error message
+   * @returns {boolean} True if this failure opened the breaker
+   */
+  recordFailure(address, error) {
+    const record = this.getRecord(address);
+    this.pushOutcome(record, { success: false });
+    record.consecutiveFailures++;
+    record.lastFailure = { error, at: Date.now() };
+    
+    // A failed probe re-opens the breaker for another cooldown
+    if (record.state === BREAKER_STATES.HALF_OPEN) {
+      this.transition(address, BREAKER_STATES.OPEN, `probe failed: ${error}`);
+      return true;
+    }
+    
+    if (record.state === BREAKER_STATES.CLOSED && record.consecutiveFailures >= this.failureThreshold) {
+      this.transition(address, BREAKER_STATES.OPEN, `${record.consecutiveFailures} consecutive failures`);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  pushOutcome(record, outcome) {
+    record.outcomes.push({ ...outcome, at: Date.now() });
+    if (record.outcomes.length > this.windowSize) {
+      record.outcomes.shift();
+    }
+  }
+  
+  /**
+   * Close a relayer's breaker and forget its failures, e.g. after an admin re-enables it
+   */
+  reset(address) {
+    const record = this.getRecord(address);
+    record.outcomes = [];
+    record.lastFailure = null;
+    this.transition(address, BREAKER_STATES.CLOSED, 'reset');
+    record.consecutiveFailures = 0;
+  }
+  
+  /**
+   * Compute the rolling health score of a relayer
+   * @param {string} address The relayer address
+   * @param {BigInt} [balance] The relayer's native balance, if known
+   * @returns {number} Score from 0 (unusable) to 100 (healthy)
+   */
+  getScore(address, balance) {
+    const record = this.getRecord(address);
+    const successes = record.outcomes.filter(outcome => outcome.success);
+    
+    const successRate = record.outcomes.length > 0 ? successes.length / record.outcomes.length : 1;
+    
+    const latencies = successes.filter(outcome => outcome.latencyMs !== undefined).map(outcome => outcome.latencyMs);
+    const avgLatency = latencies.length > 0 ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : 0;
+    const latencyScore = avgLatency <= this.targetLatencyMs ? 1 : this.targetLatencyMs / avgLatency;
+    
+    let balanceScore = 1;
+    if (balance !== undefined && balance !== null && this.minBalance > BigInt(0)) {
+      balanceScore = balance >= this.minBalance ? 1 : Number(balance * BigInt(1000) / this.minBalance) / 1000;
+    }
+    
+    const score = successRate * SCORE_WEIGHTS.successRate +
+      latencyScore * SCORE_WEIGHTS.latency +
+      balanceScore * SCORE_WEIGHTS.balance;
+    
+    return Math.round(score * 100);
+  }
+  
+  /**
+   * Get the health status of a relayer
+   * @param {string} address The relayer address
+   * @param {BigInt} [balance] The relayer's native balance, if known
+   * @returns {Object} Breaker state, score and rolling stats
+   */
+  getStatus(address, balance) {
+    const state = this.getState(address);
+    const record = this.getRecord(address);
+    const successes = record.outcomes.filter(outcome => outcome.success);
+    const latencies = successes.filter(outcome => outcome.latencyMs !== undefined).map(outcome => outcome.latencyMs);
+    
+    return {
+      state,
+      score: this.getScore(address, balance),
+      consecutiveFailures: record.consecutiveFailures,
+      recentOutcomes: record.outcomes.length,
+      successRate: record.outcomes.length > 0 ? successes.length / record.outcomes.length : null,
+      avgConfirmationMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+      openedAt: record.openedAt,
+      halfOpenAt: state === BREAKER_STATES.OPEN ? record.openedAt + this.cooldownMs : null,
+      probeInFlight: record.probeInFlight,
+      lastFailure: record.lastFailure,
+      lastTransitionAt: record.lastTransitionAt
+    };
+  }
+}
+
+RelayerHealth.STATES = BREAKER_STATES;
+
+module.exports = RelayerHealth;
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const RelayerWallet = require('../models/RelayerWallet');
+const keystore = require('../config/keystore');
+const signers = require('../config/signers');
+
+// Wallet index written by scripts/setup-relayers.js
+const RELAYER_WALLETS_FILE = path.join(__dirname, '..', 'important files', 'relayer-wallets.json');
+
+/**
+ * RelayerRegistry stores the relayer pool in MongoDB and unlocks its wallets.
+ * The registry is the only source of relayer keys: the older environment
+ * variables and the setup script's wallet file are imported once, on the
+ * first start with an empty registry, and ignored after that.
+ */
+class RelayerRegistry {
+  constructor(options = {}) {
+    this.maxRelayers = options.maxRelayers || 20;
+  }
+  
+  /**
+   * Collect relayer keys from the legacy configuration
+   * RELAYER_KEYSTORE_n / RELAYER_PRIVATE_KEY_n are numbered from 1, RELAYER_WALLET_n from 0;
+   * the setup script's wallet file is only read when neither is set.
+   * @returns {Array} Key sources for keystore.loadWallet, tagged with where they came from
+   */
+  collectLegacySources() {
+    const sources = [];
+    
+    for (let i = 1; i <= this.maxRelayers; i++) {
+      const keystorePath = process.env[`RELAYER_KEYSTORE_${i}`];
+      const privateKey = process.env[`RELAYER_PRIVATE_KEY_${i}`];
+      if (keystorePath || privateKey) {
+        sources.push({ keystorePath, privateKey, label: `RELAYER_${keystorePath ? 'KEYSTORE' : 'PRIVATE_KEY'}_${i}`, source: 'env' });
+      }
+    }
+    
+    for (let i = 0; i < this.maxRelayers; i++) {
+      const privateKey = process.env[`RELAYER_WALLET_${i}`];
+      if (privateKey) {
+        sources.push({ privateKey, label: `RELAYER_WALLET_${i}`, source: 'env' });
+      }
+    }
+    
+    if (sources.length === 0 && fs.existsSync(RELAYER_WALLETS_FILE)) {
+      const relayerWallets = JSON.parse(fs.readFileSync(RELAYER_WALLETS_FILE, 'utf8'));
+      // Entries written by setup-relayers point at an encrypted keystore; older ones hold the raw key
+      for (const walletInfo of relayerWallets.wallets || []) {
+        sources.push({
+          keystorePath: walletInfo.keystore,
+          privateKey: walletInfo.privateKey,
+          label: `relayer ${walletInfo.index} in relayer-wallets.json`,
+          source: 'json_file'
+        });
+      }
+    }
+    
+    return sources;
+  }
+  
+  /**
+   * Import the legacy relayer configuration into an empty registry
+   * Raw private keys are encrypted with the keystore passphrase before they are stored.
+   * @returns {Promise<number>} Number of wallets imported
+   */
+  async importLegacyRelayers() {
+    const sources = this.collectLegacySources();
+    const registered = await RelayerWallet.countDocuments();
+    
+    if (registered > 0) {
+      if (sources.length > 0) {
+        console.warn(`⚠️ Ignoring ${sources.length} relayer keys in the environment or relayer-wallets.json, the relayer registry already holds ${registered} wallets. Use the /api/relayer/registry endpoints to change the pool.`);
+      }
+      return 0;
+    }
+    
+    if (sources.length === 0) {
+      return 0;
+    }
+    
+    console.log(`Relayer registry is empty, importing ${sources.length} relayer keys from the legacy configuration`);
+    
+    let imported = 0;
+    for (const source of sources.slice(0, this.maxRelayers)) {
+      try {
+        const wallet = await keystore.loadWallet(source);
+        if (await RelayerWallet.exists({ address: wallet.address })) {
+          console.log(`Relayer ${wallet.address} (${source.label}) is already registered, skipping`);
+          continue;
+        }
+        
+        await this.register(wallet, {
+          keystorePath: source.keystorePath,
+          label: source.label,
+          source: source.source
+        });
+        imported++;
+      } catch (error) {
+        console.error(`Failed to import relayer key ${source.label}:`, error.message);
+      }
+    }
+    
+    console.log(`Imported ${imported} relayer wallets into the registry. The RELAYER_* environment variables can now be removed.`);
+    return imported;
+  }
+  
+  /**
+   * Add a wallet to the registry
+   * @param {Object} wallet The unlocked wallet
+   * @param {Object} details Registry fields
+   * @param {string} [details.keystorePath] Keystore file on the server holding the key
+   * @param {string} [details.keystoreJson] Encrypted keystore JSON; a local wallet is encrypted when no key source is given
+   * @param {string} [details.signerKeyId] Key id at the remote signer, for wallets whose key is held there
+   * @returns {Promise<Object>} The registry record
+   */
+  async register(wallet, { keystorePath, keystoreJson, signerKeyId, label, source = 'admin', addedBy, rotatedFrom } = {}) {
+    if (!signerKeyId && !keystorePath && !keystoreJson) {
+      keystoreJson = await keystore.encryptWallet(wallet);
+    }
+    
+    const last = await RelayerWallet.findOne().sort({ index: -1 });
+    const record = await RelayerWallet.create({
+      address: wallet.address,
+      index: last ? last.index + 1 : 0,
+      label,
+      keystorePath: signerKeyId ? undefined : keystorePath || undefined,
+      keystoreJson: signerKeyId || keystorePath ? undefined : keystoreJson,
+      signerKeyId: signerKeyId || undefined,
+      status: 'active',
+      source,
+      addedBy,
+      rotatedFrom
+    });
+    
+    console.log(`Registered relayer ${wallet.address} as #${record.index}${label ? ` (${label})` : ''}`);
+    return record;
+  }
+  
+  /**
+   * Unlock the wallet of a registry record
+   * @param {Object} record The registry record
+   * @param {Object} [provider] Provider to connect the wallet to
+   * @returns {Promise<Object>} The wallet
+   */
+  async unlock(record, provider) {
+    const wallet = await signers.loadSigner({
+      remoteKeyId: record.signerKeyId,
+      keystorePath: record.keystorePath,
+      keystoreJson: record.keystoreJson,
+      label: `relayer #${record.index}`
+    }, provider);
+    
+    if (!wallet) {
+      throw new Error(`Relayer #${record.index} has no keystore or remote signer key`);
+    }
+    if (wallet.address !== record.address) {
+      throw new Error(`Keystore of relayer #${record.index} belongs to ${wallet.address}, expected ${record.address}`);
+    }
+    return wallet;
+  }
+  
+  /**
+   * Unlock every wallet that belongs in the pool (active and draining)
+   * @param {Object} provider Provider to connect the wallets to
+   * @returns {Promise<Array>} { record, wallet } pairs in registry order
+   */
+  async loadPool(provider) {
+    const records = await RelayerWallet.find({ status: { $in: ['active', 'draining'] } }).sort({ index: 1 });
+    const pool = [];
+    
+    for (const record of records) {
+      try {
+        pool.push({ record, wallet: await this.unlock(record, provider) });
+      } catch (error) {
+        console.error(`Failed to unlock relayer #${record.index} (${record.address}):`, error.message);
+      }
+    }
+    
+    return pool;
+  }
+  
+  /**
+   * Find the registry record of a wallet
+   */
+  findByAddress(address) {
+    return RelayerWallet.findOne({ address: ethers.getAddress(address) });
+  }
+  
+  /**
+   * Change the status of a registered wallet
+   * @param {string} address The relayer address
+   * @param {string} status One of RelayerWallet.STATUSES
+   * @param {Object} [fields] Other fields to set
+   * @returns {Promise<Object|null>} The updated record
+   */
+  setStatus(address, status, fields = {}) {
+    return RelayerWallet.findOneAndUpdate(
+      { address },
+      { $set: { ...fields, status, updatedAt: new Date() } },
+      { new: true }
+    );
+  }
+  
+  /**
+   * List the registry without key material
+   */
+  list() {
+    return RelayerWallet.find({}, { keystoreJson: 0 }).sort({ index: 1 }).lean();
+  }
+}
+
+module.exports = RelayerRegistry;
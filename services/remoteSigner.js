@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+
+/**
+ * Turn BigInt values into decimal strings for JSON bodies
+ */
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * RemoteSigner is an ethers signer whose key lives in a separate signing
+ * process or HSM gateway. It talks a small JSON-over-HTTP protocol, with an
+ * optional bearer token and errors returned as { error } with a non-2xx status:
+ *
+ *   GET  /keys/:keyId                   -> { address }
+ *   POST /keys/:keyId/sign-transaction  { unsignedTransaction } -> { signedTransaction }
+ *   POST /keys/:keyId/sign-message      { message } -> { signature }
+ *   POST /keys/:keyId/sign-typed-data   { domain, types, value } -> { signature }
+ *
+ * Transactions and messages are sent as 0x-prefixed hex. Every signature that
+ * comes back is checked against the key's address and the request before use.
+ * scripts/signer-server.js serves the same protocol for development and tests.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} address Address of the remote key
+   * @param {string} keyId Key id at the remote signer
+   * @param {Object} options Remote signer url, bearer token, timeoutMs and label
+   * @param {Object} [provider] Provider used to populate and broadcast transactions
+   */
+  constructor(address, keyId, options, provider) {
+    super(provider);
+    this.address = address;
+    this.keyId = keyId;
+    this.options = options;
+  }
+  
+  /**
+   * Look up a remote key and create a signer for it
+   * @returns {Promise<RemoteSigner>} The signer, with the key's address
+   */
+  static async connectToKey(keyId, options, provider) {
+    if (!options.url) {
+      throw new Error(`REMOTE_SIGNER_URL is required for remote key ${keyId}`);
+    }
+    
+    const signer = new RemoteSigner(null, keyId, options, provider);
+    const { address } = await signer.request('GET', '');
+    signer.address = ethers.getAddress(address);
+    
+    console.log(`Using remote signer key ${keyId} for ${options.label || 'wallet'}: ${signer.address}`);
+    return signer;
+  }
+  
+  /**
+   * Send a request for this key to the remote signer
+   * @param {string} method HTTP method
+   * @param {string} action Path below the key, e.g. '/sign-message'
+   * @param {Object} [body] JSON body
+   * @returns {Promise<Object>} The JSON response
+   */
+  async request(method, action, body) {
+    const url = `${this.options.url.replace(/\/+$/, '')}/keys/${encodeURIComponent(this.keyId)}${action}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.options.token) {
+      headers.Authorization = `Bearer ${this.options.token}`;
+    }
+    
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body, jsonReplacer) : undefined,
+        signal: AbortSignal.timeout(this.options.timeoutMs || 10000)
+      });
+    } catch (error) {
+      throw new Error(`Remote signer unreachable for key ${this.keyId}: ${error.message}`);
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Remote signer refused ${action || 'key lookup'} for key ${this.keyId}: ${data.error || `HTTP ${response.status}`}`);
+    }
+    return data;
+  }
+  
+  async getAddress() {
+    return this.address;
+  }
+  
+  connect(provider) {
+    return new RemoteSigner(this.address, this.keyId, this.options, provider);
+  }
+  
+  /**
+   * Sign a populated transaction with the remote key
+   */
+  async signTransaction(tx) {
+    tx = ethers.copyRequest(tx);
+    
+    // Resolve ENS names and address-likes the same way ethers.Wallet does
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+    if (to != null) {
+      tx.to = to;
+    }
+    if (from != null && ethers.getAddress(from) !== this.address) {
+      throw new Error(`Transaction from ${from} cannot be signed by remote key ${this.keyId} (${this.address})`);
+    }
+    delete tx.from;
+    
+    const unsigned = ethers.Transaction.from(tx);
+    const { signedTransaction } = await this.request('POST', '/sign-transaction', {
+      unsignedTransaction: unsigned.unsignedSerialized
+    });
+    
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.unsignedHash !== unsigned.unsignedHash || signed.from !== this.address) {
+      throw new Error(`Remote signer returned a transaction that does not match the request for key ${this.keyId}`);
+    }
+    return signed.serialized;
+  }
+  
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const { signature } = await this.request('POST', '/sign-message', { message: ethers.hexlify(bytes) });
+    
+    if (ethers.verifyMessage(bytes, signature) !== this.address) {
+      throw new Error(`Remote signer returned a message signature from another key than ${this.keyId}`);
+    }
+    return signature;
+  }
+  
+  async signTypedData(domain, types, value) {
+    // ENS names in the domain or value are resolved here, the remote signer gets plain addresses
+    const populated = await ethers.TypedDataEncoder.resolveNames(domain, types, value, name => ethers.resolveAddress(name, this.provider));
+    const { signature } = await this.request('POST', '/sign-typed-data', {
+      domain: populated.domain,
+      types,
+      value: populated.value
+    });
+    
+    if (ethers.verifyTypedData(populated.domain, types, populated.value, signature) !== this.address) {
+      throw new Error(`Remote signer returned a typed data signature from another key than ${this.keyId}`);
+    }
+    return signature;
+  }
+}
+
+module.exports = RemoteSigner;
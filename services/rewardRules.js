@@ -0,0 +1,368 @@
+const { ethers } = require('ethers');
+const TokenABI = require('../TokenABI.json');
+const RewardRuleSet = require('../models/RewardRuleSet');
+
+// Decimal places a rule set may keep; amounts are also passed to parseUnits as plain decimal strings
+const MAX_PRECISION = 6;
+
+// Rules used when the database holds no rule set yet: the old 1 token per coin
+const DEFAULT_RULES = {
+  name: 'Default',
+  description: '1 token per coin, no multipliers',
+  baseRate: 1,
+  multiplierEvents: [],
+  trackMultipliers: [],
+  minPerClaim: 0,
+  maxPerClaim: null,
+  precision: 4
+};
+
+// Fields an admin may set on a draft
+const EDITABLE_FIELDS = ['name', 'description', 'baseRate', 'multiplierEvents', 'trackMultipliers', 'minPerClaim', 'maxPerClaim', 'precision'];
+
+/**
+ * RewardRulesService converts collected coins into token rewards using the
+ * active, versioned rule set: a base rate, time-boxed multiplier events,
+ * per-track multipliers and per-claim limits, rounded down to the precision
+ * of the rule set (never more than the token contract's decimals).
+ */
+class RewardRulesService {
+  constructor(config) {
+    this.config = config;
+    this.activeRuleSet = null;
+    this.tokenDecimals = 18;
+    this.initialized = false;
+  }
+  
+  /**
+   * Initialize the service: load the active rule set and read the token decimals
+   */
+  async initialize(provider, tokenContractAddress) {
+    try {
+      await this.loadActiveRuleSet();
+      
+      try {
+        const tokenContract = new ethers.Contract(tokenContractAddress, TokenABI, provider);
+        this.tokenDecimals = Number(await tokenContract.decimals());
+      } catch (error) {
+        console.warn(`⚠️ Could not read token decimals, assuming ${this.tokenDecimals}:`, error.message);
+      }
+      
+      this.initialized = true;
+      console.log(`Reward rules initialized with rule set v${this.activeRuleSet.version} (${this.activeRuleSet.name})`);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize reward rules:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Load the active rule set, creating the default one on first start
+   * @returns {Promise<Object>} The active rule set
+   */
+  async loadActiveRuleSet() {
+    let ruleSet = await RewardRuleSet.findOne({ status: 'active' }).sort({ version: -1 });
+    
+    if (!ruleSet) {
+      const existing = await RewardRuleSet.countDocuments();
+      if (existing > 0) {
+        throw new Error('No active reward rule set, activate one through /api/admin/rewards/rules');
+      }
+      
+      ruleSet = await RewardRuleSet.create({
+        ...DEFAULT_RULES,
+        version: 1,
+        status: 'active',
+        createdBy: 'system',
+        activatedBy: 'system',
+        activatedAt: new Date()
+      });
+      console.log('Created default reward rule set v1 (1 token per coin)');
+    }
+    
+    this.activeRuleSet = ruleSet;
+    return ruleSet;
+  }
+  
+  /**
+   * Get the active rule set
+   * It is read on every call, so a version activated through another instance applies at once.
+   */
+  async getActiveRuleSet() {
+    return this.loadActiveRuleSet();
+  }
+  
+  /**
+   * Get a rule set by version
+   */
+  async getRuleSet(version) {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error('Invalid rule set version');
+    }
+    
+    const ruleSet = await RewardRuleSet.findOne({ version: number });
+    if (!ruleSet) {
+      throw new Error('Rule set not found');
+    }
+    return ruleSet;
+  }
+  
+  /**
+   * List all rule sets, newest version first
+   */
+  list() {
+    return RewardRuleSet.find().sort({ version: -1 }).lean();
+  }
+  
+  /**
+   * Calculate the token reward for a claim
+   * @param {Object} claim The claim
+   * @param {number} claim.coinsCollected Coins collected in the run
+   * @param {string} [claim.trackId] Track the coins were collected on
+   * @param {Date} [claim.at] Time of the claim, defaults to now
+   * @param {Object} [ruleSet] Rule set to use, defaults to the active one
+   * @returns {Promise<Object>} The reward amount and how it was reached
+   */
+  async calculateReward({ coinsCollected, trackId, at = new Date() }, ruleSet) {
+    const rules = ruleSet || await this.getActiveRuleSet();
+    const claimTime = new Date(at).getTime();
+    
+    const activeEvents = (rules.multiplierEvents || []).filter(event =>
+      new Date(event.startsAt).getTime() <= claimTime && claimTime < new Date(event.endsAt).getTime()
+    );
+    const track = trackId ? (rules.trackMultipliers || []).find(entry => entry.trackId === trackId) : null;
+    
+    const eventMultiplier = activeEvents.reduce((product, event) => product * event.multiplier, 1);
+    const trackMultiplier = track ? track.multiplier : 1;
+    const multiplier = eventMultiplier * trackMultiplier;
+    
+    const baseAmount = Number((coinsCollected * rules.baseRate).toPrecision(15));
+    let amount = this.roundDown(baseAmount * multiplier, rules.precision);
+    
+    let capped = false;
+    if (rules.maxPerClaim !== null && rules.maxPerClaim !== undefined && amount > rules.maxPerClaim) {
+      amount = this.roundDown(rules.maxPerClaim, rules.precision);
+      capped = true;
+    }
+    
+    let eligible = amount > 0;
+    let reason = eligible ? null : 'Reward rounds down to zero';
+    if (eligible && amount < rules.minPerClaim) {
+      eligible = false;
+      reason = `Reward of ${amount} is below the minimum of ${rules.minPerClaim} per claim`;
+    }
+    
+    return {
+      eligible,
+      reason,
+      amount: eligible ? amount : 0,
+      coinsCollected,
+      trackId: trackId || null,
+      baseRate: rules.baseRate,
+      baseAmount,
+      multiplier,
+      appliedMultipliers: [
+        ...activeEvents.map(event => ({ type: 'event', name: event.name, multiplier: event.multiplier, endsAt: event.endsAt })),
+        ...(track ? [{ type: 'track', trackId: track.trackId, multiplier: track.multiplier }] : [])
+      ],
+      capped,
+      ruleSetVersion: rules.version
+    };
+  }
+  
+  /**
+   * Round an amount down to the rule set precision, capped by the token decimals
+   */
+  roundDown(amount, precision) {
+    const places = Math.min(precision, this.tokenDecimals, MAX_PRECISION);
+    const factor = 10 ** places;
+    // toPrecision drops float noise such as 0.1 * 3 = 0.30000000000000004 before flooring
+    return Math.floor(Number((amount * factor).toPrecision(15))) / factor;
+  }
+  
+  /**
+   * Validate rule set fields
+   * @param {Object} rules Rule set fields
+   * @returns {string[]} Validation errors, empty when the rules are valid
+   */
+  validate(rules) {
+    const errors = [];
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    
+    if (!rules.name || typeof rules.name !== 'string') {
+      errors.push('name is required');
+    }
+    if (!isPositive(rules.baseRate)) {
+      errors.push('baseRate must be a positive number');
+    }
+    
+    if (!Array.isArray(rules.multiplierEvents)) {
+      errors.push('multiplierEvents must be an array');
+    } else {
+      rules.multiplierEvents.forEach((event, i) => {
+        const startsAt = new Date(event.startsAt);
+        const endsAt = new Date(event.endsAt);
+        if (!event.name) {
+          errors.push(`multiplierEvents[${i}].name is required`);
+        }
+        if (!isPositive(event.multiplier)) {
+          errors.push(`multiplierEvents[${i}].multiplier must be a positive number`);
+        }
+        if (isNaN(startsAt.getTime()) || isNaN(endsAt.getTime()) || startsAt >= endsAt) {
+          errors.push(`multiplierEvents[${i}] needs a startsAt before its endsAt`);
+        }
+      });
+    }
+    
+    if (!Array.isArray(rules.trackMultipliers)) {
+      errors.push('trackMultipliers must be an array');
+    } else {
+      const trackIds = new Set();
+      rules.trackMultipliers.forEach((entry, i) => {
+        if (!entry.trackId || typeof entry.trackId !== 'string') {
+          errors.push(`trackMultipliers[${i}].trackId is required`);
+        } else if (trackIds.has(entry.trackId)) {
+          errors.push(`trackMultipliers[${i}] repeats track ${entry.trackId}`);
+        }
+        trackIds.add(entry.trackId);
+        if (!isPositive(entry.multiplier)) {
+          errors.push(`trackMultipliers[${i}].multiplier must be a positive number`);
+        }
+      });
+    }
+    
+    if (typeof rules.minPerClaim !== 'number' || !Number.isFinite(rules.minPerClaim) || rules.minPerClaim < 0) {
+      errors.push('minPerClaim must be zero or a positive number');
+    }
+    if (rules.maxPerClaim !== null && rules.maxPerClaim !== undefined) {
+      if (!isPositive(rules.maxPerClaim)) {
+        errors.push('maxPerClaim must be a positive number or null');
+      } else if (rules.maxPerClaim < rules.minPerClaim) {
+        errors.push('maxPerClaim must not be below minPerClaim');
+      }
+    }
+    if (!Number.isInteger(rules.precision) || rules.precision < 0 || rules.precision > Math.min(MAX_PRECISION, this.tokenDecimals)) {
+      errors.push(`precision must be an integer from 0 to ${Math.min(MAX_PRECISION, this.tokenDecimals)}`);
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Pick the editable fields out of a request body
+   */
+  pickEditable(fields) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] !== undefined) {
+        picked[field] = fields[field];
+      }
+    }
+    return picked;
+  }
+  
+  /**
+   * Create a draft rule set, starting from a copy of an existing version or the active one
+   * @param {Object} fields Rule set fields to set on the draft
+   * @param {Object} [options]
+   * @param {number} [options.basedOn] Version to copy the rules from
+   * @param {string} [options.createdBy] Admin creating the draft
+   * @returns {Promise<Object>} The draft
+   */
+  async createDraft(fields, { basedOn, createdBy } = {}) {
+    const base = basedOn !== undefined ? await this.getRuleSet(basedOn) : await this.getActiveRuleSet();
+    const rules = {
+      ...this.pickEditable(base.toObject()),
+      ...this.pickEditable(fields)
+    };
+    
+    const errors = this.validate(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule set: ${errors.join('; ')}`);
+    }
+    
+    const last = await RewardRuleSet.findOne().sort({ version: -1 });
+    const draft = await RewardRuleSet.create({
+      ...rules,
+      version: last ? last.version + 1 : 1,
+      status: 'draft',
+      createdBy
+    });
+    
+    console.log(`Created reward rule set draft v${draft.version} (${draft.name})${createdBy ? ` by ${createdBy}` : ''}`);
+    return draft;
+  }
+  
+  /**
+   * Edit a draft; active and archived versions are immutable
+   * @returns {Promise<Object>} The updated draft
+   */
+  async updateDraft(version, fields) {
+    const draft = await this.getRuleSet(version);
+    if (draft.status !== 'draft') {
+      throw new Error(`Rule set v${draft.version} is ${draft.status} and can no longer be edited, create a new draft instead`);
+    }
+    
+    const rules = {
+      ...this.pickEditable(draft.toObject()),
+      ...this.pickEditable(fields)
+    };
+    
+    const errors = this.validate(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule set: ${errors.join('; ')}`);
+    }
+    
+    draft.set({ ...rules, updatedAt: new Date() });
+    await draft.save();
+    return draft;
+  }
+  
+  /**
+   * Make a draft the active rule set, archiving the previous one
+   * @returns {Promise<Object>} The newly active rule set
+   */
+  async activate(version, { activatedBy } = {}) {
+    const draft = await this.getRuleSet(version);
+    if (draft.status !== 'draft') {
+      throw new Error(`Rule set v${draft.version} is ${draft.status}, only drafts can be activated`);
+    }
+    
+    const errors = this.validate(draft.toObject());
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule set: ${errors.join('; ')}`);
+    }
+    
+    // Activated before the previous one is archived, so a claim in between still finds an active rule set;
+    // the newest active version wins
+    const now = new Date();
+    draft.set({ status: 'active', activatedBy, activatedAt: now, updatedAt: now });
+    await draft.save();
+    
+    await RewardRuleSet.updateMany(
+      { status: 'active', _id: { $ne: draft._id } },
+      { $set: { status: 'archived', archivedAt: now, updatedAt: now } }
+    );
+    
+    const previous = this.activeRuleSet;
+    this.activeRuleSet = draft;
+    console.log(`Reward rule set v${draft.version} (${draft.name}) is now active${previous ? `, replacing v${previous.version}` : ''}`);
+    return draft;
+  }
+  
+  /**
+   * Get reward rules status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      tokenDecimals: this.tokenDecimals,
+      activeVersion: this.activeRuleSet ? this.activeRuleSet.version : null,
+      activeName: this.activeRuleSet ? this.activeRuleSet.name : null
+    };
+  }
+}
+
+module.exports = RewardRulesService;
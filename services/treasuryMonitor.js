@@ -0,0 +1,237 @@
+const { ethers } = require('ethers');
+
+/**
+ * TreasuryMonitor keeps the treasury token balance and the allowance of every
+ * spender in a cache. Spenders whose allowance runs low are approved again, and
+ * payouts are paused while the treasury cannot cover the queued and in-flight
+ * transfers, then resumed once it has been refilled.
+ */
+class TreasuryMonitor {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.relayerSystem = null;
+    this.isRunning = false;
+    this.initialized = false;
+    this.checkIntervalId = null;
+    this.recheckTimeoutId = null;
+    this.lastCheck = null;
+    
+    // Cached on-chain state
+    this.balance = null;
+    this.allowances = {};
+    
+    // Stats tracking
+    this.stats = {
+      checks: 0,
+      reapprovals: 0,
+      pauses: 0,
+      resumes: 0,
+      lastError: null
+    };
+  }
+  
+  /**
+   * Initialize the monitor with provider and relayer system
+   */
+  async initialize(provider, relayerSystem) {
+    try {
+      this.provider = provider;
+      this.relayerSystem = relayerSystem;
+      
+      if (!relayerSystem.tokenContract || !relayerSystem.treasuryWallet) {
+        throw new Error('Token contract or treasury wallet not available for treasury monitoring');
+      }
+      
+      // Relayers pause payouts themselves when the cached balance runs out between checks
+      relayerSystem.onPayoutPause = (source) => {
+        if (source === 'treasury') {
+          this.stats.pauses++;
+          this.scheduleRecheck();
+        }
+      };
+      
+      // Re-approvals can take a while, so startup does not wait for the first check
+      this.check().catch(error => {
+        console.error('Error during initial treasury check:', error);
+      });
+      
+      this.setupPeriodicChecks();
+      
+      this.initialized = true;
+      console.log('Treasury monitor initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize treasury monitor:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic treasury checks
+   */
+  setupPeriodicChecks() {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId);
+    }
+    
+    this.checkIntervalId = setInterval(async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        console.error('Error during periodic treasury check:', error);
+      }
+    }, this.config.treasury.monitorInterval);
+    
+    console.log(`Treasury balance and allowances will be checked every ${this.config.treasury.monitorInterval / 1000} seconds`);
+  }
+  
+  /**
+   * Check again soon while payouts are paused, so they resume shortly after a refill
+   */
+  scheduleRecheck() {
+    if (this.recheckTimeoutId) {
+      return;
+    }
+    
+    this.recheckTimeoutId = setTimeout(async () => {
+      this.recheckTimeoutId = null;
+      try {
+        await this.check();
+      } catch (error) {
+        console.error('Error during treasury recheck:', error);
+      }
+    }, this.config.treasury.pausedCheckInterval);
+  }
+  
+  /**
+   * Refresh the treasury balance and allowances, pause or resume payouts and re-approve low allowances
+   * @returns {Promise<Object>} The monitor status after the check
+   */
+  async check() {
+    if (this.isRunning) {
+      console.log('Treasury check already in progress, skipping');
+      return this.getStatus();
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      const { tokenContract, treasuryWallet } = this.relayerSystem;
+      const spenders = this.relayerSystem.relayers.map(relayer => relayer.address);
+      
+      const [balance, ...allowances] = await Promise.all([
+        tokenContract.balanceOf(treasuryWallet.address),
+        ...spenders.map(spender => tokenContract.allowance(treasuryWallet.address, spender))
+      ]);
+      
+      this.balance = balance;
+      this.allowances = {};
+      spenders.forEach((spender, i) => {
+        this.allowances[spender] = allowances[i];
+      });
+      this.relayerSystem.treasuryBalance = balance;
+      
+      this.updatePayoutPause(balance);
+      
+      // Approve again through the same path as startup; it only touches spenders below the minimum
+      const lowSpenders = spenders.filter(spender => this.allowances[spender] < this.relayerSystem.minAllowance);
+      if (lowSpenders.length > 0) {
+        await this.reapprove(lowSpenders);
+      }
+      
+      this.stats.checks++;
+      this.stats.lastError = null;
+      this.lastCheck = Date.now();
+      return this.getStatus();
+    } catch (error) {
+      this.stats.lastError = error.message;
+      throw error;
+    } finally {
+      this.isRunning = false;
+      
+      if (this.relayerSystem.payoutPauses.treasury) {
+        this.scheduleRecheck();
+      }
+    }
+  }
+  
+  /**
+   * Pause payouts when the treasury cannot cover everything queued and in flight, resume them when it can
+   * @param {BigInt} balance The treasury token balance
+   */
+  updatePayoutPause(balance) {
+    const { queued, inFlight } = this.relayerSystem.getPayoutTotals();
+    const required = queued + inFlight;
+    
+    if (balance < required) {
+      this.relayerSystem.pausePayouts('treasury', `Treasury balance ${this.formatTokenAmount(balance)} does not cover ${this.formatTokenAmount(required)} queued and in-flight payouts, refill it to resume`);
+    } else if (this.relayerSystem.resumePayouts('treasury')) {
+      this.stats.resumes++;
+      console.log(`Treasury balance ${this.formatTokenAmount(balance)} covers ${this.formatTokenAmount(required)} queued and in-flight payouts again`);
+    }
+  }
+  
+  /**
+   * Approve spenders whose allowance fell below the minimum
+   * @param {string[]} spenders Addresses with a low allowance
+   */
+  async reapprove(spenders) {
+    console.warn(`⚠️ Treasury allowance below ${this.formatTokenAmount(this.relayerSystem.minAllowance)} for ${spenders.join(', ')}, approving again`);
+    
+    const approved = this.relayerSystem.multiRelayerEnabled ?
+      await this.relayerSystem.ensureTokenApproval() :
+      await this.relayerSystem.ensureOwnerApproval();
+    
+    if (!approved) {
+      throw new Error(`Failed to re-approve treasury allowance for ${spenders.join(', ')}`);
+    }
+    
+    const { tokenContract, treasuryWallet } = this.relayerSystem;
+    for (const spender of spenders) {
+      this.allowances[spender] = await tokenContract.allowance(treasuryWallet.address, spender);
+    }
+    this.stats.reapprovals += spenders.length;
+  }
+  
+  /**
+   * Format an amount in the token's base units using the contract's decimals
+   */
+  formatTokenAmount(amount) {
+    return ethers.formatUnits(amount, this.relayerSystem ? this.relayerSystem.tokenDecimals : 18);
+  }
+  
+  /**
+   * Get treasury monitor status
+   * @returns {Object} Cached balance and allowances, payout coverage and stats
+   */
+  getStatus() {
+    const totals = this.relayerSystem ? this.relayerSystem.getPayoutTotals() : { queued: BigInt(0), inFlight: BigInt(0) };
+    const minAllowance = this.relayerSystem ? this.relayerSystem.minAllowance : null;
+    
+    return {
+      initialized: this.initialized,
+      isRunning: this.isRunning,
+      lastCheck: this.lastCheck,
+      treasuryAddress: this.relayerSystem?.treasuryWallet?.address || null,
+      balance: this.balance !== null ? this.formatTokenAmount(this.balance) : null,
+      // Last checked balance less the payouts confirmed since
+      estimatedBalance: this.relayerSystem && this.relayerSystem.treasuryBalance !== null ? this.formatTokenAmount(this.relayerSystem.treasuryBalance) : null,
+      payouts: {
+        queued: this.formatTokenAmount(totals.queued),
+        inFlight: this.formatTokenAmount(totals.inFlight),
+        paused: this.relayerSystem ? this.relayerSystem.isPayoutPaused() : false,
+        pauses: this.relayerSystem ? this.relayerSystem.payoutPauses : {}
+      },
+      minAllowance: minAllowance !== null ? this.formatTokenAmount(minAllowance) : null,
+      allowances: Object.entries(this.allowances).map(([spender, allowance]) => ({
+        spender,
+        allowance: this.formatTokenAmount(allowance),
+        low: minAllowance !== null && allowance < minAllowance
+      })),
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = TreasuryMonitor;
@@ -0,0 +1,283 @@
+const { ethers } = require('ethers');
+const TokenABI = require('../TokenABI.json');
+const signers = require('../config/signers');
+
+// Payout pause source while the contract treasury and the treasury wallet disagree
+const PAUSE_SOURCE = 'treasury-change';
+
+/**
+ * TreasuryWatcher follows the token contract's TreasuryUpdated and
+ * OwnershipTransferred events. When the contract treasury changes, payouts are
+ * paused at once so no transferFrom is sent against a stale treasury. They are
+ * resumed only after the treasury wallet matches the contract treasury and every
+ * spender has an allowance from it; until then an admin alert says what to do.
+ * The contract is also read periodically in case an event was missed.
+ */
+class TreasuryWatcher {
+  constructor(config) {
+    this.config = config;
+    this.provider = null;
+    this.relayerSystem = null;
+    this.contract = null;
+    this.isRunning = false;
+    this.initialized = false;
+    this.checkIntervalId = null;
+    this.lastCheck = null;
+    
+    // Last read on-chain state
+    this.contractTreasury = null;
+    this.contractOwner = null;
+    
+    // Open admin alerts by type
+    this.alerts = {};
+    
+    // Stats tracking
+    this.stats = {
+      checks: 0,
+      treasuryUpdates: 0,
+      ownershipTransfers: 0,
+      holds: 0,
+      switches: 0,
+      lastError: null
+    };
+  }
+  
+  /**
+   * Initialize the watcher with provider and relayer system
+   */
+  async initialize(provider, relayerSystem) {
+    try {
+      this.provider = provider;
+      this.relayerSystem = relayerSystem;
+      
+      if (!relayerSystem.tokenAddress || !relayerSystem.treasuryWallet) {
+        throw new Error('Token contract or treasury wallet not available for treasury watching');
+      }
+      
+      this.contract = new ethers.Contract(relayerSystem.tokenAddress, TokenABI, provider);
+      
+      await this.contract.on('TreasuryUpdated', (oldTreasury, newTreasury) => {
+        this.handleTreasuryUpdated(oldTreasury, newTreasury).catch(error => {
+          console.error('Error handling TreasuryUpdated event:', error);
+        });
+      });
+      
+      await this.contract.on('OwnershipTransferred', (previousOwner, newOwner) => {
+        this.handleOwnershipTransferred(previousOwner, newOwner).catch(error => {
+          console.error('Error handling OwnershipTransferred event:', error);
+        });
+      });
+      
+      // A treasury changed while the backend was down is caught before the first payout
+      await this.check();
+      
+      this.setupPeriodicChecks();
+      
+      this.initialized = true;
+      console.log('Treasury watcher initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize treasury watcher:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Setup periodic contract checks, a fallback for missed events
+   */
+  setupPeriodicChecks() {
+    if (this.checkIntervalId) {
+      clearInterval(this.checkIntervalId);
+    }
+    
+    this.checkIntervalId = setInterval(async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        console.error('Error during periodic treasury contract check:', error);
+      }
+    }, this.config.treasury.watchInterval);
+    
+    console.log(`Contract treasury and owner will be checked every ${this.config.treasury.watchInterval / 1000} seconds`);
+  }
+  
+  /**
+   * Pause payouts as soon as the contract treasury changes, then verify the new treasury
+   */
+  async handleTreasuryUpdated(oldTreasury, newTreasury) {
+    this.stats.treasuryUpdates++;
+    console.warn(`⚠️ TreasuryUpdated: contract treasury changed from ${oldTreasury} to ${newTreasury}`);
+    
+    this.relayerSystem.pausePayouts(PAUSE_SOURCE, `Contract treasury changed to ${newTreasury}, verifying the treasury wallet`);
+    this.contractTreasury = newTreasury;
+    
+    return this.check();
+  }
+  
+  /**
+   * Alert when the owner wallet no longer owns the contract, and verify the treasury again
+   */
+  async handleOwnershipTransferred(previousOwner, newOwner) {
+    this.stats.ownershipTransfers++;
+    console.warn(`⚠️ OwnershipTransferred: contract owner changed from ${previousOwner} to ${newOwner}`);
+    this.contractOwner = newOwner;
+    
+    return this.check();
+  }
+  
+  /**
+   * Compare the contract treasury and owner with the configured wallets
+   * Payouts are held while the treasury wallet is stale or lacks approvals, and resumed once it is verified.
+   * @returns {Promise<Object>} The watcher status after the check
+   */
+  async check() {
+    if (this.isRunning) {
+      return this.getStatus();
+    }
+    
+    this.isRunning = true;
+    
+    try {
+      const [contractTreasury, contractOwner] = await Promise.all([
+        this.contract.gameTreasury(),
+        this.contract.owner()
+      ]);
+      this.contractTreasury = contractTreasury;
+      this.contractOwner = contractOwner;
+      
+      const { ownerWallet, treasuryWallet } = this.relayerSystem;
+      
+      // Payouts do not need ownership, but a new owner can change the treasury at any time
+      if (contractOwner.toLowerCase() !== ownerWallet.address.toLowerCase()) {
+        this.raiseAlert('owner-changed', `Contract owner is ${contractOwner}, not the configured owner wallet ${ownerWallet.address}. Treasury changes by the new owner will pause payouts.`);
+      } else {
+        this.resolveAlert('owner-changed');
+      }
+      
+      if (contractTreasury.toLowerCase() !== treasuryWallet.address.toLowerCase()) {
+        this.hold('treasury-mismatch', `Contract treasury is ${contractTreasury} but payouts are drawn from ${treasuryWallet.address}. Switch to the new treasury wallet with POST /api/relayer/treasury/switch, or set the contract treasury back.`);
+      } else {
+        this.resolveAlert('treasury-mismatch');
+        if (this.relayerSystem.payoutPauses[PAUSE_SOURCE]) {
+          await this.verifyApprovals();
+        }
+      }
+      
+      this.stats.checks++;
+      this.stats.lastError = null;
+      this.lastCheck = Date.now();
+      return this.getStatus();
+    } catch (error) {
+      this.stats.lastError = error.message;
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+  
+  /**
+   * Resume payouts once every spender has an allowance from the treasury, approving where it can
+   */
+  async verifyApprovals() {
+    const { tokenContract, treasuryWallet, minAllowance } = this.relayerSystem;
+    const spenders = this.relayerSystem.relayers.map(relayer => relayer.address);
+    
+    const allowances = await Promise.all(spenders.map(spender => tokenContract.allowance(treasuryWallet.address, spender)));
+    if (allowances.some(allowance => allowance < minAllowance)) {
+      const approved = this.relayerSystem.multiRelayerEnabled ?
+        await this.relayerSystem.ensureTokenApproval() :
+        await this.relayerSystem.ensureOwnerApproval();
+      
+      if (!approved) {
+        this.hold('treasury-approvals', `Treasury ${treasuryWallet.address} could not approve the relayers, check its gas balance and run POST /api/relayer/treasury/verify`);
+        return;
+      }
+    }
+    
+    this.resolveAlert('treasury-approvals');
+    if (this.relayerSystem.resumePayouts(PAUSE_SOURCE)) {
+      console.log(`Treasury ${treasuryWallet.address} verified against the contract, payouts resumed`);
+    }
+  }
+  
+  /**
+   * Hold payouts with an admin alert
+   */
+  hold(type, message) {
+    if (!this.relayerSystem.payoutPauses[PAUSE_SOURCE] || !this.alerts[type]) {
+      this.stats.holds++;
+    }
+    this.relayerSystem.pausePayouts(PAUSE_SOURCE, message);
+    this.raiseAlert(type, message);
+  }
+  
+  raiseAlert(type, message) {
+    if (!this.alerts[type] || this.alerts[type].message !== message) {
+      console.error(`🚨 TREASURY ALERT (${type}): ${message}`);
+    }
+    this.alerts[type] = { type, message, since: this.alerts[type] ? this.alerts[type].since : Date.now() };
+  }
+  
+  resolveAlert(type) {
+    if (this.alerts[type]) {
+      console.log(`Treasury alert ${type} resolved`);
+      delete this.alerts[type];
+    }
+  }
+  
+  /**
+   * Switch payouts to the wallet that is now the contract treasury
+   * @param {Object} source Key source of the new treasury, as for signers.loadSigner
+   * @param {Object} options The acting admin
+   * @returns {Promise<Object>} The previous treasury address and the watcher status
+   */
+  async switchTreasury({ keystorePath, keystoreJson, remoteKeyId }, { switchedBy } = {}) {
+    const wallet = await signers.loadSigner({ remoteKeyId, keystorePath, keystoreJson, label: 'new treasury' }, this.provider);
+    if (!wallet) {
+      throw new Error('One of keystorePath, keystoreJson or remoteKeyId is required');
+    }
+    
+    const contractTreasury = await this.contract.gameTreasury();
+    if (wallet.address.toLowerCase() !== contractTreasury.toLowerCase()) {
+      throw new Error(`Wallet ${wallet.address} is not the contract treasury ${contractTreasury}`);
+    }
+    
+    // Nothing is paid out while the spenders are approved from the new treasury
+    this.relayerSystem.pausePayouts(PAUSE_SOURCE, `Switching the treasury wallet to ${wallet.address}`);
+    const previousTreasury = await this.relayerSystem.switchTreasuryWallet(wallet);
+    this.stats.switches++;
+    console.log(`Treasury wallet switched from ${previousTreasury} to ${wallet.address}${switchedBy ? ` by ${switchedBy}` : ''}`);
+    
+    // Refresh the treasury monitor's balance for the new wallet
+    if (global.treasuryMonitor && global.treasuryMonitor.initialized) {
+      global.treasuryMonitor.check().catch(error => {
+        console.error('Error checking the new treasury:', error);
+      });
+    }
+    
+    const status = await this.check();
+    return { previousTreasury, ...status };
+  }
+  
+  /**
+   * Get treasury watcher status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      isRunning: this.isRunning,
+      lastCheck: this.lastCheck,
+      contractTreasury: this.contractTreasury,
+      treasuryWallet: this.relayerSystem?.treasuryWallet?.address || null,
+      contractOwner: this.contractOwner,
+      ownerWallet: this.relayerSystem?.ownerWallet?.address || null,
+      paused: this.relayerSystem ? Boolean(this.relayerSystem.payoutPauses[PAUSE_SOURCE]) : false,
+      alerts: Object.values(this.alerts),
+      stats: this.stats
+    };
+  }
+}
+
+TreasuryWatcher.PAUSE_SOURCE = PAUSE_SOURCE;
+
+module.exports = TreasuryWatcher;
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Leaderboard = require('../models/Leaderboard');
+const UsernameChange = require('../models/UsernameChange');
+
+// Error codes returned when a username is refused
+const USERNAME_CODES = {
+  invalid: 'USERNAME_INVALID',
+  reserved: 'USERNAME_RESERVED',
+  blocked: 'USERNAME_NOT_ALLOWED',
+  taken: 'USERNAME_TAKEN',
+  unchanged: 'USERNAME_UNCHANGED',
+  cooldown: 'RENAME_COOLDOWN',
+  notFound: 'PLAYER_NOT_FOUND'
+};
+
+// Letters, digits, and single _ or - between them
+const USERNAME_PATTERN = /^[A-Za-z0-9]+(?:[_-][A-Za-z0-9]+)*$/;
+
+// Names only the game may use, matched against the whole name
+const RESERVED_NAMES = [
+  'admin', 'administrator', 'moderator', 'mod', 'staff', 'support', 'system', 'official',
+  'nadracer', 'monad', 'root', 'server', 'player', 'anonymous', 'unknown', 'deleted', 'null', 'undefined'
+];
+
+// Words no name may contain as a word of its own: staff impersonation and profanity
+const BLOCKED_WORDS = [
+  'admin', 'moderator', 'nadracer',
+  'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'asshole', 'twat', 'wank', 'dildo', 'porn',
+  'nigger', 'nigga', 'faggot', 'retard', 'nazi'
+];
+
+// Endings a blocked word still matches with, so 'wankers' matches 'wank' and 'swanky' does not
+const BLOCKED_SUFFIXES = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'y'];
+
+// Digits commonly written for letters, so 'sh1t' matches 'shit'
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' };
+
+// Collections holding a copy of the player's username, renamed with the player.
+// A model added here needs walletAddress and username fields.
+const USERNAME_COPIES = [Leaderboard];
+
+/**
+ * Form of a name the word lists are matched against: lowercase, without
+ * separators and with lookalike digits read as letters
+ */
+function toSkeleton(name) {
+  return name.toLowerCase().replace(/[_-]/g, '').replace(/[013457]/g, digit => LOOKALIKES[digit]);
+}
+
+/**
+ * Words of a name, split at _ and - and where a lowercase letter is followed by
+ * an uppercase one, each read as a skeleton
+ */
+function toWords(name) {
+  return name.replace(/([a-z])(?=[A-Z])/g, '$1_').split(/[_-]/).map(toSkeleton);
+}
+
+/**
+ * UsernameService applies the username policy at registration and on rename.
+ * Names are compared without case, so 'Speedy' and 'speedy' cannot both
+ * exist; the lowercase form is kept on the player under a unique index. A name
+ * must fit the length and character policy and may not be reserved or contain
+ * a blocked word. A player can rename once per cooldown; the player, every
+ * denormalized copy of its name and the name history are written in one
+ * transaction when MongoDB runs as a replica set, and one after the other,
+ * starting with the player, on a standalone server.
+ */
+class UsernameService {
+  constructor(config) {
+    this.config = config;
+    this.reserved = new Set([...RESERVED_NAMES, ...config.usernames.reserved].map(toSkeleton));
+    this.blockedWords = [...BLOCKED_WORDS, ...config.usernames.blockedWords].map(toSkeleton);
+    this.transactions = false; // Whether the database supports transactions, checked at startup
+    this.initialized = false;
+    
+    // Stats tracking
+    this.stats = {
+      renames: 0,
+      rejected: {}
+    };
+  }
+  
+  /**
+   * Move players registered before case-insensitive names onto the lowercase key
+   * The unique index on the exact username is dropped, leaving the key as the one
+   * unique name. The earliest registered player keeps a name shared ignoring
+   * case; the others are renamed to a free variant of it, which does not start
+   * their rename cooldown.
+   */
+  async initialize() {
+    // Transactions need a replica set or a sharded cluster
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    this.transactions = !!(hello.setName || hello.msg === 'isdbgrid');
+    if (!this.transactions) {
+      console.warn('⚠️ MongoDB is a standalone server, renames update the player and its copies without a transaction');
+    }
+    
+    try {
+      await Player.collection.dropIndex('username_1');
+      console.log('Dropped the case-sensitive unique index on player usernames');
+    } catch (error) {
+      // IndexNotFound, or the collection does not exist yet
+      if (error.code !== 27 && error.codeName !== 'NamespaceNotFound') {
+        throw error;
+      }
+    }
+    
+    const players = await Player.find({ usernameKey: { $exists: false } }).sort({ registeredAt: 1 });
+    let indexed = 0;
+    
+    for (const player of players) {
+      try {
+        await Player.updateOne({ _id: player._id }, { usernameKey: this.toKey(player.username) });
+        indexed++;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        const previous = player.username;
+        const username = await this.findFreeVariant(previous);
+        await this.writeRename(player, username, { changedAt: new Date(), startsCooldown: false });
+        console.warn(`⚠️ Username ${previous} of ${player.walletAddress} was taken by another player ignoring case, renamed to ${username}`);
+      }
+    }
+    
+    this.initialized = true;
+    console.log(`Username service initialized${indexed ? `, ${indexed} existing usernames indexed` : ''}`);
+    return true;
+  }
+  
+  /**
+   * First free name made by adding _2, _3, ... to a name, shortened to fit the length limit
+   */
+  async findFreeVariant(username) {
+    for (let n = 2; ; n++) {
+      const suffix = `_${n}`;
+      const candidate = username.slice(0, this.config.usernames.maxLength - suffix.length) + suffix;
+      if (!(await this.isTaken(candidate))) {
+        return candidate;
+      }
+    }
+  }
+  
+  reject(code, error, status, details = {}) {
+    this.stats.rejected[code] = (this.stats.rejected[code] || 0) + 1;
+    return { accepted: false, code, error, status, ...details };
+  }
+  
+  /**
+   * Run writes in a transaction when the database supports one, otherwise in order without a session
+   */
+  async withTransaction(fn) {
+    if (!this.transactions) {
+      return fn(null);
+    }
+    return mongoose.connection.transaction(fn);
+  }
+  
+  toKey(username) {
+    return username.toLowerCase();
+  }
+  
+  /**
+   * Check a requested name against the policy
+   * @param {string} username The requested name
+   * @returns {Object} { accepted: true, username } with the name trimmed and normalized, or the rejection
+   */
+  validate(username) {
+    const { minLength, maxLength } = this.config.usernames;
+    const name = typeof username === 'string' ? username.normalize('NFKC').trim() : '';
+    
+    if (name.length < minLength || name.length > maxLength) {
+      return this.reject(USERNAME_CODES.invalid, `Username must be between ${minLength} and ${maxLength} characters`, 400);
+    }
+    
+    if (!USERNAME_PATTERN.test(name)) {
+      return this.reject(USERNAME_CODES.invalid, 'Username may only contain letters, digits, and single _ or - between them', 400);
+    }
+    
+    const skeleton = toSkeleton(name);
+    if (this.reserved.has(skeleton)) {
+      return this.reject(USERNAME_CODES.reserved, 'Username is reserved', 400);
+    }
+    
+    if (this.containsBlockedWord(name)) {
+      return this.reject(USERNAME_CODES.blocked, 'Username contains a word that is not allowed', 400);
+    }
+    
+    return { accepted: true, username: name };
+  }
+  
+  /**
+   * Whether a blocked word makes up one or more consecutive words of the name
+   * Runs of words are joined, so 'NadRacer' and 'Nad_Racer' match 'nadracer';
+   * a blocked word inside a longer word, as in 'Scunthorpe', does not match.
+   */
+  containsBlockedWord(name) {
+    const words = toWords(name);
+    
+    for (let start = 0; start < words.length; start++) {
+      let run = '';
+      for (let end = start; end < words.length; end++) {
+        run += words[end];
+        if (this.blockedWords.some(word => BLOCKED_SUFFIXES.some(suffix => run === word + suffix))) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Whether another player has the name, ignoring case
+   */
+  async isTaken(username, exceptWallet) {
+    const filter = { usernameKey: this.toKey(username) };
+    if (exceptWallet) {
+      filter.walletAddress = { $ne: exceptWallet.toLowerCase() };
+    }
+    return !!(await Player.exists(filter));
+  }
+  
+  /**
+   * Check a requested name against the policy and the names in use
+   * @param {string} username The requested name
+   * @param {string} [walletAddress] Player asking, whose own name does not count as taken
+   * @returns {Promise<Object>} { accepted: true, username } or the rejection with its code and HTTP status
+   */
+  async checkAvailable(username, walletAddress) {
+    const checked = this.validate(username);
+    if (!checked.accepted) {
+      return checked;
+    }
+    
+    if (await this.isTaken(checked.username, walletAddress)) {
+      return this.reject(USERNAME_CODES.taken, 'Username already taken', 409);
+    }
+    return checked;
+  }
+  
+  /**
+   * Rename a player, with its denormalized copies and name history
+   * @param {string} walletAddress The player wallet
+   * @param {string} username The new name
+   * @returns {Promise<Object>} { accepted: true, player, change } or the rejection with its code and HTTP status
+   */
+  async rename(walletAddress, username) {
+    const wallet = walletAddress.toLowerCase();
+    const checked = await this.checkAvailable(username, wallet);
+    if (!checked.accepted) {
+      return checked;
+    }
+    
+    const player = await Player.findOne({ walletAddress: wallet });
+    if (!player) {
+      return this.reject(USERNAME_CODES.notFound, 'Player not found', 404);
+    }
+    
+    if (checked.username === player.username) {
+      return this.reject(USERNAME_CODES.unchanged, 'That is already your username', 400);
+    }
+    
+    const previous = player.username;
+    const now = new Date();
+    const nextRenameAt = player.usernameChangedAt && new Date(player.usernameChangedAt.getTime() + this.config.usernames.renameCooldown);
+    if (nextRenameAt && nextRenameAt > now) {
+      return this.reject(USERNAME_CODES.cooldown, `Username can be changed again after ${nextRenameAt.toISOString()}`, 429, { nextRenameAt });
+    }
+    
+    let result;
+    try {
+      result = await this.writeRename(player, checked.username, { changedAt: now, startsCooldown: true });
+    } catch (error) {
+      // The unique index catches a name taken since it was checked
+      if (error.code === 11000) {
+        return this.reject(USERNAME_CODES.taken, 'Username already taken', 409);
+      }
+      if (error.message === USERNAME_CODES.unchanged) {
+        return this.reject(USERNAME_CODES.cooldown, 'Username was changed by another request', 409);
+      }
+      throw error;
+    }
+    
+    this.stats.renames++;
+    console.log(`Player ${wallet} renamed from ${previous} to ${checked.username}`);
+    return { accepted: true, ...result };
+  }
+  
+  /**
+   * Write a rename to the player, its denormalized copies and the name history
+   * @param {Object} player The player as read before the rename
+   * @param {string} username The new name
+   * @param {Object} options changedAt, and whether the rename starts the player's cooldown
+   * @returns {Promise<Object>} The renamed player and the name history entry
+   */
+  async writeRename(player, username, { changedAt, startsCooldown }) {
+    const update = { username, usernameKey: this.toKey(username) };
+    if (startsCooldown) {
+      update.usernameChangedAt = changedAt;
+    }
+    
+    let renamed;
+    let change;
+    await this.withTransaction(async session => {
+      // The player is written first, so without a transaction it still decides the rename;
+      // matching the name read before means a concurrent rename loses instead of skipping the cooldown
+      renamed = await Player.findOneAndUpdate(
+        { _id: player._id, username: player.username },
+        update,
+        { new: true, session }
+      );
+      if (!renamed) {
+        throw new Error(USERNAME_CODES.unchanged);
+      }
+      
+      for (const model of USERNAME_COPIES) {
+        await model.updateMany({ walletAddress: player.walletAddress }, { username }, { session });
+      }
+      
+      [change] = await UsernameChange.create([{ walletAddress: player.walletAddress, from: player.username, to: username, changedAt }], { session });
+    });
+    return { player: renamed, change };
+  }
+  
+  /**
+   * A player's past names, most recent first
+   * @param {string} walletAddress The player wallet
+   * @returns {Promise<Array>} The renames
+   */
+  async getHistory(walletAddress) {
+    return UsernameChange.find({ walletAddress: walletAddress.toLowerCase() }).sort({ changedAt: -1 });
+  }
+  
+  /**
+   * Get username service status
+   */
+  getStatus() {
+    return {
+      initialized: this.initialized,
+      renameCooldown: this.config.usernames.renameCooldown,
+      stats: this.stats
+    };
+  }
+}
+
+UsernameService.USERNAME_CODES = USERNAME_CODES;
+
+module.exports = UsernameService;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const AuthChallenge = require('../models/AuthChallenge');
+const PlayerSession = require('../models/PlayerSession');
+const Player = require('../models/Player');
+
+/**
+ * Session tokens are stored hashed, so the sessions collection cannot be replayed
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * WalletAuth signs players in with their wallet. A client asks for a
+ * challenge, a sign-in message in the EIP-4361 (Sign-In with Ethereum) layout
+ * with a single-use nonce, signs it with personal_sign and sends the signature
+ * back. A valid signature gets a short-lived session token, sent as
+ * `Authorization: Bearer <token>` to the player endpoints, which take the
+ * wallet from the session instead of the request body.
+ */
+class WalletAuth {
+  constructor(config) {
+    this.config = config;
+    
+    // Stats tracking
+    this.stats = {
+      challenges: 0,
+      signIns: 0,
+      failedSignIns: 0,
+      signOuts: 0
+    };
+  }
+  
+  /**
+   * Build the message a wallet signs to sign in
+   */
+  buildMessage(walletAddress, nonce, issuedAt, expiresAt) {
+    const { domain, uri, statement } = this.config.auth;
+    const chainId = this.config.rpc.chainId || (global.providerManager && global.providerManager.chainId);
+    
+    return [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      walletAddress,
+      '',
+      statement,
+      '',
+      `URI: ${uri}`,
+      'Version: 1',
+      ...(chainId ? [`Chain ID: ${chainId}`] : []),
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+  }
+  
+  /**
+   * Issue a sign-in challenge for a wallet
+   * @param {string} walletAddress The wallet that will sign
+   * @returns {Promise<Object>} The nonce, the message to sign and when it expires
+   */
+  async createChallenge(walletAddress) {
+    const address = ethers.getAddress(walletAddress);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.config.auth.challengeTtl);
+    const message = this.buildMessage(address, nonce, issuedAt, expiresAt);
+    
+    await AuthChallenge.create({ nonce, walletAddress: address, message, expiresAt });
+    this.stats.challenges++;
+    
+    return { nonce, message, expiresAt };
+  }
+  
+  /**
+   * Exchange a signed challenge for a session
+   * @param {string} nonce Nonce of the challenge
+   * @param {string} signature personal_sign signature of the challenge message
+   * @param {Object} [client] userAgent and ip, kept with the session
+   * @returns {Promise<Object>} The session token, wallet and expiry, or { error } (with banned set for a banned wallet)
+   */
+  async signIn(nonce, signature, client = {}) {
+    // Claimed before the signature is checked, so a challenge can only be answered once
+    const challenge = await AuthChallenge.findOneAndUpdate(
+      { nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!challenge) {
+      this.stats.failedSignIns++;
+      return { error: 'Sign-in challenge not found, already used or expired' };
+    }
+    
+    let signer;
+    try {
+      signer = ethers.verifyMessage(challenge.message, signature);
+    } catch (error) {
+      this.stats.failedSignIns++;
+      return { error: 'Invalid signature' };
+    }
+    
+    if (signer.toLowerCase() !== challenge.walletAddress) {
+      this.stats.failedSignIns++;
+      return { error: 'Signature does not match the challenged wallet' };
+    }
+    
+    if (await Player.exists({ walletAddress: challenge.walletAddress, banned: true })) {
+      this.stats.failedSignIns++;
+      return { error: 'This wallet is banned', banned: true };
+    }
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.config.auth.sessionTtl);
+    await PlayerSession.create({
+      tokenHash: hashToken(token),
+      walletAddress: challenge.walletAddress,
+      userAgent: client.userAgent,
+      ip: client.ip,
+      expiresAt
+    });
+    await Player.updateOne({ walletAddress: challenge.walletAddress }, { lastLogin: new Date() });
+    
+    this.stats.signIns++;
+    console.log(`Wallet ${signer} signed in`);
+    return { token, walletAddress: signer, expiresAt };
+  }
+  
+  /**
+   * Look up the live session for a token
+   * @returns {Promise<Object|null>} The session, or null if the token is unknown or expired
+   */
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    
+    // MongoDB removes expired sessions lazily, so the expiry is checked here too
+    return PlayerSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+  }
+  
+  /**
+   * End the session for a token
+   * @returns {Promise<boolean>} Whether a session was ended
+   */
+  async signOut(token) {
+    const result = await PlayerSession.deleteOne({ tokenHash: hashToken(token) });
+    if (result.deletedCount > 0) {
+      this.stats.signOuts++;
+    }
+    return result.deletedCount > 0;
+  }
+  
+  /**
+   * Get wallet auth status
+   */
+  getStatus() {
+    return {
+      challengeTtl: this.config.auth.challengeTtl,
+      sessionTtl: this.config.auth.sessionTtl,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = WalletAuth;